@@ -5,20 +5,31 @@
  * 
  * This example demonstrates how to use OTRUST CLI programmatically.
  * You can run this with: node example.js
+ * or, without an OTRUST server, against the built-in mock server: node example.js --mock
  */
 
 const { exec } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const { MockServer } = require('./lib/mock-server');
 
 // Configuration
-const SERVER_URL = 'http://localhost:3000';
+let SERVER_URL = 'http://localhost:3000';
+
+// Run against an in-memory mock server instead with: node example.js --mock
+const USE_MOCK = process.argv.includes('--mock');
+
+// Environment for CLI commands (a throwaway home directory with --mock)
+let commandEnv = process.env;
 
 // Helper function to run CLI commands
 async function runCommand(command) {
   try {
     console.log(`\n> Running: otrust-cli ${command}`);
-    const { stdout, stderr } = await execPromise(`otrust-cli ${command}`);
+    const { stdout, stderr } = await execPromise(`otrust-cli ${command}`, { env: commandEnv });
     if (stderr) {
       console.error('Error:', stderr);
       return null;
@@ -36,6 +47,13 @@ async function runExample() {
   console.log('OTRUST CLI Example Usage');
   console.log('=============================\n');
 
+  if (USE_MOCK) {
+    // Keep the mock configuration away from the real one in ~/.otrust
+    SERVER_URL = await new MockServer().start();
+    commandEnv = { ...process.env, HOME: fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-example-')) };
+    console.log(`Started mock server at ${SERVER_URL}\n`);
+  }
+
   // 1. Configure the CLI
   console.log('1. Configuring CLI...');
   await runCommand(`config --server ${SERVER_URL}`);
@@ -96,7 +114,7 @@ async function exampleOperations() {
       console.log('(Note: This will spawn a separate process, please follow the prompts)');
       
       // Using direct exec instead of our wrapper function for interactive processes
-      const child = exec('otrust-cli claim:create --interactive');
+      const child = exec('otrust-cli claim:create --interactive', { env: commandEnv });
       
       // Pipe the child's streams to the parent process
       child.stdout.pipe(process.stdout);
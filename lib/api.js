@@ -2,11 +2,20 @@
  * OTRUST CLI API - Ett JavaScript-bibliotek för att interagera med OTRUST-protokollet
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const crypto = require('crypto');
+const signatures = require('./signatures');
+const envelopes = require('./envelope');
+const keystore = require('./keystore');
+const contexts = require('./contexts');
+const cache = require('./cache');
+const http = require('./http');
+const tokens = require('./token');
+const threads = require('./thread');
+const rdf = require('./rdf');
+const evidence = require('./evidence');
+const conflicts = require('./conflicts');
 
 /**
  * Huvudklass för OTRUST CLI API
@@ -18,27 +27,58 @@ class OtrustCLI {
    * @param {string} options.server - URL till OTRUST-servern
    * @param {string} [options.configDir] - Sökväg till konfigurationsmappen
    * @param {string} [options.logLevel] - Loggnivå (debug, info, warn, error)
+   * @param {string} [options.passphrase] - Lösenfras för krypterad privat nyckel (standard: OTRUST_PASSPHRASE)
+   * @param {string} [options.context] - Namngiven kontext att använda (standard: aktiv kontext i konfigurationen)
+   * @param {boolean} [options.cache=false] - Spara svar från getClaim(), search() och getUserInfo() i en lokal cache
+   * @param {string} [options.cacheDir] - Sökväg till cachemappen (standard: cache i konfigurationsmappen)
+   * @param {string} [options.cacheMode='default'] - Cacheläge (default, offline, refresh)
+   * @param {number} [options.timeout=30000] - Tidsgräns per anrop i millisekunder (0 = ingen)
+   * @param {number} [options.retries=3] - Antal omförsök för GET-anrop och nätverksfel
+   * @param {number} [options.retryDelay=500] - Grundfördröjning i millisekunder före första omförsöket
+   * @param {boolean} [options.autoLogin=true] - Logga in igen med nyckelparet och upprepa anropet en gång när servern svarar 401
    */
   constructor(options = {}) {
     this.server = options.server || 'http://localhost:3000';
     this.configDir = options.configDir || path.join(os.homedir(), '.otrust');
     this.configFile = path.join(this.configDir, 'config.json');
     this.logLevel = options.logLevel || 'info';
+    this.passphrase = options.passphrase || process.env.OTRUST_PASSPHRASE || null;
+    this.contextName = options.context || null;
+    this.cacheEnabled = !!options.cache;
+    this.cacheDir = options.cacheDir || path.join(this.configDir, 'cache');
+    this.cacheMode = options.cacheMode || 'default';
+    this.autoLogin = options.autoLogin !== false;
+    this.reauthentication = null;
     this.config = {
       server: this.server,
       keyPair: null,
       token: null
     };
 
-    // Skapa api-klient
-    this.api = axios.create({
-      baseURL: this.server
+    // Skapa api-klient med tidsgräns och omförsök
+    this.api = http.createClient({
+      baseURL: this.server,
+      timeout: options.timeout,
+      retries: options.retries,
+      retryDelay: options.retryDelay,
+      onRetry: ({ attempt, delay, error, config }) => {
+        const reason = error.response ? error.response.status : error.code;
+        this._log('warn', `${config.method.toUpperCase()} ${config.url} misslyckades (${reason}), försök ${attempt} om ${delay} ms`);
+      }
     });
 
     // Konfigurera axios interceptors för felhanterings
     this.api.interceptors.response.use(
       response => response,
-      error => {
+      async error => {
+        // Ett anrop som skickades med en token som redan har ersatts behöver bara göras om
+        const stale = !!this.config.token && error.config && error.config.headers['Authorization'] !== `Bearer ${this.config.token}`;
+        if (this._canReauthenticate(error) && (stale || await this._reauthenticate())) {
+          error.config.reauthenticated = true;
+          error.config.headers['Authorization'] = `Bearer ${this.config.token}`;
+          return this.api.request(error.config);
+        }
+
         this._log('error', `API Error: ${error.message}`);
         return Promise.reject(error);
       }
@@ -78,10 +118,21 @@ class OtrustCLI {
    * @private
    */
   _loadConfig() {
+    if (this.contextName) {
+      contexts.validateContextName(this.contextName);
+    }
+
     try {
       if (fs.existsSync(this.configFile)) {
-        const data = fs.readFileSync(this.configFile, 'utf8');
-        this.config = { ...this.config, ...JSON.parse(data) };
+        const settings = this._readSettings();
+        this.contextName = this.contextName || settings.currentContext;
+
+        if (!settings.contexts[this.contextName]) {
+          this._log('info', `Kontexten ${this.contextName} finns inte och skapas när konfigurationen sparas`);
+          return;
+        }
+
+        this.config = { ...this.config, ...settings.contexts[this.contextName] };
         this.server = this.config.server;
         
         // Uppdatera api-klient med ny server
@@ -92,7 +143,7 @@ class OtrustCLI {
           this.api.defaults.headers.common['Authorization'] = `Bearer ${this.config.token}`;
         }
         
-        this._log('debug', 'Konfiguration laddad');
+        this._log('debug', `Konfiguration laddad (kontext ${this.contextName})`);
       }
     } catch (error) {
       this._log('error', `Fel vid laddning av konfiguration: ${error.message}`);
@@ -100,6 +151,96 @@ class OtrustCLI {
     }
   }
 
+  /**
+   * Läs konfigurationsfilen i normaliserat kontextformat
+   * @private
+   * @returns {Object} Inställningar med currentContext och contexts
+   */
+  _readSettings() {
+    if (!fs.existsSync(this.configFile)) {
+      return contexts.normalizeSettings();
+    }
+    return contexts.normalizeSettings(JSON.parse(fs.readFileSync(this.configFile, 'utf8')));
+  }
+
+  /**
+   * Avgör om ett misslyckat anrop kan göras om efter en ny inloggning
+   * @private
+   * @param {Error} error - Felet från axios
+   * @returns {boolean} Sant vid 401 under inloggning på ett anrop som inte redan gjorts om, utanför /api/auth/
+   */
+  _canReauthenticate(error) {
+    return this.autoLogin &&
+      !!this.config.keyPair && !!this.config.token &&
+      !!error.response && error.response.status === 401 &&
+      !!error.config && !error.config.reauthenticated &&
+      !(error.config.url || '').startsWith('/api/auth/');
+  }
+
+  /**
+   * Logga in igen med nyckelparet. Samtidiga anrop som får 401 delar på samma inloggning.
+   * @private
+   * @returns {boolean} Sant om inloggningen lyckades och en ny token har sparats
+   */
+  async _reauthenticate() {
+    if (!this.reauthentication) {
+      this._log('info', 'Token har gått ut eller underkänts, loggar in igen');
+      this.reauthentication = this.login()
+        .then(result => result.success)
+        .catch(error => {
+          this._log('warn', `Ny inloggning misslyckades: ${error.message}`);
+          return false;
+        })
+        .then(success => {
+          this.reauthentication = null;
+          return success;
+        });
+    }
+    return this.reauthentication;
+  }
+
+  /**
+   * Plocka ut de anropsalternativ som skickas vidare till axios
+   * @private
+   * @param {Object} [requestOptions] - Anropsalternativ
+   * @param {AbortSignal} [requestOptions.signal] - Signal för att avbryta anropet, även under väntan på omförsök
+   * @param {number} [requestOptions.timeout] - Tidsgräns i millisekunder för detta anrop
+   * @param {number} [requestOptions.retries] - Antal omförsök för detta anrop
+   * @param {number} [requestOptions.retryDelay] - Grundfördröjning i millisekunder för detta anrop
+   * @returns {Object} Konfiguration för axios
+   */
+  _requestConfig(requestOptions = {}) {
+    const config = {};
+    ['signal', 'timeout', 'retries', 'retryDelay'].forEach(name => {
+      if (requestOptions[name] !== undefined) {
+        config[name] = requestOptions[name];
+      }
+    });
+    return config;
+  }
+
+  /**
+   * Gör ett GET-anrop, via den lokala cachen om den är aktiverad
+   * @private
+   * @param {string} url - Sökväg för anropet
+   * @param {Object} [params] - Frågeparametrar
+   * @param {Object} [requestOptions] - Anropsalternativ
+   * @returns {Object} Svarets data
+   */
+  async _get(url, params = {}, requestOptions = {}) {
+    const config = this._requestConfig(requestOptions);
+    if (!this.cacheEnabled) {
+      const response = await this.api.get(url, { params, ...config });
+      return response.data;
+    }
+
+    const response = await cache.cachedGet(this.api, url, { dir: this.cacheDir, params, mode: this.cacheMode, config });
+    if (response.cache.status !== 'fetched') {
+      this._log('debug', `${url} hämtades från cachen (${response.cache.status}, ${response.cache.fetchedAt})`);
+    }
+    return response.data;
+  }
+
   /**
    * Spara konfigurationen till filen
    * @private
@@ -109,7 +250,13 @@ class OtrustCLI {
       if (!fs.existsSync(this.configDir)) {
         fs.mkdirSync(this.configDir, { recursive: true });
       }
-      fs.writeFileSync(this.configFile, JSON.stringify(this.config, null, 2));
+
+      // Läs om filen så att ändringar i andra kontexter inte skrivs över
+      const settings = this._readSettings();
+      this.contextName = this.contextName || settings.currentContext;
+      settings.contexts[this.contextName] = { ...this.config };
+
+      fs.writeFileSync(this.configFile, JSON.stringify(settings, null, 2));
       this._log('debug', 'Konfiguration sparad');
     } catch (error) {
       this._log('error', `Fel vid sparande av konfiguration: ${error.message}`);
@@ -118,31 +265,33 @@ class OtrustCLI {
   }
 
   /**
-   * Generera ett nytt RSA-nyckelpar
+   * Generera ett nytt nyckelpar
    * @private
-   * @returns {Object} Nyckelparet med publicKey och privateKey
+   * @param {string} [algorithm='rsa'] - Nyckelalgoritm (rsa, ed25519, ecdsa-p256)
+   * @returns {Object} Nyckelparet med publicKey, privateKey och algorithm
    */
-  _generateKeyPair() {
+  _generateKeyPair(algorithm) {
     try {
-      this._log('debug', 'Genererar nytt nyckelpar');
-      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-        modulusLength: 2048,
-        publicKeyEncoding: {
-          type: 'spki',
-          format: 'pem'
-        },
-        privateKeyEncoding: {
-          type: 'pkcs8',
-          format: 'pem'
-        }
-      });
-      return { publicKey, privateKey };
+      this._log('debug', `Genererar nytt nyckelpar (${algorithm || signatures.DEFAULT_KEY_ALGORITHM})`);
+      return signatures.generateKeyPair(algorithm);
     } catch (error) {
       this._log('error', `Fel vid generering av nyckelpar: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Hämta den konfigurerade privata nyckeln, dekrypterad med lösenfrasen om den är krypterad
+   * @private
+   * @returns {crypto.KeyObject|null} Den privata nyckeln
+   */
+  _getPrivateKey() {
+    if (!this.config.keyPair) {
+      return null;
+    }
+    return keystore.unlockPrivateKey(this.config.keyPair.privateKey, this.passphrase);
+  }
+
   /**
    * Signera data med privat nyckel
    * @private
@@ -152,15 +301,12 @@ class OtrustCLI {
    */
   _sign(data, privateKey) {
     try {
-      const key = privateKey || (this.config.keyPair ? this.config.keyPair.privateKey : null);
+      const key = privateKey || this._getPrivateKey();
       if (!key) {
         throw new Error('Ingen privat nyckel konfigurerad');
       }
       
-      const sign = crypto.createSign('SHA256');
-      sign.update(data);
-      sign.end();
-      return sign.sign(key, 'hex');
+      return signatures.sign(data, key);
     } catch (error) {
       this._log('error', `Fel vid signering: ${error.message}`);
       throw error;
@@ -173,12 +319,31 @@ class OtrustCLI {
    */
   async getConfig() {
     return { 
+      context: this.contextName || contexts.DEFAULT_CONTEXT,
       server: this.config.server,
       hasKeyPair: !!this.config.keyPair,
+      keyAlgorithm: this.config.keyPair ? this.config.keyPair.algorithm || signatures.DEFAULT_KEY_ALGORITHM : null,
+      keyEncrypted: !!this.config.keyPair && keystore.isEncrypted(this.config.keyPair.privateKey),
       isLoggedIn: !!this.config.token
     };
   }
 
+  /**
+   * Visa status för inloggningen genom att avkoda token. Token verifieras inte mot servern.
+   * @returns {Object} Inloggningsstatus med nyckelns fingeravtryck och tokenens utgångstid
+   */
+  async getAuthStatus() {
+    return tokens.authStatus(this.config, this.contextName || contexts.DEFAULT_CONTEXT);
+  }
+
+  /**
+   * Lista alla namngivna kontexter i konfigurationsfilen
+   * @returns {Array<Object>} Kontexter med namn, server och status
+   */
+  async listContexts() {
+    return contexts.listContexts(this._readSettings());
+  }
+
   /**
    * Uppdatera konfigurationen
    * @param {Object} options - Konfigurationsalternativ
@@ -198,13 +363,20 @@ class OtrustCLI {
 
   /**
    * Initialisera ett nytt nyckelpar
+   *
+   * Om en lösenfras är angiven sparas den privata nyckeln krypterad.
    * @param {Object} [options] - Alternativ
    * @param {boolean} [options.force=false] - Tvinga omgenerering av nycklar
+   * @param {string} [options.algorithm='rsa'] - Nyckelalgoritm (rsa, ed25519, ecdsa-p256)
    * @returns {Object} Information om nyckelparet
    */
   async init(options = {}) {
     if (!this.config.keyPair || options.force) {
-      this.config.keyPair = this._generateKeyPair();
+      const keyPair = this._generateKeyPair(options.algorithm);
+      if (this.passphrase) {
+        keyPair.privateKey = keystore.encryptPrivateKey(keyPair.privateKey, this.passphrase);
+      }
+      this.config.keyPair = keyPair;
       this._saveConfig();
       this._log('info', 'Nytt nyckelpar genererat');
     } else {
@@ -212,12 +384,15 @@ class OtrustCLI {
     }
     
     return {
+      algorithm: this.config.keyPair.algorithm || signatures.DEFAULT_KEY_ALGORITHM,
       publicKey: this.config.keyPair.publicKey.split('\n').slice(1, -2).join('')
     };
   }
 
   /**
    * Ladda ett externt nyckelpar
+   *
+   * Nycklarna kontrolleras genom att ett testmeddelande signeras och verifieras.
    * @param {Object} keyPair - Nyckelparet att ladda
    * @param {string} keyPair.publicKey - Publik nyckel i PEM-format
    * @param {string} keyPair.privateKey - Privat nyckel i PEM-format
@@ -226,31 +401,185 @@ class OtrustCLI {
     if (!keyPair.publicKey || !keyPair.privateKey) {
       throw new Error('Både publik och privat nyckel krävs');
     }
+    keystore.validateKeyPair(keyPair.publicKey, keyPair.privateKey, this.passphrase);
     
     this.config.keyPair = {
       publicKey: keyPair.publicKey,
-      privateKey: keyPair.privateKey
+      privateKey: keyPair.privateKey,
+      algorithm: signatures.keyAlgorithm(keyPair.publicKey)
     };
     
     this._saveConfig();
     this._log('info', 'Nyckelpar laddat');
   }
 
+  /**
+   * Exportera nyckeln i PEM- eller JWK-format
+   * @param {Object} [options] - Alternativ
+   * @param {string} [options.format='pem'] - Format (pem eller jwk)
+   * @param {boolean} [options.private=false] - Exportera den privata nyckeln okrypterad i stället för den publika
+   * @returns {string} Den exporterade nyckeln
+   */
+  exportKey(options = {}) {
+    if (!this.config.keyPair) {
+      throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
+    }
+
+    const key = options.private ? this._getPrivateKey() : this.config.keyPair.publicKey;
+    return keystore.exportKey(key, options.format);
+  }
+
+  /**
+   * Kryptera den lagrade privata nyckeln med en lösenfras
+   * @param {string} passphrase - Ny lösenfras
+   */
+  lockKey(passphrase) {
+    if (!this.config.keyPair) {
+      throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
+    }
+
+    this.config.keyPair.privateKey = keystore.encryptPrivateKey(this.config.keyPair.privateKey, passphrase);
+    this.passphrase = passphrase;
+    this._saveConfig();
+    this._log('info', 'Privat nyckel krypterad');
+  }
+
+  /**
+   * Dekryptera den lagrade privata nyckeln och spara den okrypterad
+   * @param {string} [passphrase] - Nuvarande lösenfras (använder konfigurerad lösenfras om ej angiven)
+   */
+  unlockKey(passphrase) {
+    if (!this.config.keyPair) {
+      throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
+    }
+    if (!keystore.isEncrypted(this.config.keyPair.privateKey)) {
+      throw new Error('Den privata nyckeln är inte krypterad');
+    }
+
+    this.config.keyPair.privateKey = keystore.decryptPrivateKey(
+      this.config.keyPair.privateKey,
+      passphrase || this.passphrase
+    );
+    this.passphrase = null;
+    this._saveConfig();
+    this._log('info', 'Privat nyckel dekrypterad');
+  }
+
+  /**
+   * Byt lösenfras för den krypterade privata nyckeln
+   * @param {string} oldPassphrase - Nuvarande lösenfras
+   * @param {string} newPassphrase - Ny lösenfras
+   */
+  changePassphrase(oldPassphrase, newPassphrase) {
+    if (!this.config.keyPair) {
+      throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
+    }
+    if (!keystore.isEncrypted(this.config.keyPair.privateKey)) {
+      throw new Error('Den privata nyckeln är inte krypterad. Använd lockKey() först.');
+    }
+
+    const privateKey = keystore.decryptPrivateKey(this.config.keyPair.privateKey, oldPassphrase);
+    this.config.keyPair.privateKey = keystore.encryptPrivateKey(privateKey, newPassphrase);
+    this.passphrase = newPassphrase;
+    this._saveConfig();
+    this._log('info', 'Lösenfras bytt');
+  }
+
+  /**
+   * Byt till ett nytt nyckelpar och länka det till det gamla med ett
+   * nyckelbytesmeddelande signerat av båda nycklarna. Den gamla nyckeln
+   * arkiveras lokalt så att historiska påståenden fortfarande kan verifieras.
+   * @param {Object} [options] - Alternativ
+   * @param {string} [options.algorithm] - Algoritm för den nya nyckeln (standard: samma som den gamla)
+   * @param {string} [options.reason] - Anledning till nyckelbytet
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Resultatet av nyckelbytet
+   */
+  async rotateKey(options = {}, requestOptions = {}) {
+    if (!this.config.keyPair) {
+      throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
+    }
+    if (!this.config.token) {
+      throw new Error('Du måste vara inloggad för att byta nyckel');
+    }
+
+    const oldKeyPair = this.config.keyPair;
+    const newKeyPair = this._generateKeyPair(options.algorithm || oldKeyPair.algorithm);
+
+    const payload = signatures.rotationPayload({
+      oldPublicKey: oldKeyPair.publicKey,
+      newPublicKey: newKeyPair.publicKey,
+      timestamp: Date.now(),
+      reason: options.reason
+    });
+    const statement = JSON.parse(payload);
+    statement.oldSignature = this._sign(payload);
+    statement.newSignature = this._sign(payload, newKeyPair.privateKey);
+
+    try {
+      const response = await this.api.post('/api/auth/rotate', statement, this._requestConfig(requestOptions));
+
+      if (keystore.isEncrypted(oldKeyPair.privateKey)) {
+        newKeyPair.privateKey = keystore.encryptPrivateKey(newKeyPair.privateKey, this.passphrase);
+      }
+
+      this.config.retiredKeys = (this.config.retiredKeys || []).concat({
+        ...oldKeyPair,
+        fingerprint: signatures.fingerprint(oldKeyPair.publicKey),
+        retiredAt: statement.timestamp,
+        successor: signatures.fingerprint(newKeyPair.publicKey),
+        reason: options.reason || null
+      });
+      this.config.keyPair = newKeyPair;
+
+      if (response.data.token) {
+        this.config.token = response.data.token;
+        this.api.defaults.headers.common['Authorization'] = `Bearer ${this.config.token}`;
+      }
+      this._saveConfig();
+      this._log('info', 'Nyckelpar bytt');
+
+      return {
+        success: true,
+        fingerprint: signatures.fingerprint(newKeyPair.publicKey),
+        previousFingerprint: signatures.fingerprint(oldKeyPair.publicKey),
+        user: response.data.user
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response ? error.response.data : error.message
+      };
+    }
+  }
+
+  /**
+   * Lista arkiverade nycklar som har ersatts genom nyckelbyte
+   * @returns {Array<Object>} Arkiverade nycklar med fingeravtryck och datum för bytet
+   */
+  async getKeyHistory() {
+    return (this.config.retiredKeys || []).map(key => ({
+      fingerprint: key.fingerprint,
+      algorithm: key.algorithm || signatures.DEFAULT_KEY_ALGORITHM,
+      publicKey: key.publicKey,
+      retiredAt: key.retiredAt,
+      successor: key.successor,
+      reason: key.reason
+    }));
+  }
+
   /**
    * Registrera ett nytt konto på OTRUST-servern
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Registreringsresultatet
    */
-  async register() {
+  async register(requestOptions = {}) {
     if (!this.config.keyPair) {
       throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
     }
     
     const timestamp = Date.now();
-    const payload = JSON.stringify({ 
-      action: 'register', 
-      publicKey: this.config.keyPair.publicKey, 
-      timestamp 
-    });
+    const payload = signatures.authPayload('register', this.config.keyPair.publicKey, timestamp);
     const signature = this._sign(payload);
 
     try {
@@ -258,7 +587,7 @@ class OtrustCLI {
         publicKey: this.config.keyPair.publicKey,
         signature,
         timestamp
-      });
+      }, this._requestConfig(requestOptions));
 
       this.config.token = response.data.token;
       this.api.defaults.headers.common['Authorization'] = `Bearer ${this.config.token}`;
@@ -278,19 +607,16 @@ class OtrustCLI {
 
   /**
    * Logga in på OTRUST-servern
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Inloggningsresultatet
    */
-  async login() {
+  async login(requestOptions = {}) {
     if (!this.config.keyPair) {
       throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
     }
     
     const timestamp = Date.now();
-    const payload = JSON.stringify({ 
-      action: 'login', 
-      publicKey: this.config.keyPair.publicKey, 
-      timestamp 
-    });
+    const payload = signatures.authPayload('login', this.config.keyPair.publicKey, timestamp);
     const signature = this._sign(payload);
 
     try {
@@ -298,7 +624,7 @@ class OtrustCLI {
         publicKey: this.config.keyPair.publicKey,
         signature,
         timestamp
-      });
+      }, this._requestConfig(requestOptions));
 
       this.config.token = response.data.token;
       this.api.defaults.headers.common['Authorization'] = `Bearer ${this.config.token}`;
@@ -333,9 +659,10 @@ class OtrustCLI {
    * @param {Object} profile - Profildata att uppdatera
    * @param {string} [profile.displayName] - Visningsnamn
    * @param {string} [profile.email] - E-postadress
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Uppdateringsresultatet
    */
-  async updateProfile(profile = {}) {
+  async updateProfile(profile = {}, requestOptions = {}) {
     if (!this.config.token) {
       throw new Error('Du måste vara inloggad för att uppdatera profilen');
     }
@@ -344,7 +671,7 @@ class OtrustCLI {
       const response = await this.api.put('/api/user/profile', {
         displayName: profile.displayName,
         email: profile.email
-      });
+      }, this._requestConfig(requestOptions));
       
       return {
         success: true,
@@ -368,26 +695,51 @@ class OtrustCLI {
       throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
     }
     
-    const timestamp = Date.now();
-    const payload = {
-      claim: claimData.claim,
-      evidence: claimData.evidence,
+    return signatures.claimPayload({
+      ...claimData,
       publicKey: this.config.keyPair.publicKey,
-      type: claimData.type,
-      parent_id: claimData.parent_id || null,
-      timestamp,
-      semantic: claimData.semantic
-    };
-    
-    return JSON.stringify(payload);
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Bygg payload för ett bevis
+   * @param {Object} proofData - Data för beviset
+   * @returns {string} JSON-sträng av bevispayload
+   */
+  buildProofPayload(proofData) {
+    if (!this.config.keyPair) {
+      throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
+    }
+
+    return signatures.proofPayload({
+      ...proofData,
+      publicKey: this.config.keyPair.publicKey,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Beskriv en lokal fil som bevis med SHA-256-hash, storlek, medietyp och
+   * titel, för att lägga i claimData.evidence
+   * @param {string} file - Sökväg till filen
+   * @param {Object} [options] - Alternativ
+   * @param {string} [options.title] - Titel (standard: filnamnet)
+   * @returns {Promise<Object>} Bevis med uri, sha256, size, mediaType och title
+   */
+  describeEvidenceFile(file, options = {}) {
+    return evidence.describeFile(file, options);
   }
 
   /**
    * Skapa ett nytt påstående
    * @param {Object} claimData - Data för påståendet
+   * @param {Array<string|Object>} claimData.evidence - URL:er och filbevis från describeEvidenceFile()
+   * @param {string} [claimData.parent_id] - ID för påståendet som detta är ett svar på
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Det skapade påståendet
    */
-  async createClaim(claimData) {
+  async createClaim(claimData, requestOptions = {}) {
     if (!this.config.token) {
       throw new Error('Du måste vara inloggad för att skapa påståenden');
     }
@@ -403,7 +755,7 @@ class OtrustCLI {
     claim.signature = signature;
     
     try {
-      const response = await this.api.post('/api/claim', claim);
+      const response = await this.api.post('/api/claim', claim, this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -416,9 +768,10 @@ class OtrustCLI {
    * Skapa ett påstående med färdig signatur
    * @param {string} payload - JSON-sträng av påståendepayload
    * @param {string} signature - Signatur för påståendet
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Det skapade påståendet
    */
-  async createClaimWithSignature(payload, signature) {
+  async createClaimWithSignature(payload, signature, requestOptions = {}) {
     if (!this.config.token) {
       throw new Error('Du måste vara inloggad för att skapa påståenden');
     }
@@ -427,7 +780,7 @@ class OtrustCLI {
     claim.signature = signature;
     
     try {
-      const response = await this.api.post('/api/claim', claim);
+      const response = await this.api.post('/api/claim', claim, this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -439,12 +792,12 @@ class OtrustCLI {
   /**
    * Hämta ett specifikt påstående
    * @param {string} id - ID för påståendet
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Påståendet
    */
-  async getClaim(id) {
+  async getClaim(id, requestOptions = {}) {
     try {
-      const response = await this.api.get(`/api/claim/${id}`);
-      return response.data;
+      return await this._get(`/api/claim/${id}`, {}, requestOptions);
     } catch (error) {
       throw new Error(error.response ? 
         `Fel vid hämtning av påstående: ${error.response.data.error}` : 
@@ -452,14 +805,79 @@ class OtrustCLI {
     }
   }
 
+  /**
+   * Hämta tråden som ett påstående ingår i: överordnade påståenden upp till
+   * roten och alla svar nedåt
+   * @param {string} id - ID för påståendet
+   * @param {Object} [options] - Alternativ
+   * @param {number} [options.maxDepth=20] - Största antal nivåer uppåt och nedåt
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Trådens rot med svaren i replies, samt focus, missingParent och truncated
+   */
+  async getThread(id, options = {}, requestOptions = {}) {
+    try {
+      return await threads.buildThread(id, {
+        maxDepth: options.maxDepth,
+        fetchClaim: threads.claimFetcher(this.api, id, this._requestConfig(requestOptions)),
+        fetchReplies: async claimId => {
+          const replies = [];
+          for await (const claim of this.iterateClaims({ parent_id: claimId, sort: 'oldest', limit: 100 }, requestOptions)) {
+            replies.push(claim);
+          }
+          return replies;
+        }
+      });
+    } catch (error) {
+      throw new Error(error.response ?
+        `Fel vid hämtning av tråd: ${error.response.data.error}` :
+        `Fel vid hämtning av tråd: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verifiera signaturerna för ett påstående och dess beviskedja lokalt,
+   * utan att lita på serverns egen bedömning
+   * @param {string|Object} claimOrId - ID för påståendet eller ett redan hämtat påstående
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Status (valid, invalid, unverifiable) för påståendet och varje bevis
+   */
+  async verifyClaimSignatures(claimOrId, requestOptions = {}) {
+    const claim = typeof claimOrId === 'string'
+      ? (await this.getClaim(claimOrId, requestOptions)).claim
+      : claimOrId;
+
+    const result = signatures.verifyClaimSignatures(claim);
+    if (result.claim !== 'valid' || result.proofs.some(proof => proof.status !== 'valid')) {
+      this._log('warn', `Påstående ${claim.id} har signaturer som inte kunde verifieras`);
+    }
+    return result;
+  }
+
+  /**
+   * Kontrollera att lokala filer stämmer med SHA-256-hasharna i ett
+   * påståendes filbevis
+   * @param {string|Object} claimOrId - ID för påståendet eller ett redan hämtat påstående
+   * @param {Array<string>} files - Sökvägar till filerna
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} valid, resultat per fil (match, modified, unknown, unreadable) och filbevis som ingen fil matchade
+   */
+  async checkEvidence(claimOrId, files, requestOptions = {}) {
+    const claim = typeof claimOrId === 'string'
+      ? (await this.getClaim(claimOrId, requestOptions)).claim
+      : claimOrId;
+
+    return evidence.checkFiles(claim.evidence, files);
+  }
+
   /**
    * Lista påståenden med filtrering
    * @param {Object} options - Filtreringsalternativ
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Lista med påståenden
    */
-  async listClaims(options = {}) {
+  async listClaims(options = {}, requestOptions = {}) {
     try {
-      const response = await this.api.get('/api/claims', { params: options });
+      const response = await this.api.get('/api/claims', { params: options, ...this._requestConfig(requestOptions) });
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -468,17 +886,44 @@ class OtrustCLI {
     }
   }
 
+  /**
+   * Iterera över alla påståenden som matchar ett filter och hämta nya sidor
+   * efter hand så länge servern rapporterar fler
+   * @param {Object} [filters] - Filtreringsalternativ som för listClaims(), där page anger startsidan
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {AsyncGenerator<Object>} Påståendena, ett i taget
+   * @example
+   * for await (const claim of otrust.iterateClaims({ type: 'factual' })) {
+   *   console.log(claim.id);
+   * }
+   */
+  async *iterateClaims(filters = {}, requestOptions = {}) {
+    let page = filters.page || 1;
+
+    while (true) {
+      const { claims, meta } = await this.listClaims({ ...filters, page }, requestOptions);
+      for (const claim of claims) {
+        yield claim;
+      }
+
+      if (!meta || !meta.hasNext || claims.length === 0) {
+        return;
+      }
+      page += 1;
+      this._log('debug', `Hämtar sida ${page} av påståenden`);
+    }
+  }
+
   /**
    * Sök efter påståenden
    * @param {string} query - Sökfråga
    * @param {Object} options - Sökalternativ
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Sökresultat
    */
-  async search(query, options = {}) {
+  async search(query, options = {}, requestOptions = {}) {
     try {
-      const params = { q: query, ...options };
-      const response = await this.api.get('/api/search', { params });
-      return response.data;
+      return await this._get('/api/search', { q: query, ...options }, requestOptions);
     } catch (error) {
       throw new Error(error.response ? 
         `Fel vid sökning: ${error.response.data.error}` : 
@@ -489,11 +934,12 @@ class OtrustCLI {
   /**
    * Verifiera ett påstående mot blockkedjan
    * @param {string} id - ID för påståendet
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Verifieringsresultat
    */
-  async verify(id) {
+  async verify(id, requestOptions = {}) {
     try {
-      const response = await this.api.get(`/api/claim/${id}/verify`);
+      const response = await this.api.get(`/api/claim/${id}/verify`, this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -505,23 +951,16 @@ class OtrustCLI {
   /**
    * Lägg till bevis till ett påstående
    * @param {Object} proofData - Data för beviset
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Resultatet av bevisläggningen
    */
-  async addProof(proofData) {
+  async addProof(proofData, requestOptions = {}) {
     if (!this.config.token) {
       throw new Error('Du måste vara inloggad för att lägga till bevis');
     }
 
     // Förbereda data för bevis
-    const timestamp = Date.now();
-    const payload = JSON.stringify({
-      claimId: proofData.claimId,
-      action: proofData.action,
-      publicKey: this.config.keyPair.publicKey,
-      timestamp,
-      reason: proofData.reason,
-      confidence: proofData.confidence
-    });
+    const payload = this.buildProofPayload(proofData);
     
     // Signera payload
     const signature = this._sign(payload);
@@ -531,7 +970,32 @@ class OtrustCLI {
     proof.signature = signature;
     
     try {
-      const response = await this.api.post('/api/proof', proof);
+      const response = await this.api.post('/api/proof', proof, this._requestConfig(requestOptions));
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response ? 
+        `Fel vid läggning av bevis: ${error.response.data.error}` : 
+        `Fel vid läggning av bevis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lägg till ett bevis med färdig signatur
+   * @param {string} payload - JSON-sträng av bevispayload
+   * @param {string} signature - Signatur för beviset
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Resultatet av bevisläggningen
+   */
+  async createProofWithSignature(payload, signature, requestOptions = {}) {
+    if (!this.config.token) {
+      throw new Error('Du måste vara inloggad för att lägga till bevis');
+    }
+
+    const proof = JSON.parse(payload);
+    proof.signature = signature;
+
+    try {
+      const response = await this.api.post('/api/proof', proof, this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -540,15 +1004,138 @@ class OtrustCLI {
     }
   }
 
+  /**
+   * Signera och skicka ett återkallande
+   * @private
+   * @param {Object} statementData - Återkallandet (action, claimId, reason, replacementId)
+   * @param {Object} [requestOptions] - Anropsalternativ
+   * @returns {Object} Resultatet av återkallandet
+   */
+  async _submitRetraction(statementData, requestOptions = {}) {
+    if (!this.config.token || !this.config.keyPair) {
+      throw new Error('Du måste vara inloggad för att återkalla påståenden och bevis');
+    }
+    if (!statementData.reason) {
+      throw new Error('En anledning krävs');
+    }
+
+    const payload = signatures.retractionPayload({
+      ...statementData,
+      publicKey: this.config.keyPair.publicKey,
+      timestamp: Date.now()
+    });
+    const statement = JSON.parse(payload);
+    statement.signature = this._sign(payload);
+
+    try {
+      const response = await this.api.post('/api/retraction', statement, this._requestConfig(requestOptions));
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response ?
+        `Fel vid återkallande: ${error.response.data.error}` :
+        `Fel vid återkallande: ${error.message}`);
+    }
+  }
+
+  /**
+   * Dra tillbaka ett eget påstående med ett signerat återkallande
+   * @param {string} id - ID för påståendet
+   * @param {string} reason - Anledning
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Resultatet av återkallandet
+   */
+  async retractClaim(id, reason, requestOptions = {}) {
+    return this._submitRetraction({ action: 'retract', claimId: id, reason }, requestOptions);
+  }
+
+  /**
+   * Återkalla det egna beviset för ett påstående
+   * @param {string} claimId - ID för påståendet
+   * @param {string} reason - Anledning
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Resultatet av återkallandet med ny trovärdighet
+   */
+  async revokeProof(claimId, reason, requestOptions = {}) {
+    return this._submitRetraction({ action: 'revoke', claimId, reason }, requestOptions);
+  }
+
+  /**
+   * Markera ett eget påstående som ersatt av ett annat, redan skapat påstående
+   * @param {string} id - ID för påståendet som ersätts
+   * @param {string} replacementId - ID för det rättade påståendet
+   * @param {string} reason - Anledning
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Resultatet av återkallandet
+   */
+  async markSuperseded(id, replacementId, reason, requestOptions = {}) {
+    return this._submitRetraction({ action: 'supersede', claimId: id, reason, replacementId }, requestOptions);
+  }
+
+  /**
+   * Ersätt ett eget påstående med ett rättat påstående. Det nya påståendet
+   * skapas först och länkas sedan till originalet med ett signerat återkallande.
+   * @param {string} id - ID för påståendet som ersätts
+   * @param {Object} claimData - Data för det rättade påståendet
+   * @param {string} reason - Anledning
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Det skapade påståendet och resultatet av återkallandet
+   */
+  async supersedeClaim(id, claimData, reason, requestOptions = {}) {
+    if (!reason) {
+      throw new Error('En anledning krävs');
+    }
+
+    const created = await this.createClaim(claimData, requestOptions);
+    try {
+      const retraction = await this.markSuperseded(id, created.id, reason, requestOptions);
+      return { claim: created, retraction };
+    } catch (error) {
+      // Det nya påståendet finns redan, så anroparen behöver dess ID för att länka igen med markSuperseded()
+      const linkError = new Error(`Påståendet ${created.id} skapades men kunde inte länkas till ${id}: ${error.message}`);
+      linkError.claim = created;
+      throw linkError;
+    }
+  }
+
+  /**
+   * Signera ett påstående eller bevis till ett kuvert utan att skicka det
+   * @param {string} kind - Typ av innehåll (claim eller proof)
+   * @param {Object} data - Data för påståendet eller beviset
+   * @param {Object} [options] - Alternativ
+   * @param {number} [options.ttl] - Kuvertets giltighetstid i millisekunder
+   * @returns {Object} Det signerade kuvertet
+   */
+  createEnvelope(kind, data, options = {}) {
+    const payload = kind === 'proof' ? this.buildProofPayload(data) : this.buildClaimPayload(data);
+    const signature = this._sign(payload);
+    return envelopes.createEnvelope(kind, payload, signature, this.config.keyPair.publicKey, data => this._sign(data), options);
+  }
+
+  /**
+   * Validera och skicka in ett signerat kuvert
+   * @param {string|Object} envelope - Kuvertet som JSON-sträng eller objekt
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Det skapade påståendet eller resultatet av bevisläggningen
+   */
+  async submitEnvelope(envelope, requestOptions = {}) {
+    const parsed = envelopes.parseEnvelope(envelope);
+    this._log('debug', `Skickar in ${parsed.kind}-kuvert`);
+
+    return parsed.kind === 'proof'
+      ? this.createProofWithSignature(parsed.payload, parsed.signature, requestOptions)
+      : this.createClaimWithSignature(parsed.payload, parsed.signature, requestOptions);
+  }
+
   /**
    * Utför en semantisk sökning
    * @param {string} subject - Subjekt
    * @param {string} predicate - Predikat
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Resultat av semantisk sökning
    */
-  async semanticQuery(subject, predicate) {
+  async semanticQuery(subject, predicate, requestOptions = {}) {
     try {
-      const response = await this.api.get(`/api/semantic/${subject}/${predicate}`);
+      const response = await this.api.get(`/api/semantic/${subject}/${predicate}`, this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -557,20 +1144,112 @@ class OtrustCLI {
     }
   }
 
+  /**
+   * Hitta påståenden som motsäger en semantisk trippel, innan ett nytt
+   * påstående signeras
+   * @param {Object} semantic - Semantisk struktur med subject, predicate och object
+   * @param {Object} [options] - Alternativ
+   * @param {Array<string>} [options.exclude] - ID:n för påståenden som inte räknas
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Array<Object>} Motstridiga påståenden med claimId, object, claim, credibility, confirmations och disputes
+   */
+  async checkConflicts(semantic, options = {}, requestOptions = {}) {
+    const [semanticResult, searchResult] = await Promise.all([
+      this.semanticQuery(encodeURIComponent(semantic.subject), encodeURIComponent(semantic.predicate), requestOptions),
+      this.search(semantic.subject, { limit: 50 }, requestOptions)
+    ]);
+    return conflicts.findConflicts(semantic, { semantic: semanticResult, search: searchResult, exclude: options.exclude });
+  }
+
+  /**
+   * Lista egna påståenden som just nu har motstridiga påståenden
+   * @param {Object} [options] - Alternativ
+   * @param {string} [options.publicKey] - Författarens publika nyckel (standard: den egna)
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Array<Object>} Påståenden med semantic, credibilityScore och conflicts
+   */
+  async listConflicts(options = {}, requestOptions = {}) {
+    const publicKey = options.publicKey || (this.config.keyPair ? this.config.keyPair.publicKey : null);
+    if (!publicKey) {
+      throw new Error('Inget nyckelpar konfigurerat. Kör init() först.');
+    }
+
+    const own = [];
+    for await (const claim of this.iterateClaims({ publicKey, sort: 'oldest', limit: 100 }, requestOptions)) {
+      if (conflicts.isActive(claim)) {
+        own.push(claim);
+      }
+    }
+
+    const result = [];
+    for (const group of conflicts.groupByStatement(own)) {
+      const semanticResult = await this.semanticQuery(encodeURIComponent(group.subject), encodeURIComponent(group.predicate), requestOptions);
+      group.claims.forEach(claim => {
+        const found = conflicts.findConflicts(claim.semantic, { semantic: semanticResult, exclude: [claim.id] });
+        if (found.length > 0) {
+          result.push({ ...claim, conflicts: found });
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Exportera påståendenas semantiska tripler som RDF med ursprungsuppgifter:
+   * påståendets ID, författarnyckel, tidpunkt, trovärdighet och blockhash
+   * @param {Object} [options] - Alternativ
+   * @param {Array<string>} [options.ids] - Påståenden att exportera (standard: alla som matchar filters)
+   * @param {Object} [options.filters] - Filtreringsalternativ som för listClaims()
+   * @param {number} [options.max] - Största antal påståenden att exportera
+   * @param {string} [options.format='jsonld'] - jsonld, turtle eller nquads
+   * @param {string} [options.base] - Bas-IRI för påståenden, nycklar och termer (standard: https://otrust.eu/id/)
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
+   * @returns {Object} Dokumentet i data, formatet och antal exporterade påståenden
+   * @example
+   * const { data } = await otrust.exportSemantic({ filters: { subject: 'Earth' }, format: 'turtle' });
+   */
+  async exportSemantic(options = {}, requestOptions = {}) {
+    const format = options.format || 'jsonld';
+    if (!rdf.RDF_FORMATS.includes(format)) {
+      throw new Error(`Okänt RDF-format: ${format}. Använd ${rdf.RDF_FORMATS.join(', ')}`);
+    }
+
+    if (options.max !== undefined && !(Number.isInteger(options.max) && options.max > 0)) {
+      throw new Error(`max måste vara ett positivt heltal: ${options.max}`);
+    }
+    const max = options.max || Infinity;
+    let ids = options.ids;
+    if (!ids) {
+      ids = [];
+      for await (const claim of this.iterateClaims({ sort: 'oldest', limit: 100, ...options.filters }, requestOptions)) {
+        if (ids.length >= max) break;
+        ids.push(claim.id);
+      }
+    }
+
+    // Listorna saknar blockhash, så varje påstående hämtas för sig
+    const entries = [];
+    for (const id of ids.slice(0, max)) {
+      entries.push(await this.getClaim(id, requestOptions));
+    }
+
+    return { format, count: entries.length, data: rdf.serialize(entries, format, { base: options.base }) };
+  }
+
   /**
    * Få information om en användare
    * @param {string} [publicKey] - Publik nyckel för användaren (om ej angiven används inloggad användare)
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Användarinformation
    */
-  async getUserInfo(publicKey) {
+  async getUserInfo(publicKey, requestOptions = {}) {
     try {
       const key = publicKey || (this.config.keyPair ? this.config.keyPair.publicKey : null);
       if (!key) {
         throw new Error('Ingen publik nyckel angiven och du är inte inloggad');
       }
       
-      const response = await this.api.get(`/api/user/${key}`);
-      return response.data;
+      return await this._get(`/api/user/${key}`, {}, requestOptions);
     } catch (error) {
       throw new Error(error.response ? 
         `Fel vid hämtning av användarinfo: ${error.response.data.error}` : 
@@ -578,13 +1257,32 @@ class OtrustCLI {
     }
   }
 
+  /**
+   * Sammanfatta innehållet i den lokala cachen
+   * @returns {Object} Antal poster, storlek i byte och äldsta och senaste hämtning
+   */
+  getCacheStats() {
+    return cache.cacheStats(this.cacheDir);
+  }
+
+  /**
+   * Töm den lokala cachen
+   * @returns {number} Antal borttagna poster
+   */
+  clearCache() {
+    const removed = cache.clearCache(this.cacheDir);
+    this._log('info', `${removed} poster togs bort ur cachen`);
+    return removed;
+  }
+
   /**
    * Få statistik om blockkedjan
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Blockkedjestatistik
    */
-  async getBlockchainStats() {
+  async getBlockchainStats(requestOptions = {}) {
     try {
-      const response = await this.api.get('/api/blockchain/stats');
+      const response = await this.api.get('/api/blockchain/stats', this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -595,11 +1293,12 @@ class OtrustCLI {
 
   /**
    * Få systemstatistik
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Systemstatistik
    */
-  async getSystemStats() {
+  async getSystemStats(requestOptions = {}) {
     try {
-      const response = await this.api.get('/api/stats');
+      const response = await this.api.get('/api/stats', this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -610,11 +1309,12 @@ class OtrustCLI {
 
   /**
    * Kontrollera serverns hälsa
+   * @param {Object} [requestOptions] - Anropsalternativ (signal, timeout, retries, retryDelay)
    * @returns {Object} Hälsoinformation
    */
-  async getHealth() {
+  async getHealth(requestOptions = {}) {
     try {
-      const response = await this.api.get('/health');
+      const response = await this.api.get('/health', this._requestConfig(requestOptions));
       return response.data;
     } catch (error) {
       throw new Error(error.response ? 
@@ -0,0 +1,178 @@
+/**
+ * OTRUST cache - Lokal diskcache för läsanrop, med läsning utan nätverk och
+ * villkorlig förnyelse via ETag
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// default: hämta från servern och förnya med ETag, offline: endast cachen,
+// refresh: hämta från servern utan att använda cachen
+const CACHE_MODES = ['default', 'offline', 'refresh'];
+
+/**
+ * Beräkna cachenyckeln för ett anrop
+ * @param {string} server - Serverns bas-URL
+ * @param {string} url - Sökväg för anropet
+ * @param {Object} [params] - Frågeparametrar
+ * @returns {string} Nyckeln som hex-sträng
+ */
+function cacheKey(server, url, params = {}) {
+  const sorted = Object.keys(params).sort().map(name => [name, params[name]]);
+  return crypto.createHash('sha256').update(JSON.stringify([server, url, sorted])).digest('hex');
+}
+
+/**
+ * Läs en post ur cachen
+ * @private
+ * @param {string} dir - Cachemappen
+ * @param {string} key - Cachenyckel
+ * @returns {Object|null} Posten, eller null om den saknas eller inte kan läsas
+ */
+function readEntry(dir, key) {
+  const file = path.join(dir, `${key}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    // En trasig post behandlas som saknad och skrivs över vid nästa hämtning
+    return null;
+  }
+}
+
+/**
+ * Skriv en post till cachen
+ * @private
+ * @param {string} dir - Cachemappen
+ * @param {string} key - Cachenyckel
+ * @param {Object} entry - Posten
+ */
+function writeEntry(dir, key, entry) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(entry));
+}
+
+/**
+ * Antal hela sekunder sedan en tidpunkt
+ * @private
+ * @param {string} timestamp - Tidpunkt i ISO 8601
+ * @returns {number} Sekunder, minst 0
+ */
+function ageSeconds(timestamp) {
+  return Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+}
+
+/**
+ * Gör ett GET-anrop via cachen. Svaret innehåller data som från axios samt
+ * cache med status (fetched, revalidated eller offline), fetchedAt, tiden då
+ * servern senast skickade svaret, och age, sekunder sedan dess. Ett svar som
+ * servern bekräftat med 304 får även revalidatedAt.
+ * @param {Object} api - Axios-instans med baseURL
+ * @param {string} url - Sökväg för anropet
+ * @param {Object} options - Alternativ
+ * @param {string} options.dir - Cachemappen
+ * @param {Object} [options.params] - Frågeparametrar
+ * @param {string} [options.mode='default'] - Cacheläge (default, offline, refresh)
+ * @param {Object} [options.config] - Övrig konfiguration för axios, t.ex. signal och timeout
+ * @returns {Object} Svaret med data och cache
+ */
+async function cachedGet(api, url, { dir, params = {}, mode = 'default', config = {} }) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Okänt cacheläge: ${mode}`);
+  }
+
+  const key = cacheKey(api.defaults.baseURL, url, params);
+  const entry = mode === 'refresh' ? null : readEntry(dir, key);
+
+  if (mode === 'offline') {
+    if (!entry) {
+      const error = new Error(`Inget cachat svar för ${url}`);
+      error.code = 'ECACHEMISS';
+      throw error;
+    }
+    return { data: entry.data, status: 200, cache: { status: 'offline', fetchedAt: entry.fetchedAt, age: ageSeconds(entry.fetchedAt) } };
+  }
+
+  const response = await api.get(url, {
+    ...config,
+    params,
+    headers: entry && entry.etag ? { 'If-None-Match': entry.etag } : {},
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && !!entry)
+  });
+
+  if (response.status === 304) {
+    // Servern bekräftar att det cachade svaret fortfarande gäller; åldern räknas från när det hämtades
+    const revalidatedAt = new Date().toISOString();
+    writeEntry(dir, key, { ...entry, revalidatedAt });
+    return {
+      data: entry.data,
+      status: response.status,
+      cache: { status: 'revalidated', fetchedAt: entry.fetchedAt, revalidatedAt, age: ageSeconds(entry.fetchedAt) }
+    };
+  }
+
+  const fetchedAt = new Date().toISOString();
+  writeEntry(dir, key, {
+    server: api.defaults.baseURL,
+    url,
+    params,
+    etag: response.headers.etag || null,
+    fetchedAt,
+    data: response.data
+  });
+  return { data: response.data, status: response.status, cache: { status: 'fetched', fetchedAt, age: 0 } };
+}
+
+/**
+ * Sammanfatta innehållet i cachen
+ * @param {string} dir - Cachemappen
+ * @returns {Object} Antal poster, storlek i byte och äldsta och senaste hämtning
+ */
+function cacheStats(dir) {
+  const stats = { dir, entries: 0, bytes: 0, oldest: null, newest: null };
+  if (!fs.existsSync(dir)) {
+    return stats;
+  }
+
+  fs.readdirSync(dir).filter(name => name.endsWith('.json')).forEach(name => {
+    const file = path.join(dir, name);
+    stats.entries += 1;
+    stats.bytes += fs.statSync(file).size;
+
+    const entry = readEntry(dir, path.basename(name, '.json'));
+    if (entry && entry.fetchedAt) {
+      if (!stats.oldest || entry.fetchedAt < stats.oldest) stats.oldest = entry.fetchedAt;
+      if (!stats.newest || entry.fetchedAt > stats.newest) stats.newest = entry.fetchedAt;
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * Töm cachen
+ * @param {string} dir - Cachemappen
+ * @returns {number} Antal borttagna poster
+ */
+function clearCache(dir) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  const files = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+  files.forEach(name => fs.unlinkSync(path.join(dir, name)));
+  return files.length;
+}
+
+module.exports = {
+  CACHE_MODES,
+  cacheKey,
+  cachedGet,
+  cacheStats,
+  clearCache
+};
@@ -0,0 +1,129 @@
+/**
+ * OTRUST kontrollpunkter - Lokalt fastnålade blockhashar för att upptäcka
+ * om serverns blockkedja har skrivits om
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Läs kontrollpunktsfilen
+ * @param {string} file - Sökväg till filen
+ * @returns {Object} Kontrollpunkter per server
+ */
+function readCheckpoints(file) {
+  if (!fs.existsSync(file)) {
+    return { version: CHECKPOINT_VERSION, servers: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Kontrollpunktsfilen kunde inte läsas: ${error.message}`);
+  }
+  if (data.version !== CHECKPOINT_VERSION || !data.servers) {
+    throw new Error(`Kontrollpunktsfilen har ett okänt format: ${file}`);
+  }
+  return data;
+}
+
+/**
+ * Skriv kontrollpunktsfilen
+ * @param {string} file - Sökväg till filen
+ * @param {Object} data - Kontrollpunkter per server
+ */
+function writeCheckpoints(file, data) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Hämta kontrollpunkterna för en server, och skapa dem om de saknas
+ * @param {Object} data - Kontrollpunkter per server
+ * @param {string} server - Serverns URL
+ * @returns {Object} Serverns kontrollpunkter med fastnålade block per index
+ */
+function serverCheckpoints(data, server) {
+  if (!data.servers[server]) {
+    data.servers[server] = { blocks: {}, updatedAt: null };
+  }
+  return data.servers[server];
+}
+
+/**
+ * Högsta fastnålade blockindex
+ * @param {Object} checkpoints - Serverns kontrollpunkter
+ * @returns {number} Index, eller -1 om inget block är fastnålat
+ */
+function highestPinnedIndex(checkpoints) {
+  return Object.keys(checkpoints.blocks).reduce((max, index) => Math.max(max, Number(index)), -1);
+}
+
+/**
+ * Jämför ett block med kontrollpunkterna och nåla fast det om det är nytt.
+ * En redan fastnålad hash skrivs bara över när accept är satt.
+ * @param {Object} checkpoints - Serverns kontrollpunkter (uppdateras)
+ * @param {Object} block - Blocket med index och hash
+ * @param {string} source - Var blocket kommer ifrån (stats eller verify)
+ * @param {Object} [options] - Alternativ
+ * @param {boolean} [options.accept=false] - Godta serverns nuvarande hash
+ * @returns {Object|null} Avvikelse med pinned och actual, eller null om blocket stämmer
+ */
+function checkBlock(checkpoints, block, source, options = {}) {
+  const pinned = checkpoints.blocks[block.index];
+
+  if (pinned && pinned.hash !== block.hash && !options.accept) {
+    return { type: 'rewritten', index: block.index, pinned: pinned.hash, actual: block.hash, pinnedAt: pinned.seenAt };
+  }
+  if (!pinned || pinned.hash !== block.hash) {
+    checkpoints.blocks[block.index] = { hash: block.hash, seenAt: new Date().toISOString(), source };
+  }
+  return null;
+}
+
+/**
+ * Granska blockkedjans senaste block mot kontrollpunkterna
+ * @param {Object} checkpoints - Serverns kontrollpunkter (uppdateras)
+ * @param {Object} latestBlock - Senaste blocket med index och hash
+ * @param {Object} [options] - Alternativ
+ * @param {boolean} [options.accept=false] - Godta serverns nuvarande kedja
+ * @returns {Array<Object>} Avvikelser (rewritten, shorter)
+ */
+function auditLatestBlock(checkpoints, latestBlock, options = {}) {
+  const findings = [];
+  const highest = highestPinnedIndex(checkpoints);
+
+  if (latestBlock.index < highest) {
+    if (options.accept) {
+      Object.keys(checkpoints.blocks)
+        .filter(index => Number(index) > latestBlock.index)
+        .forEach(index => delete checkpoints.blocks[index]);
+    } else {
+      findings.push({ type: 'shorter', pinnedIndex: highest, latestIndex: latestBlock.index });
+    }
+  }
+
+  const finding = checkBlock(checkpoints, latestBlock, 'stats', options);
+  if (finding) {
+    findings.push(finding);
+  }
+
+  checkpoints.updatedAt = new Date().toISOString();
+  return findings;
+}
+
+module.exports = {
+  CHECKPOINT_VERSION,
+  readCheckpoints,
+  writeCheckpoints,
+  serverCheckpoints,
+  highestPinnedIndex,
+  checkBlock,
+  auditLatestBlock
+};
@@ -0,0 +1,487 @@
+/**
+ * OTRUST komplettering - Skript för tabbkomplettering i bash, zsh och fish
+ * utifrån kommandodefinitionerna, och lokalt sparade ID:n och nycklar som
+ * skripten kompletterar med
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+
+// Mappen under hemkatalogen där sedda värden sparas, en fil per slag med ett
+// värde per rad, så att skripten kan läsa dem utan att starta node
+const SEEN_DIR = '.otrust/completion';
+const SEEN_KINDS = ['claims', 'users'];
+const DEFAULT_SEEN_LIMIT = 200;
+
+const HELP_OPTION = { flags: ['-h', '--help'], description: 'Display help for command', takesValue: false, values: null };
+const VERSION_OPTION = { flags: ['-V', '--version'], description: 'Output the version number', takesValue: false, values: null };
+
+/**
+ * Beskriv ett commander-program som underlag för kompletteringsskripten
+ * @param {Object} program - Programmet (commander Command)
+ * @param {Function} [resolve] - Anropas med kommandots namn (null för
+ * globala flaggor) och flaggans långa namn eller argumentets namn; returnerar
+ * en lista med värden, 'claims', 'users' eller 'files', eller null
+ * @returns {Object} name, options och commands med name, description, options och args
+ */
+function describeProgram(program, resolve = () => null) {
+  const describeOptions = (command, commandName) => command.options
+    .filter(option => !option.hidden)
+    .map(option => {
+      const takesValue = option.required || option.optional;
+      return {
+        flags: [option.short, option.long].filter(Boolean),
+        description: option.description,
+        takesValue,
+        values: takesValue ? resolve(commandName, option.long) || null : null
+      };
+    });
+
+  return {
+    name: program.name(),
+    options: describeOptions(program, null).concat(HELP_OPTION, VERSION_OPTION),
+    commands: program.commands
+      .filter(command => !command._hidden)
+      .map(command => ({
+        name: command.name(),
+        description: command.description(),
+        options: describeOptions(command, command.name()).concat(HELP_OPTION),
+        args: command.registeredArguments.map(argument => ({
+          name: argument.name(),
+          required: argument.required,
+          variadic: argument.variadic,
+          values: resolve(command.name(), argument.name()) || null
+        }))
+      }))
+  };
+}
+
+/**
+ * Globala flaggor som också gäller efter ett kommando, dvs. utom --help och --version
+ * @private
+ * @param {Object} spec - Beskrivningen från describeProgram
+ * @returns {Array<Object>} Flaggorna
+ */
+function sharedOptions(spec) {
+  return spec.options.filter(option => !option.flags.includes('--help') && !option.flags.includes('--version'));
+}
+
+/**
+ * Namnet på skriptens hjälpfunktioner, t.ex. _otrust_cli
+ * @private
+ * @param {Object} spec - Beskrivningen från describeProgram
+ * @returns {string} Funktionsnamnet
+ */
+function functionName(spec) {
+  return `_${spec.name.replace(/[^A-Za-z0-9]/g, '_')}`;
+}
+
+/**
+ * Översätt flaggans eller argumentets värden till det bash-skriptet skriver ut
+ * @private
+ * @param {Array<string>|string|null} values - Värdena
+ * @returns {string} words:..., seen:..., files eller none
+ */
+function bashKind(values) {
+  if (Array.isArray(values)) {
+    return `words:${values.join(' ')}`;
+  }
+  if (SEEN_KINDS.includes(values)) {
+    return `seen:${values}`;
+  }
+  return values === 'files' ? 'files' : 'none';
+}
+
+/**
+ * Skapa kompletteringsskriptet för bash
+ * @param {Object} spec - Beskrivningen från describeProgram
+ * @returns {string} Skriptet
+ */
+function bashScript(spec) {
+  const fn = functionName(spec);
+  const valued = options => options.filter(option => option.takesValue);
+  const optionCases = (options, indent, end = ' ;;') => valued(options)
+    .map(option => `${indent}${option.flags.join('|')}) echo "${bashKind(option.values)}"${end}`);
+  const flagList = options => options.map(option => option.flags.join(' ')).join(' ');
+
+  const lines = [
+    `# bash completion for ${spec.name}`,
+    '#',
+    `# Load it in the current shell with: source <(${spec.name} completion bash)`,
+    `# or install it with: ${spec.name} completion bash > ~/.local/share/bash-completion/completions/${spec.name}`,
+    '',
+    `${fn}_seen() {`,
+    `  local file="$HOME/${SEEN_DIR}/$1"`,
+    '  if [[ -r "$file" ]]; then',
+    '    cat "$file"',
+    '  fi',
+    '}',
+    '',
+    '# What the value of an option completes to; fails for options without a value',
+    `${fn}_option() {`,
+    '  case "$2" in'
+  ];
+  lines.push(...optionCases(spec.options, '    ', '; return ;;'));
+  lines.push('  esac', '  case "$1" in');
+  spec.commands.filter(command => valued(command.options).length > 0).forEach(command => {
+    lines.push(`    ${command.name})`, '      case "$2" in');
+    lines.push(...optionCases(command.options, '        '));
+    lines.push('        *) return 1 ;;', '      esac ;;');
+  });
+  lines.push('    *) return 1 ;;', '  esac', '}', '');
+
+  lines.push('# What the argument at a position completes to', `${fn}_argument() {`, '  case "$1" in');
+  spec.commands.filter(command => command.args.length > 0).forEach(command => {
+    lines.push(`    ${command.name})`, '      case "$2" in');
+    command.args.forEach((argument, index) => {
+      lines.push(`        ${argument.variadic ? '*' : index}) echo "${bashKind(argument.values)}" ;;`);
+    });
+    lines.push('      esac ;;');
+  });
+  lines.push('  esac', '}', '');
+
+  lines.push(`${fn}_options() {`, '  case "$1" in');
+  lines.push(`    "") echo "${flagList(spec.options)}" ;;`);
+  spec.commands.forEach(command => {
+    lines.push(`    ${command.name}) echo "${flagList(command.options)}" ;;`);
+  });
+  lines.push('  esac', '}', '');
+
+  lines.push(
+    `${fn}() {`,
+    '  local line="${COMP_LINE:0:COMP_POINT}" command="" kind="" word i',
+    '  local -a words',
+    '  local -i position=0 expect=0',
+    '  read -ra words <<< "$line"',
+    '  if [[ ${#words[@]} -eq 0 || "$line" =~ [[:space:]]$ ]]; then',
+    '    words+=("")',
+    '  fi',
+    '  local cur="${words[${#words[@]}-1]}"',
+    '',
+    '  # Find the command and the position of the word, skipping option values',
+    '  for ((i = 1; i < ${#words[@]} - 1; i++)); do',
+    '    word="${words[i]}"',
+    '    if (( expect )); then',
+    '      expect=0',
+    '    elif [[ "$word" == -* ]]; then',
+    `      if [[ "$word" != *=* ]] && ${fn}_option "$command" "$word" > /dev/null; then`,
+    '        expect=1',
+    '      fi',
+    '    elif [[ -z "$command" ]]; then',
+    '      command="$word"',
+    '    else',
+    '      position+=1',
+    '    fi',
+    '  done',
+    '',
+    '  if (( expect )); then',
+    `    kind="$(${fn}_option "$command" "\${words[i-1]}")"`,
+    '  elif [[ "$cur" == -* ]]; then',
+    `    kind="words:$(${fn}_options "$command")"`,
+    '    if [[ -n "$command" ]]; then',
+    `      kind="$kind ${flagList(sharedOptions(spec))}"`,
+    '    fi',
+    '  elif [[ -z "$command" ]]; then',
+    `    kind="words:${spec.commands.map(command => command.name).join(' ')}"`,
+    '  else',
+    `    kind="$(${fn}_argument "$command" "$position")"`,
+    '  fi',
+    '',
+    '  case "$kind" in',
+    '    words:*) COMPREPLY=($(compgen -W "${kind#words:}" -- "$cur")) ;;',
+    `    seen:*) COMPREPLY=($(compgen -W "$(${fn}_seen "\${kind#seen:}")" -- "$cur")) ;;`,
+    '    files)',
+    '      compopt -o filenames 2> /dev/null',
+    '      COMPREPLY=($(compgen -f -- "$cur")) ;;',
+    '    *) COMPREPLY=() ;;',
+    '  esac',
+    '',
+    '  # Bash only replaces the part of the word after the last : or = when they break words',
+    '  local breaks="${COMP_WORDBREAKS//[^:=]/}"',
+    '  if [[ -n "$breaks" && "$cur" == *["$breaks"]* ]]; then',
+    '    local prefix="${cur%"${cur##*["$breaks"]}"}"',
+    '    COMPREPLY=("${COMPREPLY[@]#"$prefix"}")',
+    '  fi',
+    '}',
+    '',
+    `complete -F ${fn} ${spec.name}`,
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Citera en sträng för zsh med enkla citattecken
+ * @private
+ * @param {string} value - Strängen
+ * @returns {string} Citerad sträng
+ */
+function zshQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Skydda tecken som har betydelse i en _arguments-beskrivning
+ * @private
+ * @param {string} value - Texten
+ * @returns {string} Skyddad text
+ */
+function zshEscape(value) {
+  return String(value || '').replace(/([\\[\]:])/g, '\\$1');
+}
+
+/**
+ * Översätt flaggans eller argumentets värden till en åtgärd för _arguments
+ * @private
+ * @param {Array<string>|string|null} values - Värdena
+ * @param {string} fn - Namnet på skriptets funktion
+ * @returns {string} Åtgärden
+ */
+function zshAction(values, fn) {
+  if (Array.isArray(values)) {
+    return `(${values.join(' ')})`;
+  }
+  if (SEEN_KINDS.includes(values)) {
+    return `${fn}_seen ${values}`;
+  }
+  return values === 'files' ? '_files' : ' ';
+}
+
+/**
+ * Skapa argumenten till _arguments för flaggor och positionsargument
+ * @private
+ * @param {Array<Object>} options - Flaggorna
+ * @param {Array<Object>} args - Positionsargumenten
+ * @param {string} fn - Namnet på skriptets funktion
+ * @returns {Array<string>} Citerade specifikationer
+ */
+function zshSpecs(options, args, fn) {
+  const specs = [];
+  options.forEach(option => {
+    option.flags.forEach(flag => {
+      const value = option.takesValue ? `:${zshEscape(flag.replace(/^-+/, ''))}:${zshAction(option.values, fn)}` : '';
+      specs.push(zshQuote(`${flag}[${zshEscape(option.description)}]${value}`));
+    });
+  });
+  args.forEach((argument, index) => {
+    const position = argument.variadic ? '*' : String(index + 1);
+    const optional = argument.required ? '' : ':';
+    specs.push(zshQuote(`${position}:${optional}${zshEscape(argument.name)}:${zshAction(argument.values, fn)}`));
+  });
+  return specs;
+}
+
+/**
+ * Skapa kompletteringsskriptet för zsh
+ * @param {Object} spec - Beskrivningen från describeProgram
+ * @returns {string} Skriptet
+ */
+function zshScript(spec) {
+  const fn = functionName(spec);
+  const continued = (specs, indent) => specs.map(item => `${indent}${item}`).join(' \\\n');
+
+  const lines = [
+    `#compdef ${spec.name}`,
+    '',
+    `# zsh completion for ${spec.name}`,
+    '#',
+    `# Load it in the current shell with: source <(${spec.name} completion zsh)`,
+    `# or install it as _${spec.name} in a directory on $fpath`,
+    '',
+    `${fn}_seen() {`,
+    `  local file="$HOME/${SEEN_DIR}/$1"`,
+    '  local -a expl values',
+    '  if [[ -r $file ]]; then',
+    '    values=(${(f)"$(<$file)"})',
+    '  fi',
+    `  _wanted ${fn.slice(1)}-$1 expl "$1" compadd -a values`,
+    '}',
+    '',
+    `${fn}() {`,
+    '  local curcontext="$curcontext" state line',
+    '  local -a commands',
+    '  commands=(',
+    spec.commands.map(command => `    ${zshQuote(`${command.name.replace(/:/g, '\\:')}:${command.description}`)}`).join('\n'),
+    '  )',
+    '',
+    '  _arguments -C \\',
+    continued(zshSpecs(spec.options, [], fn).concat("'1: :->command'", "'*:: :->argument'"), '    '),
+    '',
+    '  case $state in',
+    '    command)',
+    `      _describe -t commands ${zshQuote(`${spec.name} command`)} commands ;;`,
+    '    argument)',
+    '      case $words[1] in'
+  ];
+  spec.commands.forEach(command => {
+    lines.push(
+      `        ${command.name})`,
+      '          _arguments \\',
+      `${continued(zshSpecs(command.options.concat(sharedOptions(spec)), command.args, fn), '            ')} ;;`
+    );
+  });
+  lines.push(
+    '      esac ;;',
+    '  esac',
+    '}',
+    '',
+    'if [[ $zsh_eval_context[-1] == loadautofunc ]]; then',
+    `  ${fn} "$@"`,
+    'else',
+    `  compdef ${fn} ${spec.name}`,
+    'fi',
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Citera en sträng för fish med enkla citattecken
+ * @private
+ * @param {string} value - Strängen
+ * @returns {string} Citerad sträng
+ */
+function fishQuote(value) {
+  return `'${String(value || '').replace(/([\\'])/g, '\\$1')}'`;
+}
+
+/**
+ * Översätt flaggans eller argumentets värden till argument för complete
+ * @private
+ * @param {Array<string>|string|null} values - Värdena
+ * @param {string} fn - Namnet på skriptets funktion
+ * @returns {string} Argumenten
+ */
+function fishValues(values, fn) {
+  if (Array.isArray(values)) {
+    return ` -a ${fishQuote(values.join(' '))}`;
+  }
+  if (SEEN_KINDS.includes(values)) {
+    return ` -a ${fishQuote(`(${fn}_seen ${values})`)}`;
+  }
+  return values === 'files' ? ' -F' : '';
+}
+
+/**
+ * Skapa kompletteringsskriptet för fish
+ * @param {Object} spec - Beskrivningen från describeProgram
+ * @returns {string} Skriptet
+ */
+function fishScript(spec) {
+  const fn = `_${functionName(spec)}`;
+  const complete = `complete -c ${spec.name}`;
+  const optionLine = (option, condition) => {
+    const flags = option.flags.map(flag => {
+      if (flag.startsWith('--')) {
+        return `-l ${flag.slice(2)}`;
+      }
+      // fish tar bara korta flaggor med ett tecken; längre blir flaggor i gammal stil
+      return flag.length === 2 ? `-s ${flag.slice(1)}` : `-o ${flag.slice(1)}`;
+    }).join(' ');
+    const value = option.takesValue ? ` ${option.values === 'files' ? '-r' : '-x'}${fishValues(option.values, fn)}` : '';
+    return `${complete}${condition} ${flags}${value} -d ${fishQuote(option.description)}`;
+  };
+
+  const lines = [
+    `# fish completion for ${spec.name}`,
+    '#',
+    `# Load it in the current shell with: ${spec.name} completion fish | source`,
+    `# or install it with: ${spec.name} completion fish > ~/.config/fish/completions/${spec.name}.fish`,
+    '',
+    `function ${fn}_seen`,
+    `    set -l file $HOME/${SEEN_DIR}/$argv[1]`,
+    '    if test -r $file',
+    '        cat $file',
+    '    end',
+    'end',
+    '',
+    `${complete} -f`,
+    ''
+  ];
+  spec.options.forEach(option => lines.push(optionLine(option, '')));
+  lines.push('');
+  spec.commands.forEach(command => {
+    lines.push(`${complete} -n __fish_use_subcommand -a ${fishQuote(command.name)} -d ${fishQuote(command.description)}`);
+  });
+  spec.commands.forEach(command => {
+    const condition = ` -n ${fishQuote(`__fish_seen_subcommand_from ${command.name}`)}`;
+    lines.push('');
+    command.options.filter(option => option.flags[0] !== '-h').forEach(option => lines.push(optionLine(option, condition)));
+    command.args.filter(argument => argument.values).forEach(argument => {
+      lines.push(`${complete}${condition}${fishValues(argument.values, fn)}`);
+    });
+  });
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Skapa kompletteringsskriptet för ett skal
+ * @param {string} shell - bash, zsh eller fish
+ * @param {Object} spec - Beskrivningen från describeProgram
+ * @returns {string} Skriptet
+ * @throws {Error} Om skalet inte stöds
+ */
+function script(shell, spec) {
+  switch (shell) {
+    case 'bash':
+      return bashScript(spec);
+    case 'zsh':
+      return zshScript(spec);
+    case 'fish':
+      return fishScript(spec);
+    default:
+      throw new Error(`Skalet stöds inte: ${shell}. Använd ${COMPLETION_SHELLS.join(', ')}`);
+  }
+}
+
+/**
+ * Läs sparade värden
+ * @param {string} file - Filen med ett värde per rad
+ * @returns {Array<string>} Värdena med det senast sedda först
+ */
+function loadSeen(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.length > 0);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Spara nyss sedda värden först i en fil, utan dubbletter
+ * @param {string} file - Filen med ett värde per rad
+ * @param {Array<string>} values - De nyss sedda värdena, det viktigaste först
+ * @param {number} [limit=200] - Största antal värden som sparas
+ * @returns {Array<string>} Alla sparade värden med det senast sedda först
+ */
+function rememberSeen(file, values, limit = DEFAULT_SEEN_LIMIT) {
+  // Värden med blanksteg eller radbrytningar skulle delas upp i skripten och
+  // kan inte kompletteras, så de sparas inte
+  const fresh = Array.from(new Set(values.filter(Boolean).map(String)))
+    .filter(value => !/\s/.test(value));
+  const previous = loadSeen(file);
+  if (fresh.length === 0) {
+    return previous;
+  }
+
+  const seen = fresh.concat(previous.filter(value => !fresh.includes(value))).slice(0, limit);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${seen.join('\n')}\n`, { mode: 0o600 });
+  return seen;
+}
+
+module.exports = {
+  COMPLETION_SHELLS,
+  SEEN_DIR,
+  DEFAULT_SEEN_LIMIT,
+  describeProgram,
+  bashScript,
+  zshScript,
+  fishScript,
+  script,
+  loadSeen,
+  rememberSeen
+};
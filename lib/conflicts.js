@@ -0,0 +1,101 @@
+/**
+ * OTRUST konflikter - Hitta påståenden med samma subjekt och predikat men
+ * ett annat objekt, utifrån semantiska sökningar och fritextsökningar
+ */
+
+const normalize = value => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+
+/**
+ * Avgör om två påståenden gäller samma subjekt och predikat
+ * @param {Object} a - Semantisk struktur med subject och predicate
+ * @param {Object} b - Semantisk struktur med subject och predicate
+ * @returns {boolean} Om subjekt och predikat är lika, utan hänsyn till skiftläge
+ */
+function sameStatement(a, b) {
+  return normalize(a.subject) === normalize(b.subject) && normalize(a.predicate) === normalize(b.predicate);
+}
+
+/**
+ * Avgör om ett påstående fortfarande gäller
+ * @param {Object} claim - Påståendet eller en sammanfattning från en lista
+ * @returns {boolean} Om påståendet varken är tillbakadraget eller ersatt
+ */
+function isActive(claim) {
+  return !claim.retraction && (!claim.status || claim.status === 'active');
+}
+
+/**
+ * Hitta påståenden som motsäger ett påstående
+ * @param {Object} semantic - Påståendets semantiska struktur med subject, predicate och object
+ * @param {Object} sources - Svar att söka i
+ * @param {Object} [sources.semantic] - Svaret från /api/semantic/:subject/:predicate
+ * @param {Object} [sources.search] - Svaret från /api/search
+ * @param {Array<string>} [sources.exclude] - ID:n för påståenden som inte räknas, t.ex. påståendet självt
+ * @returns {Array<Object>} Motstridiga påståenden med claimId, object, claim, credibility, confirmations och disputes, mest trovärdiga först
+ */
+function findConflicts(semantic, sources = {}) {
+  const object = normalize(semantic.object);
+  const exclude = new Set(sources.exclude || []);
+  const conflicts = new Map();
+  const matches = (sources.search && sources.search.results) || [];
+
+  // Den semantiska sökningen slår ihop påståenden per objekt och ger trovärdighet per objekt
+  ((sources.semantic && sources.semantic.objects) || []).forEach(entry => {
+    if (normalize(entry.object) === object || exclude.has(entry.claimId)) {
+      return;
+    }
+    const match = matches.find(result => result.id === entry.claimId);
+    conflicts.set(entry.claimId, {
+      claimId: entry.claimId,
+      object: entry.object,
+      claim: match ? match.claim : null,
+      credibility: entry.credibility,
+      confirmations: entry.confirmations,
+      disputes: entry.disputes
+    });
+  });
+
+  // Fritextsökningen hittar enskilda påståenden som den semantiska sökningen slagit ihop
+  matches.forEach(result => {
+    if (!result.semantic || conflicts.has(result.id) || exclude.has(result.id) || !isActive(result) ||
+      !sameStatement(result.semantic, semantic) || normalize(result.semantic.object) === object) {
+      return;
+    }
+    conflicts.set(result.id, {
+      claimId: result.id,
+      object: result.semantic.object,
+      claim: result.claim,
+      credibility: typeof result.credibilityScore === 'number' ? result.credibilityScore : null,
+      confirmations: null,
+      disputes: null
+    });
+  });
+
+  return Array.from(conflicts.values())
+    .sort((a, b) => (b.credibility === null ? -1 : b.credibility) - (a.credibility === null ? -1 : a.credibility));
+}
+
+/**
+ * Gruppera påståenden per subjekt och predikat, så att varje par bara
+ * behöver en semantisk sökning
+ * @param {Array<Object>} claims - Påståenden med semantic
+ * @returns {Array<Object>} Grupper med subject, predicate och claims
+ */
+function groupByStatement(claims) {
+  const groups = new Map();
+  claims.forEach(claim => {
+    const key = `${normalize(claim.semantic.subject)}\n${normalize(claim.semantic.predicate)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { subject: claim.semantic.subject, predicate: claim.semantic.predicate, claims: [] });
+    }
+    groups.get(key).claims.push(claim);
+  });
+  return Array.from(groups.values());
+}
+
+module.exports = {
+  sameStatement,
+  isActive,
+  findConflicts,
+  groupByStatement
+};
@@ -0,0 +1,90 @@
+/**
+ * OTRUST kontexter - Namngivna uppsättningar av server, nyckelpar och token
+ * i konfigurationsfilen
+ */
+
+const DEFAULT_CONTEXT = 'default';
+const CONTEXT_FIELDS = ['server', 'keyPair', 'token'];
+
+/**
+ * Kontrollera att ett kontextnamn är giltigt
+ * @param {string} name - Kontextnamn
+ */
+function validateContextName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(name)) {
+    throw new Error(`Ogiltigt kontextnamn: ${name}`);
+  }
+}
+
+/**
+ * Normalisera innehållet i konfigurationsfilen till kontextformat.
+ * Äldre filer med server, keyPair och token på toppnivå blir kontexten "default".
+ * @param {Object} [raw] - Tolkat innehåll i konfigurationsfilen
+ * @returns {Object} Inställningar med currentContext och contexts
+ */
+function normalizeSettings(raw = {}) {
+  const { contexts, currentContext, ...rest } = raw;
+
+  if (contexts && Object.keys(contexts).length > 0) {
+    return {
+      ...rest,
+      currentContext: contexts[currentContext] ? currentContext : Object.keys(contexts)[0],
+      contexts
+    };
+  }
+
+  const legacy = {};
+  CONTEXT_FIELDS.forEach(field => {
+    if (rest[field] !== undefined) {
+      legacy[field] = rest[field];
+    }
+    delete rest[field];
+  });
+
+  return {
+    ...rest,
+    currentContext: DEFAULT_CONTEXT,
+    contexts: { [DEFAULT_CONTEXT]: legacy }
+  };
+}
+
+/**
+ * Hämta en kontext ur inställningarna
+ * @param {Object} settings - Normaliserade inställningar
+ * @param {string} [name] - Kontextnamn (använder aktiv kontext om ej angiven)
+ * @returns {Object} Kontextens namn och värden
+ */
+function resolveContext(settings, name) {
+  const contextName = name || settings.currentContext;
+  if (!settings.contexts[contextName]) {
+    throw new Error(`Kontexten ${contextName} finns inte`);
+  }
+  return { name: contextName, values: settings.contexts[contextName] };
+}
+
+/**
+ * Sammanfatta alla kontexter utan att exponera nycklar eller token
+ * @param {Object} settings - Normaliserade inställningar
+ * @returns {Array<Object>} Lista med kontexter
+ */
+function listContexts(settings) {
+  return Object.keys(settings.contexts).map(name => {
+    const context = settings.contexts[name];
+    return {
+      name,
+      active: name === settings.currentContext,
+      server: context.server || null,
+      hasKeyPair: !!context.keyPair,
+      isLoggedIn: !!context.token
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_CONTEXT,
+  CONTEXT_FIELDS,
+  validateContextName,
+  normalizeSettings,
+  resolveContext,
+  listContexts
+};
@@ -0,0 +1,142 @@
+/**
+ * OTRUST kuvert - Självständiga signerade filer för signering på en
+ * frånkopplad dator och inskickning från en uppkopplad
+ */
+
+const crypto = require('crypto');
+const signatures = require('./signatures');
+
+const ENVELOPE_FORMAT = 'otrust-envelope';
+// Version 2 signerar giltighetstiden; version 1 lät vem som helst ändra expiresAt
+const ENVELOPE_VERSION = 2;
+const ENVELOPE_KINDS = ['claim', 'proof'];
+
+// Standardgiltighet för ett kuvert: 24 timmar
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Bygg det som signeras för kuvertets giltighetstid. Payloaden själv har
+ * fasta fält som servern kontrollerar, så tiderna signeras separat tillsammans
+ * med payloadens hash.
+ * @param {Object} envelope - Kuvertet med kind, payload, createdAt och expiresAt
+ * @returns {string} JSON-sträng att signera
+ */
+function headerPayload(envelope) {
+  return JSON.stringify({
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kind: envelope.kind,
+    payloadHash: crypto.createHash('sha256').update(envelope.payload).digest('hex'),
+    createdAt: envelope.createdAt,
+    expiresAt: envelope.expiresAt
+  });
+}
+
+/**
+ * Skapa ett signerat kuvert
+ * @param {string} kind - Typ av innehåll (claim eller proof)
+ * @param {string} payload - JSON-sträng som har signerats
+ * @param {string} signature - Signaturen som hex-sträng
+ * @param {string} publicKey - Publik nyckel i PEM-format
+ * @param {Function} sign - Signerar en sträng med den privata nyckeln och returnerar signaturen som hex-sträng
+ * @param {Object} [options] - Alternativ
+ * @param {number} [options.ttl] - Giltighetstid i millisekunder
+ * @returns {Object} Kuvertet
+ */
+function createEnvelope(kind, payload, signature, publicKey, sign, options = {}) {
+  if (!ENVELOPE_KINDS.includes(kind)) {
+    throw new Error(`Ogiltig kuverttyp: ${kind}`);
+  }
+
+  const createdAt = Date.now();
+  const ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+
+  const envelope = {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kind,
+    payload,
+    signature,
+    publicKey,
+    createdAt,
+    expiresAt: createdAt + ttl
+  };
+  envelope.headerSignature = sign(headerPayload(envelope));
+  return envelope;
+}
+
+/**
+ * Läs och validera ett kuvert
+ * @param {string|Object} input - Kuvertet som JSON-sträng eller objekt
+ * @param {Object} [options] - Alternativ
+ * @param {string} [options.kind] - Förväntad kuverttyp
+ * @param {boolean} [options.allowExpired=false] - Godta utgångna kuvert
+ * @returns {Object} Det validerade kuvertet med tolkad payload i `data`
+ */
+function parseEnvelope(input, options = {}) {
+  let envelope = input;
+  if (typeof input === 'string') {
+    try {
+      envelope = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Felaktigt kuvert: ${error.message}`);
+    }
+  }
+
+  if (!envelope || typeof envelope !== 'object' || envelope.format !== ENVELOPE_FORMAT) {
+    throw new Error('Felaktigt kuvert: okänt format');
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Felaktigt kuvert: version ${envelope.version} stöds inte`);
+  }
+  if (!ENVELOPE_KINDS.includes(envelope.kind)) {
+    throw new Error(`Felaktigt kuvert: ogiltig typ ${envelope.kind}`);
+  }
+  if (options.kind && envelope.kind !== options.kind) {
+    throw new Error(`Felaktigt kuvert: förväntade ${options.kind} men fick ${envelope.kind}`);
+  }
+  ['payload', 'signature', 'publicKey', 'headerSignature'].forEach(field => {
+    if (typeof envelope[field] !== 'string' || envelope[field].length === 0) {
+      throw new Error(`Felaktigt kuvert: fältet ${field} saknas`);
+    }
+  });
+  ['createdAt', 'expiresAt'].forEach(field => {
+    if (typeof envelope[field] !== 'number') {
+      throw new Error(`Felaktigt kuvert: fältet ${field} saknas`);
+    }
+  });
+
+  let data;
+  try {
+    data = JSON.parse(envelope.payload);
+  } catch (error) {
+    throw new Error(`Felaktigt kuvert: payload är inte giltig JSON (${error.message})`);
+  }
+  if (data.publicKey !== envelope.publicKey) {
+    throw new Error('Felaktigt kuvert: payload är signerad med en annan nyckel');
+  }
+
+  // Giltighetstiden kontrolleras först när den visats vara signerad
+  if (signatures.verifySignature(headerPayload(envelope), envelope.headerSignature, envelope.publicKey) !== 'valid') {
+    throw new Error('Felaktigt kuvert: giltighetstiden eller typen har ändrats efter signeringen');
+  }
+  if (!options.allowExpired && Date.now() > envelope.expiresAt) {
+    throw new Error(`Kuvertet gick ut ${new Date(envelope.expiresAt).toISOString()}`);
+  }
+
+  const status = signatures.verifySignature(envelope.payload, envelope.signature, envelope.publicKey);
+  if (status !== 'valid') {
+    throw new Error(`Kuvertets signatur är ${status === 'invalid' ? 'ogiltig' : 'inte verifierbar'}`);
+  }
+
+  return { ...envelope, data };
+}
+
+module.exports = {
+  ENVELOPE_FORMAT,
+  ENVELOPE_VERSION,
+  DEFAULT_TTL,
+  headerPayload,
+  createEnvelope,
+  parseEnvelope
+};
@@ -0,0 +1,167 @@
+/**
+ * OTRUST bevisfiler - Beskriv lokala filer som bevis med SHA-256-hash och
+ * kontrollera senare att filer på disk stämmer med hasharna i ett påstående
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Medietyp efter filändelse; okända filer blir application/octet-stream
+const MEDIA_TYPES = {
+  '.pdf': 'application/pdf',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Gissa medietypen för en fil utifrån filändelsen
+ * @param {string} file - Sökväg till filen
+ * @returns {string} Medietyp
+ */
+function mediaType(file) {
+  return MEDIA_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Beräkna SHA-256 för en fil utan att läsa in hela filen i minnet
+ * @param {string} file - Sökväg till filen
+ * @returns {Promise<Object>} Hash i hex och storlek i byte
+ */
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    fs.createReadStream(file)
+      .on('data', chunk => {
+        size += chunk.length;
+        hash.update(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+  });
+}
+
+/**
+ * Beskriv en lokal fil som ett bevis. URI:n bygger på innehållet och inte
+ * på sökvägen, så att beviset inte avslöjar var filen låg.
+ * @param {string} file - Sökväg till filen
+ * @param {Object} [options] - Alternativ
+ * @param {string} [options.title] - Titel (standard: filnamnet)
+ * @returns {Promise<Object>} Bevis med uri, sha256, size, mediaType och title
+ */
+async function describeFile(file, options = {}) {
+  const stat = fs.statSync(file);
+  if (!stat.isFile()) {
+    throw new Error(`Inte en fil: ${file}`);
+  }
+
+  const { sha256, size } = await hashFile(file);
+  return {
+    uri: `urn:sha256:${sha256}`,
+    sha256,
+    size,
+    mediaType: mediaType(file),
+    title: options.title || path.basename(file)
+  };
+}
+
+/**
+ * Kontrollera att ett bevis är en URL-sträng eller ett filbevis med hash
+ * @param {string|Object} entry - Beviset
+ * @returns {boolean} Om beviset har rätt form
+ */
+function isValidEntry(entry) {
+  if (typeof entry === 'string') {
+    return entry.trim().length > 0;
+  }
+  return !!entry && typeof entry === 'object' &&
+    typeof entry.uri === 'string' && entry.uri.length > 0 &&
+    (entry.sha256 === undefined || (typeof entry.sha256 === 'string' && SHA256_PATTERN.test(entry.sha256)));
+}
+
+/**
+ * Beskriv ett bevis som en rad text
+ * @param {string|Object} entry - Beviset
+ * @returns {string} URL:en, eller titel, medietyp, storlek och hash för filbevis
+ */
+function describeEntry(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  const details = [entry.mediaType, typeof entry.size === 'number' ? `${entry.size} bytes` : null].filter(Boolean);
+  const label = entry.title || entry.uri;
+  return `${label}${details.length > 0 ? ` (${details.join(', ')})` : ''}${entry.sha256 ? ` sha256:${entry.sha256}` : ''}`;
+}
+
+/**
+ * Jämför filer på disk med filbevisen i ett påstående
+ * @param {Array<string|Object>} evidence - Påståendets bevis
+ * @param {Array<string>} files - Sökvägar till filerna
+ * @returns {Promise<Object>} Resultat per fil (match, modified, unknown eller unreadable) och filbevis som ingen fil matchade
+ */
+async function checkFiles(evidence, files) {
+  const entries = (evidence || []).filter(entry => entry && typeof entry === 'object' && entry.sha256);
+  const matched = new Set();
+
+  const results = [];
+  for (const file of files) {
+    let hashed;
+    try {
+      hashed = await hashFile(file);
+    } catch (error) {
+      results.push({ file, status: 'unreadable', sha256: null, entry: null, error: error.message });
+      continue;
+    }
+
+    let entry = entries.find(candidate => candidate.sha256 === hashed.sha256);
+    let status = 'match';
+    if (entry) {
+      matched.add(entry);
+    } else {
+      // Ett bevis med samma filnamn men annan hash tyder på att filen har ändrats
+      entry = entries.find(candidate => candidate.title === path.basename(file)) || null;
+      status = entry ? 'modified' : 'unknown';
+    }
+    results.push({ file, status, sha256: hashed.sha256, size: hashed.size, entry });
+  }
+
+  return {
+    valid: results.length > 0 && results.every(result => result.status === 'match'),
+    files: results,
+    unmatched: entries.filter(entry => !matched.has(entry))
+  };
+}
+
+module.exports = {
+  mediaType,
+  hashFile,
+  describeFile,
+  isValidEntry,
+  describeEntry,
+  checkFiles
+};
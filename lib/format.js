@@ -0,0 +1,154 @@
+/**
+ * OTRUST utdataformat - Export av listor med poster som CSV, TSV, NDJSON,
+ * YAML eller Markdown
+ */
+
+const { Parser, transforms: { flatten } } = require('json2csv');
+
+const FORMATS = ['table', 'csv', 'tsv', 'ndjson', 'yaml', 'markdown'];
+
+// Nästlade objekt och listor plattas ut till punktseparerade nycklar,
+// t.ex. semantic.subject, credibility.score och evidence.0
+const flattenRecord = flatten({ objects: true, arrays: true, separator: '.' });
+
+/**
+ * Tolka en kommaseparerad fältlista
+ * @param {string} [fields] - Fältlista, t.ex. "id,claim,semantic.subject"
+ * @returns {Array<string>|null} Fälten, eller null om ingen lista angavs
+ */
+function parseFields(fields) {
+  if (!fields) {
+    return null;
+  }
+  return fields.split(',').map(field => field.trim()).filter(field => field.length > 0);
+}
+
+/**
+ * Platta ut poster och välj fält
+ * @param {Array<Object>} records - Poster att exportera
+ * @param {Array<string>} [fields] - Fält att ta med (standard: alla fält i den ordning de först förekommer)
+ * @returns {Object} Utplattade rader och fältlistan
+ */
+function prepareRecords(records, fields) {
+  const flat = records.map(record => flattenRecord(record));
+
+  let columns = fields;
+  if (!columns || columns.length === 0) {
+    columns = [];
+    flat.forEach(row => {
+      Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      });
+    });
+  }
+
+  const rows = flat.map(row => {
+    const selected = {};
+    columns.forEach(column => {
+      selected[column] = row[column] === undefined ? null : row[column];
+    });
+    return selected;
+  });
+
+  return { rows, fields: columns };
+}
+
+/**
+ * Gör om ett värde till en rad utan tabbar och radbrytningar
+ * @private
+ * @param {*} value - Värdet
+ * @returns {string} Värdet som text
+ */
+function toCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Skriv ett skalärt värde som YAML
+ * @private
+ * @param {*} value - Värdet
+ * @returns {string} YAML-representation
+ */
+function toYamlScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  // JSON-strängar är giltiga YAML-strängar med dubbla citattecken
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Skriv en nyckel som YAML, med citattecken bara när det behövs
+ * @private
+ * @param {string} key - Nyckeln
+ * @returns {string} YAML-representation
+ */
+function toYamlKey(key) {
+  return /^[A-Za-z0-9_.-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Formatera poster i ett exportformat
+ * @param {Array<Object>} records - Poster att exportera
+ * @param {string} format - Format (csv, tsv, ndjson, yaml, markdown)
+ * @param {Array<string>} [fields] - Fält att ta med
+ * @param {Object} [options] - Alternativ
+ * @param {boolean} [options.header=true] - Skriv rubrikrad (utelämnas när fler sidor läggs till i en ström)
+ * @returns {string} De formaterade posterna
+ */
+function formatRecords(records, format, fields, options = {}) {
+  const prepared = prepareRecords(records, fields);
+  const { rows } = prepared;
+  const columns = prepared.fields;
+  const header = options.header !== false;
+
+  switch (format) {
+    case 'csv':
+      return new Parser({ fields: columns, header }).parse(rows);
+
+    case 'tsv':
+      return (header ? [columns.join('\t')] : [])
+        .concat(rows.map(row => columns.map(column => toCell(row[column])).join('\t')))
+        .join('\n');
+
+    case 'ndjson':
+      return rows.map(row => JSON.stringify(row)).join('\n');
+
+    case 'yaml':
+      if (rows.length === 0) {
+        return '[]';
+      }
+      return rows.map(row => columns
+        .map((column, i) => `${i === 0 ? '- ' : '  '}${toYamlKey(column)}: ${toYamlScalar(row[column])}`)
+        .join('\n'))
+        .join('\n');
+
+    case 'markdown': {
+      const escape = value => toCell(value).replace(/\|/g, '\\|');
+      return (header ? [
+        `| ${columns.map(escape).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`
+      ] : []).concat(rows.map(row => `| ${columns.map(column => escape(row[column])).join(' | ')} |`))
+        .join('\n');
+    }
+
+    default:
+      throw new Error(`Okänt format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  flattenRecord,
+  parseFields,
+  prepareRecords,
+  formatRecords
+};
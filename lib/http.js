@@ -0,0 +1,166 @@
+/**
+ * OTRUST HTTP - Axios-klient med tidsgräns, omförsök med exponentiell
+ * backoff och jitter samt avbrott via AbortSignal
+ */
+
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30000;
+
+// Metoder som kan upprepas utan sidoeffekter
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+// Statuskoder där servern inte har behandlat anropet och alla metoder kan upprepas
+const REFUSED_STATUSES = [429, 503];
+
+// Statuskoder och nätverksfel där bara idempotenta anrop upprepas,
+// eftersom servern kan ha hunnit behandla anropet
+const TRANSIENT_STATUSES = [502, 504];
+const TRANSIENT_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ERR_NETWORK'];
+
+// Anslutningsfel där anropet aldrig nådde servern
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Tolka en Retry-After-header
+ * @param {string} [header] - Antal sekunder eller ett HTTP-datum
+ * @returns {number|null} Väntetid i millisekunder, eller null om headern saknas eller är ogiltig
+ */
+function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Beräkna väntetiden före ett omförsök: exponentiell backoff med jitter
+ * @param {number} attempt - Omförsökets nummer, från 0
+ * @param {number} [baseDelay=500] - Grundfördröjning i millisekunder
+ * @returns {number} Väntetid i millisekunder
+ */
+function retryDelay(attempt, baseDelay = DEFAULT_RETRY_DELAY) {
+  const delay = Math.min(MAX_RETRY_DELAY, baseDelay * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Avgör om ett misslyckat anrop ska göras om
+ * @param {Error} error - Felet från axios
+ * @returns {boolean} Sant om anropet kan göras om
+ */
+function isRetryable(error) {
+  if (axios.isCancel(error) || !error.config) {
+    return false;
+  }
+
+  const method = (error.config.method || 'get').toLowerCase();
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+  if (error.response) {
+    const status = error.response.status;
+    return REFUSED_STATUSES.includes(status) || (idempotent && TRANSIENT_STATUSES.includes(status));
+  }
+  return CONNECTION_ERRORS.includes(error.code) || (idempotent && TRANSIENT_ERRORS.includes(error.code));
+}
+
+/**
+ * Vänta, men avbryt om signalen avbryts
+ * @private
+ * @param {number} ms - Väntetid i millisekunder
+ * @param {AbortSignal} [signal] - Signal för att avbryta väntan
+ * @returns {Promise} Löses när väntan är klar
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new axios.CanceledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Skapa en axios-instans med tidsgräns och omförsök. Antal omförsök och
+ * grundfördröjning kan också anges per anrop med retries och retryDelay i
+ * anropets konfiguration, och signal avbryter både anropet och väntan.
+ * @param {Object} [options] - Alternativ
+ * @param {string} [options.baseURL] - Serverns URL
+ * @param {Object} [options.headers] - Headers för alla anrop
+ * @param {number} [options.timeout=30000] - Tidsgräns per försök i millisekunder (0 = ingen)
+ * @param {number} [options.retries=3] - Antal omförsök
+ * @param {number} [options.retryDelay=500] - Grundfördröjning i millisekunder
+ * @param {Function} [options.onRetry] - Anropas före varje omförsök med { attempt, delay, error, config }
+ * @param {Function|string} [options.adapter] - Axios-adapter som gör själva anropen (standard: axios egen)
+ * @returns {Object} Axios-instansen
+ */
+function createClient(options = {}) {
+  const instance = axios.create({
+    baseURL: options.baseURL,
+    headers: options.headers || {},
+    timeout: options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT
+  });
+
+  // Omförsöken görs i adaptern så att interceptorer bara ser slutresultatet
+  const adapter = axios.getAdapter(options.adapter || instance.defaults.adapter);
+  instance.defaults.adapter = async config => {
+    const retries = config.retries !== undefined ? config.retries
+      : (options.retries !== undefined ? options.retries : DEFAULT_RETRIES);
+    const baseDelay = config.retryDelay !== undefined ? config.retryDelay
+      : (options.retryDelay !== undefined ? options.retryDelay : DEFAULT_RETRY_DELAY);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await adapter(config);
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) {
+          throw error;
+        }
+
+        // En längre Retry-After än vi är beredda att vänta ger upp i stället för att fråga för tidigt
+        const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+        if (retryAfter !== null && retryAfter > MAX_RETRY_DELAY) {
+          throw error;
+        }
+        const delay = retryAfter !== null ? retryAfter : retryDelay(attempt, baseDelay);
+        if (options.onRetry) {
+          options.onRetry({ attempt: attempt + 1, delay, error, config });
+        }
+        await sleep(delay, config.signal);
+      }
+    }
+  };
+
+  return instance;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_DELAY,
+  MAX_RETRY_DELAY,
+  parseRetryAfter,
+  retryDelay,
+  isRetryable,
+  createClient
+};
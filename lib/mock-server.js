@@ -0,0 +1,1058 @@
+/**
+ * OTRUST mock-server - En OTRUST-server i minnet för lokal utveckling och
+ * tester, med riktig signaturkontroll och en enkel hashkedja
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const signatures = require('./signatures');
+const evidence = require('./evidence');
+const { version } = require('../package.json');
+
+const DEFAULT_MOCK_PORT = 3000;
+const DEFAULT_TOKEN_TTL = 3600;
+const DEFAULT_DIFFICULTY = 2;
+
+// Största tillåtna skillnad mellan klientens och serverns klocka vid inloggning
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Största tillåtna storlek på en begäran
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const CLAIM_TYPES = ['factual', 'opinion', 'analysis', 'reference'];
+const PROOF_ACTIONS = ['confirmed', 'disputed', 'invalidated'];
+const RETRACTION_ACTIONS = ['retract', 'revoke', 'supersede'];
+
+// Ett objekt har konsensus när dess trovärdighet når gränsen och inget annat objekt når halvvägs
+const CONSENSUS_THRESHOLD = 0.7;
+
+/**
+ * Fel som besvaras med en HTTP-status
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * SHA-256 som hex-sträng
+ * @private
+ * @param {string} data - Data att hasha
+ * @returns {string} Hashen
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Base64url-koda data
+ * @private
+ * @param {Buffer} buffer - Data att koda
+ * @returns {string} Kodad sträng utan utfyllnad
+ */
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Jämförbar form av en publik nyckel. Nycklar i URL:er förlorar sina
+ * radbrytningar, så allt blanksteg tas bort.
+ * @private
+ * @param {string} publicKey - Publik nyckel i PEM-format
+ * @returns {string} Nyckeln utan blanksteg
+ */
+function keyId(publicKey) {
+  return String(publicKey).replace(/\s+/g, '');
+}
+
+/**
+ * Avrunda till tre decimaler
+ * @private
+ * @param {number} value - Värdet
+ * @returns {number} Avrundat värde
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * OTRUST-server i minnet. All data försvinner när servern stoppas eller
+ * återställs.
+ */
+class MockServer {
+  /**
+   * Skapa en ny mock-server
+   * @param {Object} [options] - Alternativ
+   * @param {boolean} [options.autoMine=true] - Lägg nya transaktioner i ett block direkt, annars först vid mine()
+   * @param {number} [options.difficulty=2] - Antal inledande nollor i blockhashen
+   * @param {number} [options.tokenTtl=3600] - Tokens giltighetstid i sekunder
+   * @param {Function} [options.onRequest] - Anropas efter varje begäran med { method, url, status }
+   */
+  constructor(options = {}) {
+    this.autoMine = options.autoMine !== false;
+    this.difficulty = options.difficulty !== undefined ? options.difficulty : DEFAULT_DIFFICULTY;
+    this.tokenTtl = options.tokenTtl || DEFAULT_TOKEN_TTL;
+    this.onRequest = options.onRequest || null;
+    this.server = null;
+    this.url = null;
+    this.startedAt = Date.now();
+    this.reset();
+  }
+
+  /**
+   * Töm all data, skapa en ny hashkedja och underkänn alla utfärdade tokens
+   */
+  reset() {
+    this.users = new Map();
+    this.claims = new Map();
+    this.pending = [];
+    this.chain = [];
+    this.revokeTokens();
+    this.chain.push(this._createBlock([], '0'));
+  }
+
+  /**
+   * Underkänn alla utfärdade tokens, t.ex. för att testa ny inloggning
+   */
+  revokeTokens() {
+    this.secret = crypto.randomBytes(32);
+  }
+
+  /**
+   * Starta servern
+   * @param {number} [port=0] - Port (0 = valfri ledig port)
+   * @param {string} [host='127.0.0.1'] - Adress att lyssna på
+   * @returns {Promise<string>} Serverns URL
+   */
+  start(port = 0, host = '127.0.0.1') {
+    if (this.server) {
+      return Promise.resolve(this.url);
+    }
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', error => {
+        this.server = null;
+        reject(error);
+      });
+      this.server.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}`;
+        this.startedAt = Date.now();
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stoppa servern
+   * @returns {Promise} Löses när servern har stängt
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      // Öppna keep-alive-anslutningar skulle annars hålla servern vid liv
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Lägg väntande transaktioner i ett nytt block
+   * @returns {Object|null} Det nya blocket, eller null om inga transaktioner väntar
+   */
+  mine() {
+    if (this.pending.length === 0) {
+      return null;
+    }
+
+    const block = this._createBlock(this.pending, this.chain[this.chain.length - 1].hash);
+    this.chain.push(block);
+    this.pending = [];
+    return block;
+  }
+
+  /**
+   * Kontrollera att varje block har rätt hash och pekar på föregående block
+   * @returns {boolean} Sant om kedjan är obruten
+   */
+  isChainValid() {
+    return this.chain.every((block, index) => {
+      if (block.hash !== this._blockHash(block)) {
+        return false;
+      }
+      return index === 0 || block.previousHash === this.chain[index - 1].hash;
+    });
+  }
+
+  /**
+   * Beräkna ett blocks hash
+   * @private
+   * @param {Object} block - Blocket
+   * @returns {string} Hashen
+   */
+  _blockHash(block) {
+    return sha256(`${block.index}${block.timestamp}${JSON.stringify(block.transactions)}${block.previousHash}${block.nonce}`);
+  }
+
+  /**
+   * Skapa och bryt ett block
+   * @private
+   * @param {Array<Object>} transactions - Transaktioner i blocket
+   * @param {string} previousHash - Föregående blocks hash
+   * @returns {Object} Blocket
+   */
+  _createBlock(transactions, previousHash) {
+    const block = {
+      index: this.chain.length,
+      timestamp: new Date().toISOString(),
+      transactions,
+      previousHash,
+      nonce: 0,
+      hash: null
+    };
+
+    const prefix = '0'.repeat(this.difficulty);
+    block.hash = this._blockHash(block);
+    while (!block.hash.startsWith(prefix)) {
+      block.nonce += 1;
+      block.hash = this._blockHash(block);
+    }
+    return block;
+  }
+
+  /**
+   * Lägg till en transaktion i kedjan
+   * @private
+   * @param {Object} transaction - Transaktionen
+   * @returns {string} Blockkedjestatus (confirmed eller pending)
+   */
+  _addTransaction(transaction) {
+    this.pending.push(transaction);
+    if (this.autoMine) {
+      this.mine();
+      return 'confirmed';
+    }
+    return 'pending';
+  }
+
+  /**
+   * Hitta blocket som innehåller ett påstående
+   * @private
+   * @param {string} id - Påståendets ID
+   * @returns {Object|null} Blocket och transaktionen, eller null om påståendet inte är i något block
+   */
+  _findBlock(id) {
+    for (const block of this.chain) {
+      const transaction = block.transactions.find(tx => tx.type === 'claim' && tx.id === id);
+      if (transaction) {
+        return { block, transaction };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Utfärda en token i JWT-format, signerad med HMAC
+   * @private
+   * @param {Object} user - Användaren
+   * @returns {string} Token
+   */
+  _issueToken(user) {
+    const iat = Math.floor(Date.now() / 1000);
+    const header = base64url(Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+    const payload = base64url(Buffer.from(JSON.stringify({
+      sub: signatures.fingerprint(user.publicKey),
+      publicKey: user.publicKey,
+      iat,
+      exp: iat + this.tokenTtl
+    })));
+    return `${header}.${payload}.${this._tokenSignature(`${header}.${payload}`)}`;
+  }
+
+  /**
+   * Signera en tokens header och payload
+   * @private
+   * @param {string} data - Header och payload, åtskilda med punkt
+   * @returns {string} Signaturen i base64url
+   */
+  _tokenSignature(data) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(data).digest());
+  }
+
+  /**
+   * Hitta den inloggade användaren utifrån Authorization-headern
+   * @private
+   * @param {http.IncomingMessage} req - Begäran
+   * @returns {Object} Användaren
+   */
+  _authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const parts = match ? match[1].split('.') : [];
+    if (parts.length !== 3) {
+      throw new HttpError(401, 'Inloggning krävs');
+    }
+
+    if (this._tokenSignature(`${parts[0]}.${parts[1]}`) !== parts[2]) {
+      throw new HttpError(401, 'Ogiltig token');
+    }
+
+    const payload = JSON.parse(Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    if (payload.exp * 1000 <= Date.now()) {
+      throw new HttpError(401, 'Token har gått ut');
+    }
+
+    const user = this.users.get(keyId(payload.publicKey));
+    if (!user || user.replacedBy) {
+      throw new HttpError(401, 'Nyckeln är inte längre aktiv');
+    }
+    user.lastActive = new Date().toISOString();
+    return user;
+  }
+
+  /**
+   * Kontrollera en inloggningsbegäran
+   * @private
+   * @param {string} action - register eller login
+   * @param {Object} body - Begärans data
+   */
+  _checkAuthRequest(action, body) {
+    if (!body.publicKey || !body.signature || typeof body.timestamp !== 'number') {
+      throw new HttpError(400, 'publicKey, signature och timestamp krävs');
+    }
+    if (Math.abs(Date.now() - body.timestamp) > MAX_CLOCK_SKEW) {
+      throw new HttpError(401, 'Tidsstämpeln är för gammal eller ligger i framtiden');
+    }
+
+    const payload = signatures.authPayload(action, body.publicKey, body.timestamp);
+    if (signatures.verifySignature(payload, body.signature, body.publicKey) !== 'valid') {
+      throw new HttpError(401, 'Ogiltig signatur');
+    }
+  }
+
+  /**
+   * Beräkna ett påståendes trovärdighet utifrån beviskedjan. Bekräftelser och
+   * bestridanden vägs med sin säkerhet, och ogiltigförklaringar väger dubbelt.
+   * Återkallade bevis räknas inte.
+   * @private
+   * @param {Object} claim - Påståendet
+   * @returns {Object} Poäng mellan 0 och 1, antal bekräftelser och antal bestridanden
+   */
+  _credibility(claim) {
+    let confirmations = 0;
+    let disputes = 0;
+    let support = 0;
+    let against = 0;
+
+    claim.proofChain.filter(proof => !proof.revocation).forEach(proof => {
+      const weight = typeof proof.confidence === 'number' ? proof.confidence : 1;
+      if (proof.action === 'confirmed') {
+        confirmations += 1;
+        support += weight;
+      } else {
+        disputes += 1;
+        against += proof.action === 'invalidated' ? 2 * weight : weight;
+      }
+    });
+
+    return { score: round((1 + support) / (2 + support + against)), confirmations, disputes };
+  }
+
+  /**
+   * Påståenden med samma subjekt och predikat men ett annat objekt
+   * @private
+   * @param {Object} claim - Påståendet
+   * @returns {Array<Object>} Motstridiga påståenden
+   */
+  _conflicts(claim) {
+    const { subject, predicate, object } = claim.semantic;
+    return Array.from(this.claims.values()).filter(other =>
+      other.id !== claim.id && !other.retraction &&
+      other.semantic.subject.toLowerCase() === subject.toLowerCase() &&
+      other.semantic.predicate.toLowerCase() === predicate.toLowerCase() &&
+      other.semantic.object.toLowerCase() !== object.toLowerCase());
+  }
+
+  /**
+   * Sammanfattning av ett påstående för listor
+   * @private
+   * @param {Object} claim - Påståendet
+   * @returns {Object} Påståendet utan beviskedja, med trovärdighet och verifieringsstatus
+   */
+  _summary(claim) {
+    const { proofChain, ...fields } = claim;
+    return {
+      ...fields,
+      status: this._status(claim),
+      credibilityScore: this._credibility(claim).score,
+      proofs: proofChain.length,
+      verified: !!this._findBlock(claim.id)
+    };
+  }
+
+  /**
+   * Påståendets status
+   * @private
+   * @param {Object} claim - Påståendet
+   * @returns {string} active, retracted eller superseded
+   */
+  _status(claim) {
+    if (!claim.retraction) {
+      return 'active';
+    }
+    return claim.retraction.action === 'supersede' ? 'superseded' : 'retracted';
+  }
+
+  /**
+   * Användarens anseende: summan av trovärdigheten för användarens påståenden
+   * @private
+   * @param {Object} user - Användaren
+   * @returns {number} Poäng
+   */
+  _userScore(user) {
+    const id = keyId(user.publicKey);
+    return round(Array.from(this.claims.values())
+      .filter(claim => keyId(claim.publicKey) === id)
+      .reduce((sum, claim) => sum + this._credibility(claim).score, 0));
+  }
+
+  /**
+   * Publik profil för en användare
+   * @private
+   * @param {Object} user - Användaren
+   * @returns {Object} Publik nyckel, visningsnamn, poäng och tider
+   */
+  _profile(user) {
+    return {
+      publicKey: user.publicKey,
+      displayName: user.displayName,
+      score: this._userScore(user),
+      created_at: user.created_at,
+      lastActive: user.lastActive
+    };
+  }
+
+  /**
+   * Hämta ett påstående
+   * @private
+   * @param {string} id - Påståendets ID
+   * @returns {Object} Påståendet
+   */
+  _claim(id) {
+    const claim = this.claims.get(id);
+    if (!claim) {
+      throw new HttpError(404, 'Påståendet hittades inte');
+    }
+    return claim;
+  }
+
+  /**
+   * Läs och tolka begärans JSON-data
+   * @private
+   * @param {http.IncomingMessage} req - Begäran
+   * @returns {Promise<Object>} Tolkad data
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new HttpError(413, 'Begäran är för stor'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text) {
+          resolve({});
+          return;
+        }
+        try {
+          resolve(JSON.parse(text));
+        } catch (error) {
+          reject(new HttpError(400, 'Ogiltig JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Besvara en begäran
+   * @private
+   * @param {http.IncomingMessage} req - Begäran
+   * @param {http.ServerResponse} res - Svaret
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let body;
+
+    try {
+      const route = this._route(req.method, url.pathname);
+      if (!route) {
+        throw new HttpError(404, `Okänd sökväg: ${req.method} ${url.pathname}`);
+      }
+
+      const data = ['POST', 'PUT'].includes(req.method) ? await this._readBody(req) : {};
+      const result = route.handler({ req, params: route.params, query: url.searchParams, body: data });
+      status = result.status || 200;
+      body = result.body;
+    } catch (error) {
+      status = error.status || 500;
+      body = { error: error.message };
+    }
+
+    const json = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json' };
+
+    // Läsanrop får en ETag så att klientens cache kan förnya villkorligt
+    if (req.method === 'GET' && status === 200) {
+      headers.ETag = `"${sha256(json).substring(0, 32)}"`;
+      if (req.headers['if-none-match'] === headers.ETag) {
+        status = 304;
+      }
+    }
+
+    res.writeHead(status, headers);
+    res.end(status === 304 ? undefined : json);
+
+    if (this.onRequest) {
+      this.onRequest({ method: req.method, url: req.url, status });
+    }
+  }
+
+  /**
+   * Hitta hanteraren för en sökväg
+   * @private
+   * @param {string} method - HTTP-metod
+   * @param {string} pathname - Sökväg
+   * @returns {Object|null} Hanterare och sökvägsparametrar
+   */
+  _route(method, pathname) {
+    const routes = [
+      ['GET', /^\/health$/, () => this._health()],
+      ['POST', /^\/api\/auth\/register$/, ctx => this._register(ctx)],
+      ['POST', /^\/api\/auth\/login$/, ctx => this._login(ctx)],
+      ['POST', /^\/api\/auth\/rotate$/, ctx => this._rotate(ctx)],
+      ['PUT', /^\/api\/user\/profile$/, ctx => this._updateProfile(ctx)],
+      ['GET', /^\/api\/user\/(.+)$/, ctx => this._user(ctx)],
+      ['POST', /^\/api\/claim$/, ctx => this._createClaim(ctx)],
+      ['GET', /^\/api\/claim\/([^/]+)\/verify$/, ctx => this._verify(ctx)],
+      ['GET', /^\/api\/claim\/([^/]+)$/, ctx => this._getClaim(ctx)],
+      ['GET', /^\/api\/claims$/, ctx => this._listClaims(ctx)],
+      ['GET', /^\/api\/search$/, ctx => this._search(ctx)],
+      ['GET', /^\/api\/semantic\/([^/]+)\/([^/]+)$/, ctx => this._semantic(ctx)],
+      ['POST', /^\/api\/proof$/, ctx => this._addProof(ctx)],
+      ['POST', /^\/api\/retraction$/, ctx => this._retract(ctx)],
+      ['GET', /^\/api\/stats$/, () => this._stats()],
+      ['GET', /^\/api\/blockchain\/stats$/, () => this._blockchainStats()]
+    ];
+
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = routeMethod === method ? pattern.exec(pathname) : null;
+      if (match) {
+        return { handler, params: match.slice(1).map(decodeURIComponent) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * GET /health: serverns hälsa
+   * @private
+   * @returns {Object} Status och svarsdata
+   */
+  _health() {
+    return {
+      body: {
+        status: this.isChainValid() ? 'ok' : 'degraded',
+        version,
+        db: 'memory',
+        blockchain: { blocks: this.chain.length, isValid: this.isChainValid() },
+        uptime: Math.floor((Date.now() - this.startedAt) / 1000),
+        environment: 'mock'
+      }
+    };
+  }
+
+  /**
+   * POST /api/auth/register: registrera en ny nyckel
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _register({ body }) {
+    this._checkAuthRequest('register', body);
+    if (this.users.has(keyId(body.publicKey))) {
+      throw new HttpError(409, 'Nyckeln är redan registrerad');
+    }
+
+    const now = new Date().toISOString();
+    const user = { publicKey: body.publicKey, displayName: null, email: null, created_at: now, lastActive: now, replacedBy: null };
+    this.users.set(keyId(body.publicKey), user);
+    return { status: 201, body: { token: this._issueToken(user), user: this._profile(user) } };
+  }
+
+  /**
+   * POST /api/auth/login: logga in med en registrerad nyckel
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _login({ body }) {
+    this._checkAuthRequest('login', body);
+    const user = this.users.get(keyId(body.publicKey));
+    if (!user) {
+      throw new HttpError(401, 'Nyckeln är inte registrerad');
+    }
+    if (user.replacedBy) {
+      throw new HttpError(401, 'Nyckeln har ersatts genom nyckelbyte');
+    }
+
+    user.lastActive = new Date().toISOString();
+    return { body: { token: this._issueToken(user), user: this._profile(user) } };
+  }
+
+  /**
+   * POST /api/auth/rotate: byt till en ny nyckel, signerat av både den gamla och den nya
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _rotate({ req, body }) {
+    const user = this._authenticate(req);
+    if (keyId(body.oldPublicKey) !== keyId(user.publicKey)) {
+      throw new HttpError(403, 'Den gamla nyckeln tillhör inte den inloggade användaren');
+    }
+    if (!body.newPublicKey || this.users.has(keyId(body.newPublicKey))) {
+      throw new HttpError(409, 'Den nya nyckeln saknas eller är redan registrerad');
+    }
+
+    const payload = signatures.rotationPayload(body);
+    if (signatures.verifySignature(payload, body.oldSignature, body.oldPublicKey) !== 'valid' ||
+      signatures.verifySignature(payload, body.newSignature, body.newPublicKey) !== 'valid') {
+      throw new HttpError(401, 'Ogiltig signatur för nyckelbytet');
+    }
+
+    const successor = { ...user, publicKey: body.newPublicKey, lastActive: new Date().toISOString(), replacedBy: null };
+    user.replacedBy = body.newPublicKey;
+    this.users.set(keyId(body.newPublicKey), successor);
+    return { body: { token: this._issueToken(successor), user: this._profile(successor) } };
+  }
+
+  /**
+   * PUT /api/user/profile: uppdatera den inloggades profil
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _updateProfile({ req, body }) {
+    const user = this._authenticate(req);
+    if (body.displayName !== undefined) user.displayName = body.displayName;
+    if (body.email !== undefined) user.email = body.email;
+    return { body: { user: this._profile(user) } };
+  }
+
+  /**
+   * GET /api/user/:key: profil, aktivitet och senaste påståenden för en användare
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _user({ params }) {
+    // Nyckeln kan anges i PEM-format eller som fingeravtryck
+    const id = keyId(params[0]);
+    const user = this.users.get(id) || Array.from(this.users.values())
+      .find(candidate => signatures.fingerprint(candidate.publicKey) === params[0]);
+    if (!user) {
+      throw new HttpError(404, 'Användaren hittades inte');
+    }
+
+    const own = Array.from(this.claims.values()).filter(claim => keyId(claim.publicKey) === keyId(user.publicKey));
+    const received = own.map(claim => this._credibility(claim));
+    return {
+      body: {
+        ...this._profile(user),
+        replacedBy: user.replacedBy,
+        stats: {
+          claimsCount: own.length,
+          confirmedByOthers: received.reduce((sum, credibility) => sum + credibility.confirmations, 0),
+          disputedByOthers: received.reduce((sum, credibility) => sum + credibility.disputes, 0)
+        },
+        recentClaims: own.sort((a, b) => b.timestamp - a.timestamp).slice(0, 5).map(claim => this._summary(claim))
+      }
+    };
+  }
+
+  /**
+   * POST /api/claim: skapa ett signerat påstående
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _createClaim({ req, body }) {
+    const user = this._authenticate(req);
+    const semantic = body.semantic || {};
+    if (typeof body.claim !== 'string' || !body.claim.trim()) {
+      throw new HttpError(400, 'claim krävs');
+    }
+    if (!Array.isArray(body.evidence) || !body.evidence.every(evidence.isValidEntry)) {
+      throw new HttpError(400, 'evidence måste vara en lista med URL:er eller filbevis med uri och sha256');
+    }
+    if (!CLAIM_TYPES.includes(body.type)) {
+      throw new HttpError(400, `type måste vara en av: ${CLAIM_TYPES.join(', ')}`);
+    }
+    if (!semantic.subject || !semantic.predicate || !semantic.object) {
+      throw new HttpError(400, 'semantic måste ha subject, predicate och object');
+    }
+    if (keyId(body.publicKey) !== keyId(user.publicKey)) {
+      throw new HttpError(403, 'Påståendet är signerat med en annan nyckel än den inloggade');
+    }
+    if (body.parent_id && !this.claims.has(body.parent_id)) {
+      throw new HttpError(404, 'Det överordnade påståendet hittades inte');
+    }
+
+    const payload = signatures.claimPayload(body);
+    if (signatures.verifySignature(payload, body.signature, body.publicKey) !== 'valid') {
+      throw new HttpError(400, 'Ogiltig signatur');
+    }
+
+    const id = sha256(payload).substring(0, 24);
+    if (this.claims.has(id)) {
+      throw new HttpError(409, 'Påståendet finns redan');
+    }
+
+    const claim = { id, ...JSON.parse(payload), signature: body.signature, hash: sha256(payload + body.signature), proofChain: [] };
+    this.claims.set(id, claim);
+    const blockchainStatus = this._addTransaction({ type: 'claim', id, hash: claim.hash });
+
+    return {
+      status: 201,
+      body: {
+        id,
+        blockchainStatus,
+        conflicts: this._conflicts(claim).map(other => ({ id: other.id, claim: other.claim, semantic: other.semantic }))
+      }
+    };
+  }
+
+  /**
+   * GET /api/claim/:id: påståendet med trovärdighet, verifiering och relaterade påståenden
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _getClaim({ params }) {
+    const claim = this._claim(params[0]);
+    const found = this._findBlock(claim.id);
+    const subject = claim.semantic.subject.toLowerCase();
+
+    return {
+      body: {
+        claim,
+        credibility: this._credibility(claim),
+        blockchainVerification: found
+          ? { blockHash: found.block.hash, blockIndex: found.block.index, timestamp: found.block.timestamp }
+          : null,
+        relatedClaims: Array.from(this.claims.values())
+          .filter(other => other.id !== claim.id && other.semantic.subject.toLowerCase() === subject)
+          .slice(0, 5)
+          .map(other => ({ id: other.id, claim: other.claim }))
+      }
+    };
+  }
+
+  /**
+   * GET /api/claim/:id/verify: kontrollera påståendet mot hashkedjan
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _verify({ params }) {
+    const claim = this._claim(params[0]);
+    const found = this._findBlock(claim.id);
+    if (!found) {
+      return { body: { verified: false, message: 'Påståendet finns inte i något block ännu' } };
+    }
+
+    return {
+      body: {
+        verified: true,
+        blockHash: found.block.hash,
+        blockIndex: found.block.index,
+        timestamp: found.block.timestamp,
+        hashMatch: found.transaction.hash === claim.hash,
+        blockchainValid: this.isChainValid()
+      }
+    };
+  }
+
+  /**
+   * GET /api/claims: filtrerade, sorterade och sidindelade påståenden
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _listClaims({ query }) {
+    const page = Math.max(1, parseInt(query.get('page')) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.get('limit')) || 10));
+    const filters = ['subject', 'predicate', 'object'].filter(name => query.has(name));
+
+    let claims = Array.from(this.claims.values()).filter(claim =>
+      (!query.has('type') || claim.type === query.get('type')) &&
+      (!query.has('publicKey') || keyId(claim.publicKey) === keyId(query.get('publicKey'))) &&
+      (!query.has('parent_id') || claim.parent_id === query.get('parent_id')) &&
+      filters.every(name => claim.semantic[name].toLowerCase() === query.get(name).toLowerCase()))
+      .map(claim => this._summary(claim));
+
+    if (query.has('verified')) {
+      const verified = query.get('verified') === 'true';
+      claims = claims.filter(claim => claim.verified === verified);
+    }
+
+    const sort = query.get('sort') || 'newest';
+    claims.sort((a, b) => {
+      if (sort === 'credibility') return b.credibilityScore - a.credibilityScore;
+      return sort === 'oldest' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp;
+    });
+
+    const total = claims.length;
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+    return {
+      body: {
+        claims: claims.slice((page - 1) * limit, page * limit),
+        meta: { total, page, limit, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+      }
+    };
+  }
+
+  /**
+   * GET /api/search: textsökning i påståenden och semantisk struktur
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _search({ query }) {
+    const q = (query.get('q') || '').toLowerCase();
+    const limit = Math.max(1, parseInt(query.get('limit')) || 10);
+    if (!q) {
+      throw new HttpError(400, 'q krävs');
+    }
+
+    const results = Array.from(this.claims.values())
+      .filter(claim => [claim.claim, claim.semantic.subject, claim.semantic.predicate, claim.semantic.object]
+        .some(text => text.toLowerCase().includes(q)))
+      .map(claim => this._summary(claim))
+      .sort((a, b) => b.credibilityScore - a.credibilityScore)
+      .slice(0, limit);
+
+    return { body: { count: results.length, searchType: 'text', results } };
+  }
+
+  /**
+   * GET /api/semantic/:subject/:predicate: objekt med trovärdighet och eventuell konsensus
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _semantic({ params }) {
+    const [subject, predicate] = params.map(value => value.toLowerCase());
+    const objects = new Map();
+
+    this.claims.forEach(claim => {
+      // Tillbakadragna och ersatta påståenden ingår inte i konsensus
+      if (claim.retraction || claim.semantic.subject.toLowerCase() !== subject || claim.semantic.predicate.toLowerCase() !== predicate) {
+        return;
+      }
+
+      // Påståenden om samma objekt slås ihop, och det mest trovärdiga får representera objektet
+      const credibility = this._credibility(claim);
+      const key = claim.semantic.object.toLowerCase();
+      const current = objects.get(key);
+      if (!current) {
+        objects.set(key, { object: claim.semantic.object, credibility: credibility.score, confirmations: credibility.confirmations, disputes: credibility.disputes, claimId: claim.id });
+        return;
+      }
+      current.confirmations += credibility.confirmations;
+      current.disputes += credibility.disputes;
+      if (credibility.score > current.credibility) {
+        current.credibility = credibility.score;
+        current.claimId = claim.id;
+      }
+    });
+
+    const ranked = Array.from(objects.values()).sort((a, b) => b.credibility - a.credibility);
+    const hasConsensus = ranked.length > 0 && ranked[0].credibility >= CONSENSUS_THRESHOLD &&
+      ranked.slice(1).every(obj => obj.credibility < CONSENSUS_THRESHOLD / 2);
+
+    return {
+      body: {
+        subject: params[0],
+        predicate: params[1],
+        hasConsensus,
+        consensusValue: hasConsensus ? ranked[0].object : null,
+        objects: ranked
+      }
+    };
+  }
+
+  /**
+   * POST /api/proof: lägg till ett signerat bevis
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _addProof({ req, body }) {
+    const user = this._authenticate(req);
+    const claim = this._claim(body.claimId);
+    if (!PROOF_ACTIONS.includes(body.action)) {
+      throw new HttpError(400, `action måste vara en av: ${PROOF_ACTIONS.join(', ')}`);
+    }
+    if (typeof body.confidence !== 'number' || body.confidence < 0 || body.confidence > 1) {
+      throw new HttpError(400, 'confidence måste vara ett tal mellan 0 och 1');
+    }
+    if (keyId(body.publicKey) !== keyId(user.publicKey)) {
+      throw new HttpError(403, 'Beviset är signerat med en annan nyckel än den inloggade');
+    }
+    if (claim.proofChain.some(proof => !proof.revocation && keyId(proof.publicKey) === keyId(user.publicKey))) {
+      throw new HttpError(409, 'Du har redan lagt till ett bevis för påståendet');
+    }
+
+    const payload = signatures.proofPayload(body);
+    if (signatures.verifySignature(payload, body.signature, body.publicKey) !== 'valid') {
+      throw new HttpError(400, 'Ogiltig signatur');
+    }
+
+    claim.proofChain.push({ ...JSON.parse(payload), signature: body.signature });
+    const blockchainStatus = this._addTransaction({ type: 'proof', claimId: claim.id, hash: sha256(payload + body.signature) });
+
+    return { status: 201, body: { claimId: claim.id, blockchainStatus, credibility: this._credibility(claim) } };
+  }
+
+  /**
+   * POST /api/retraction: dra tillbaka eller ersätt ett eget påstående, eller återkalla ett eget bevis
+   * @private
+   * @param {Object} ctx - Begäran, sökvägsparametrar, frågeparametrar och data
+   * @returns {Object} Status och svarsdata
+   */
+  _retract({ req, body }) {
+    const user = this._authenticate(req);
+    const claim = this._claim(body.claimId);
+    if (!RETRACTION_ACTIONS.includes(body.action)) {
+      throw new HttpError(400, `action måste vara en av: ${RETRACTION_ACTIONS.join(', ')}`);
+    }
+    if (keyId(body.publicKey) !== keyId(user.publicKey)) {
+      throw new HttpError(403, 'Återkallandet är signerat med en annan nyckel än den inloggade');
+    }
+
+    const payload = signatures.retractionPayload(body);
+    if (signatures.verifySignature(payload, body.signature, body.publicKey) !== 'valid') {
+      throw new HttpError(400, 'Ogiltig signatur');
+    }
+    const statement = { ...JSON.parse(payload), signature: body.signature };
+
+    if (body.action === 'revoke') {
+      const proof = claim.proofChain.find(candidate => !candidate.revocation && keyId(candidate.publicKey) === keyId(user.publicKey));
+      if (!proof) {
+        throw new HttpError(404, 'Du har inget aktivt bevis för påståendet');
+      }
+      proof.revocation = statement;
+    } else {
+      if (keyId(claim.publicKey) !== keyId(user.publicKey)) {
+        throw new HttpError(403, 'Bara den som skapade påståendet kan dra tillbaka eller ersätta det');
+      }
+      if (claim.retraction) {
+        throw new HttpError(409, 'Påståendet är redan tillbakadraget eller ersatt');
+      }
+      if (body.action === 'supersede') {
+        const replacement = this._claim(body.replacementId);
+        if (replacement.id === claim.id || keyId(replacement.publicKey) !== keyId(claim.publicKey)) {
+          throw new HttpError(400, 'Det ersättande påståendet måste vara ett annat påstående av samma användare');
+        }
+        replacement.supersedes = claim.id;
+      }
+      claim.retraction = statement;
+    }
+
+    const blockchainStatus = this._addTransaction({ type: body.action, claimId: claim.id, hash: sha256(payload + body.signature) });
+    return {
+      status: 201,
+      body: { claimId: claim.id, action: body.action, blockchainStatus, status: this._status(claim), credibility: this._credibility(claim) }
+    };
+  }
+
+  /**
+   * GET /api/stats: systemstatistik och topplistor
+   * @private
+   * @returns {Object} Status och svarsdata
+   */
+  _stats() {
+    const claims = Array.from(this.claims.values());
+    const summaries = claims.map(claim => this._summary(claim));
+    const users = Array.from(this.users.values()).filter(user => !user.replacedBy);
+
+    return {
+      body: {
+        stats: {
+          claims: claims.length,
+          users: users.length,
+          blockchainVerifiedClaims: summaries.filter(claim => claim.verified).length,
+          proofs: claims.reduce((sum, claim) => sum + claim.proofChain.length, 0),
+          conflicts: claims.filter(claim => this._conflicts(claim).length > 0).length
+        },
+        blockchain: {
+          blocks: this.chain.length,
+          transactions: this.chain.reduce((sum, block) => sum + block.transactions.length, 0),
+          pendingTransactions: this.pending.length
+        },
+        topClaims: summaries.sort((a, b) => b.credibilityScore - a.credibilityScore).slice(0, 5),
+        topUsers: users.map(user => this._profile(user)).sort((a, b) => b.score - a.score).slice(0, 5)
+      }
+    };
+  }
+
+  /**
+   * GET /api/blockchain/stats: hashkedjans status och senaste block
+   * @private
+   * @returns {Object} Status och svarsdata
+   */
+  _blockchainStats() {
+    const latest = this.chain[this.chain.length - 1];
+    return {
+      body: {
+        blocks: this.chain.length,
+        totalTransactions: this.chain.reduce((sum, block) => sum + block.transactions.length, 0),
+        pendingTransactions: this.pending.length,
+        difficulty: this.difficulty,
+        isValid: this.isChainValid(),
+        latestBlock: {
+          index: latest.index,
+          hash: latest.hash,
+          previousHash: latest.previousHash,
+          transactions: latest.transactions.length,
+          timestamp: latest.timestamp
+        }
+      }
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_MOCK_PORT,
+  MockServer
+};
@@ -0,0 +1,362 @@
+/**
+ * OTRUST RDF-export - Påståendenas semantiska tripler som JSON-LD, Turtle
+ * eller N-Quads, med ursprungsuppgifter för varje påstående
+ *
+ * Varje påstående får en IRI under basen (<bas>claim/<id>). I N-Quads och
+ * JSON-LD ligger trippeln i en namngiven graf med den IRI:n och
+ * ursprungsuppgifterna beskriver grafen. Turtle saknar namngivna grafer, så
+ * där reifieras trippeln i stället som ett rdf:Statement med samma IRI.
+ */
+
+const signatures = require('./signatures');
+
+const RDF_FORMATS = ['jsonld', 'turtle', 'nquads'];
+
+const DEFAULT_BASE = 'https://otrust.eu/id/';
+
+const PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  prov: 'http://www.w3.org/ns/prov#',
+  otrust: 'https://otrust.eu/ns#'
+};
+
+const RDF_TYPE = `${PREFIXES.rdf}type`;
+const XSD_STRING = `${PREFIXES.xsd}string`;
+
+// Ett värde med schema, t.ex. https://... eller urn:..., används som IRI direkt
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:[^\s<>"{}|\\^`]+$/i;
+const INTEGER_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?\d+\.\d+$/;
+
+const namedNode = value => ({ termType: 'NamedNode', value });
+const literal = (value, datatype = XSD_STRING) => ({ termType: 'Literal', value: String(value), datatype });
+const vocab = (prefix, name) => namedNode(`${PREFIXES[prefix]}${name}`);
+
+/**
+ * IRI för ett subjekt eller predikat
+ * @private
+ * @param {string} value - Värdet från påståendets semantic
+ * @param {string} base - Bas-IRI
+ * @returns {Object} IRI-term
+ */
+function resource(value, base) {
+  return namedNode(IRI_PATTERN.test(value) ? value : `${base}term/${encodeURIComponent(value)}`);
+}
+
+/**
+ * Term för ett objekt: tal blir typade literaler, övriga värden resurser
+ * så att tripler som delar värden länkas ihop
+ * @private
+ * @param {string} value - Värdet från påståendets semantic
+ * @param {string} base - Bas-IRI
+ * @returns {Object} IRI- eller literalterm
+ */
+function objectTerm(value, base) {
+  const text = String(value);
+  if (INTEGER_PATTERN.test(text)) {
+    return literal(text, `${PREFIXES.xsd}integer`);
+  }
+  if (DECIMAL_PATTERN.test(text)) {
+    return literal(text, `${PREFIXES.xsd}decimal`);
+  }
+  return resource(text, base);
+}
+
+/**
+ * IRI för ett påstående
+ * @private
+ * @param {string} id - Påståendets ID
+ * @param {string} base - Bas-IRI
+ * @returns {Object} IRI-term
+ */
+function claimNode(id, base) {
+  return namedNode(`${base}claim/${encodeURIComponent(id)}`);
+}
+
+/**
+ * IRI för en författarnyckel, byggd på nyckelns fingeravtryck
+ * @private
+ * @param {string} publicKey - Publik nyckel i PEM-format
+ * @param {string} base - Bas-IRI
+ * @returns {Object|null} IRI-term, eller null om nyckeln inte kan tolkas
+ */
+function keyNode(publicKey, base) {
+  try {
+    return namedNode(`${base}key/${encodeURIComponent(signatures.fingerprint(publicKey))}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gör om påståenden till quads
+ * @param {Array<Object>} entries - Svar från /api/claim/:id med claim, credibility och blockchainVerification
+ * @param {Object} [options] - Alternativ
+ * @param {string} [options.base] - Bas-IRI för påståenden, nycklar och termer
+ * @param {string} [options.mode='graph'] - graph (trippeln i en namngiven graf) eller reification (rdf:Statement)
+ * @returns {Array<Object>} Quads med subject, predicate, object och graph (null för standardgrafen)
+ */
+function toQuads(entries, options = {}) {
+  const base = options.base || DEFAULT_BASE;
+  const reify = options.mode === 'reification';
+  const quads = [];
+  const add = (subject, predicate, object, graph = null) => quads.push({ subject, predicate, object, graph });
+  const authors = new Set();
+
+  entries.forEach(({ claim, credibility, blockchainVerification }) => {
+    const semantic = claim.semantic || {};
+    if (!semantic.subject || !semantic.predicate || semantic.object === undefined || semantic.object === null || semantic.object === '') {
+      return;
+    }
+
+    const node = claimNode(claim.id, base);
+    const subject = resource(semantic.subject, base);
+    const predicate = resource(semantic.predicate, base);
+    const object = objectTerm(semantic.object, base);
+
+    if (reify) {
+      add(subject, predicate, object);
+      add(node, namedNode(RDF_TYPE), vocab('rdf', 'Statement'));
+      add(node, vocab('rdf', 'subject'), subject);
+      add(node, vocab('rdf', 'predicate'), predicate);
+      add(node, vocab('rdf', 'object'), object);
+    } else {
+      add(subject, predicate, object, node);
+    }
+
+    add(node, namedNode(RDF_TYPE), vocab('otrust', 'Claim'));
+    add(node, vocab('otrust', 'claimId'), literal(claim.id));
+    if (claim.claim) {
+      add(node, vocab('otrust', 'text'), literal(claim.claim));
+    }
+    if (claim.type) {
+      add(node, vocab('otrust', 'claimType'), literal(claim.type));
+    }
+    if (claim.timestamp) {
+      add(node, vocab('prov', 'generatedAtTime'), literal(new Date(claim.timestamp).toISOString(), `${PREFIXES.xsd}dateTime`));
+    }
+
+    const author = claim.publicKey ? keyNode(claim.publicKey, base) : null;
+    if (author) {
+      add(node, vocab('prov', 'wasAttributedTo'), author);
+      if (!authors.has(author.value)) {
+        authors.add(author.value);
+        add(author, namedNode(RDF_TYPE), vocab('prov', 'Agent'));
+        add(author, vocab('otrust', 'publicKey'), literal(claim.publicKey));
+      }
+    }
+
+    const score = credibility ? credibility.score : claim.credibilityScore;
+    if (typeof score === 'number') {
+      add(node, vocab('otrust', 'credibilityScore'), literal(score, `${PREFIXES.xsd}decimal`));
+    }
+
+    if (blockchainVerification) {
+      add(node, vocab('otrust', 'blockHash'), literal(blockchainVerification.blockHash));
+      add(node, vocab('otrust', 'blockIndex'), literal(blockchainVerification.blockIndex, `${PREFIXES.xsd}integer`));
+    }
+
+    if (claim.retraction) {
+      add(node, vocab('otrust', 'status'), literal(claim.retraction.action === 'supersede' ? 'superseded' : 'retracted'));
+      if (claim.retraction.replacementId) {
+        add(node, vocab('otrust', 'supersededBy'), claimNode(claim.retraction.replacementId, base));
+      }
+    } else {
+      add(node, vocab('otrust', 'status'), literal('active'));
+    }
+    if (claim.supersedes) {
+      add(node, vocab('prov', 'wasRevisionOf'), claimNode(claim.supersedes, base));
+    }
+    if (claim.parent_id) {
+      add(node, vocab('otrust', 'inReplyTo'), claimNode(claim.parent_id, base));
+    }
+  });
+
+  return quads;
+}
+
+/**
+ * Skydda tecken i en literal enligt N-Quads och Turtle
+ * @private
+ * @param {string} value - Texten
+ * @returns {string} Texten inom citattecken
+ */
+function quoteLiteral(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+/**
+ * Skriv en term i N-Quads- eller Turtle-syntax
+ * @private
+ * @param {Object} term - Termen
+ * @param {boolean} [prefixed=false] - Förkorta IRI:er med kända prefix (Turtle)
+ * @returns {string} Termen som text
+ */
+function writeTerm(term, prefixed = false) {
+  if (term.termType === 'Literal') {
+    if (term.datatype === XSD_STRING) {
+      return quoteLiteral(term.value);
+    }
+    return `${quoteLiteral(term.value)}^^${writeTerm(namedNode(term.datatype), prefixed)}`;
+  }
+
+  if (prefixed) {
+    const name = compactIri(term.value, /^[A-Za-z][A-Za-z0-9_-]*$/);
+    if (name) {
+      return name;
+    }
+  }
+  return `<${term.value}>`;
+}
+
+/**
+ * Förkorta en IRI med ett känt prefix
+ * @private
+ * @param {string} iri - IRI:n
+ * @param {RegExp} [localPattern] - Tillåtna lokala namn
+ * @returns {string|null} T.ex. prov:wasAttributedTo, eller null om inget prefix passar
+ */
+function compactIri(iri, localPattern = /^[^/#]+$/) {
+  for (const [prefix, namespace] of Object.entries(PREFIXES)) {
+    const local = iri.slice(namespace.length);
+    if (iri.startsWith(namespace) && localPattern.test(local)) {
+      return `${prefix}:${local}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Skriv quads som N-Quads
+ * @param {Array<Object>} quads - Quads från toQuads()
+ * @returns {string} En rad per quad
+ */
+function toNQuads(quads) {
+  return quads.map(quad => {
+    const terms = [quad.subject, quad.predicate, quad.object].map(term => writeTerm(term));
+    if (quad.graph) {
+      terms.push(writeTerm(quad.graph));
+    }
+    return `${terms.join(' ')} .\n`;
+  }).join('');
+}
+
+/**
+ * Skriv quads som Turtle, grupperade per subjekt. Grafnamn ignoreras.
+ * @param {Array<Object>} quads - Quads från toQuads() med mode reification
+ * @returns {string} Turtle-dokument
+ */
+function toTurtle(quads) {
+  const lines = Object.entries(PREFIXES).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`);
+  const subjects = new Map();
+  quads.forEach(quad => {
+    if (!subjects.has(quad.subject.value)) {
+      subjects.set(quad.subject.value, { subject: quad.subject, statements: [] });
+    }
+    subjects.get(quad.subject.value).statements.push(quad);
+  });
+
+  subjects.forEach(({ subject, statements }) => {
+    lines.push('');
+    lines.push(writeTerm(subject, true));
+    statements.forEach((quad, index) => {
+      const predicate = quad.predicate.value === RDF_TYPE ? 'a' : writeTerm(quad.predicate, true);
+      const end = index === statements.length - 1 ? ' .' : ' ;';
+      lines.push(`  ${predicate} ${writeTerm(quad.object, true)}${end}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Skriv en term som JSON-LD-värde
+ * @private
+ * @param {Object} term - Termen
+ * @returns {Object|string} Nod- eller värdeobjekt
+ */
+function jsonLdValue(term) {
+  if (term.termType === 'Literal') {
+    return term.datatype === XSD_STRING
+      ? term.value
+      : { '@value': term.value, '@type': compactIri(term.datatype) || term.datatype };
+  }
+  return { '@id': term.value };
+}
+
+/**
+ * Skriv quads som JSON-LD. Quads i en namngiven graf hamnar under @graph
+ * i noden med grafens namn.
+ * @param {Array<Object>} quads - Quads från toQuads()
+ * @returns {Object} JSON-LD-dokument
+ */
+function toJsonLd(quads) {
+  const nodes = new Map();
+  const graphs = new Map();
+  const nodeFor = (map, id) => {
+    if (!map.has(id)) {
+      map.set(id, { '@id': id });
+    }
+    return map.get(id);
+  };
+
+  quads.forEach(quad => {
+    let map = nodes;
+    if (quad.graph) {
+      nodeFor(nodes, quad.graph.value);
+      if (!graphs.has(quad.graph.value)) {
+        graphs.set(quad.graph.value, new Map());
+      }
+      map = graphs.get(quad.graph.value);
+    }
+    const node = nodeFor(map, quad.subject.value);
+
+    if (quad.predicate.value === RDF_TYPE) {
+      node['@type'] = (node['@type'] || []).concat(compactIri(quad.object.value) || quad.object.value);
+      return;
+    }
+    const key = compactIri(quad.predicate.value) || quad.predicate.value;
+    node[key] = (node[key] || []).concat(jsonLdValue(quad.object));
+  });
+
+  graphs.forEach((graph, id) => {
+    nodes.get(id)['@graph'] = Array.from(graph.values());
+  });
+
+  return { '@context': { ...PREFIXES }, '@graph': Array.from(nodes.values()) };
+}
+
+/**
+ * Exportera påståenden i ett RDF-format
+ * @param {Array<Object>} entries - Svar från /api/claim/:id med claim, credibility och blockchainVerification
+ * @param {string} format - jsonld, turtle eller nquads
+ * @param {Object} [options] - Alternativ
+ * @param {string} [options.base] - Bas-IRI för påståenden, nycklar och termer
+ * @returns {string} Dokumentet som text
+ */
+function serialize(entries, format, options = {}) {
+  if (!RDF_FORMATS.includes(format)) {
+    throw new Error(`Okänt RDF-format: ${format}. Använd ${RDF_FORMATS.join(', ')}`);
+  }
+
+  const quads = toQuads(entries, { base: options.base, mode: format === 'turtle' ? 'reification' : 'graph' });
+  if (format === 'turtle') {
+    return toTurtle(quads);
+  }
+  if (format === 'nquads') {
+    return toNQuads(quads);
+  }
+  return `${JSON.stringify(toJsonLd(quads), null, 2)}\n`;
+}
+
+module.exports = {
+  RDF_FORMATS,
+  DEFAULT_BASE,
+  PREFIXES,
+  toQuads,
+  toNQuads,
+  toTurtle,
+  toJsonLd,
+  serialize
+};
@@ -0,0 +1,157 @@
+/**
+ * OTRUST postfiler - Inläsning av CSV- och NDJSON-filer för massimport
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RECORD_FORMATS = ['csv', 'ndjson'];
+
+/**
+ * Dela upp CSV-text i rader med fält (RFC 4180: citattecken, "" och radbrytningar i fält)
+ * @private
+ * @param {string} text - CSV-text
+ * @returns {Array<Array<string>>} Rader med fält
+ */
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV-filen har ett citattecken som inte avslutas');
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Hoppa över tomma rader
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Tolka CSV med rubrikrad
+ * @param {string} text - CSV-text
+ * @returns {Array<Object>} Poster med radnummer (1 = första dataraden) och värden per kolumn
+ */
+function parseCsv(text) {
+  const rows = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(column => column.trim());
+  return rows.slice(1).map((fields, index) => {
+    const record = {};
+    header.forEach((column, i) => {
+      record[column] = fields[i] !== undefined ? fields[i] : '';
+    });
+    return { row: index + 1, record };
+  });
+}
+
+/**
+ * Tolka NDJSON, ett JSON-objekt per rad. Rader som inte kan tolkas eller som inte
+ * är objekt returneras med ett fel.
+ * @param {string} text - NDJSON-text
+ * @returns {Array<Object>} Poster med radnummer och värden, eller radnummer och fel
+ */
+function parseNdjson(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim().length === 0) {
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      records.push({ row: index + 1, error: `Ogiltig JSON: ${error.message}` });
+      return;
+    }
+
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      records.push({ row: index + 1, error: `Raden är inte ett JSON-objekt: ${line.trim()}` });
+    } else {
+      records.push({ row: index + 1, record });
+    }
+  });
+  return records;
+}
+
+/**
+ * Ta reda på formatet för en postfil utifrån filändelse eller innehåll
+ * @param {string} file - Sökväg till filen
+ * @param {string} text - Filens innehåll
+ * @returns {string} Format (csv eller ndjson)
+ */
+function detectFormat(file, text) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  if (extension === '.ndjson' || extension === '.jsonl') {
+    return 'ndjson';
+  }
+  return text.trim().startsWith('{') ? 'ndjson' : 'csv';
+}
+
+/**
+ * Läs en postfil i CSV- eller NDJSON-format
+ * @param {string} file - Sökväg till filen
+ * @param {string} [format] - Format (csv eller ndjson, standard: avgörs av filen)
+ * @returns {Array<Object>} Poster med radnummer och värden
+ */
+function readRecords(file, format) {
+  const text = fs.readFileSync(file, 'utf8');
+  const recordFormat = format || detectFormat(file, text);
+
+  if (recordFormat === 'csv') {
+    return parseCsv(text);
+  }
+  if (recordFormat === 'ndjson') {
+    return parseNdjson(text);
+  }
+  throw new Error(`Okänt filformat: ${recordFormat}`);
+}
+
+module.exports = {
+  RECORD_FORMATS,
+  parseCsv,
+  parseNdjson,
+  detectFormat,
+  readRecords
+};
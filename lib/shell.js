@@ -0,0 +1,146 @@
+/**
+ * OTRUST skal - Tolkning av kommandorader, variabler, tabbkomplettering och
+ * historik för det interaktiva läget (otrust-cli shell)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HISTORY_SIZE = 1000;
+
+const VARIABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+
+/**
+ * Dela upp en kommandorad i argument som ett skal gör: citattecken grupperar,
+ * bakstreck skyddar nästa tecken och $namn ersätts med variabelns värde
+ * utom inom enkla citattecken
+ * @param {string} line - Kommandoraden
+ * @param {Object} [variables] - Variabler som kan användas med $namn
+ * @returns {Array<string>} Argumenten
+ * @throws {Error} Om ett citattecken inte avslutas eller en variabel saknas
+ */
+function parseLine(line, variables = {}) {
+  const args = [];
+  let current = '';
+  let started = false;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (char === '\\' && i + 1 < line.length) {
+      current += line[++i];
+      started = true;
+    } else if (char === '$' && VARIABLE_PATTERN.test(line.slice(i + 1))) {
+      const name = line.slice(i + 1).match(VARIABLE_PATTERN)[0];
+      if (variables[name] === undefined || variables[name] === null) {
+        throw new Error(`Variabeln $${name} är inte satt`);
+      }
+      current += variables[name];
+      started = true;
+      i += name.length;
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      started = true;
+    } else if (/\s/.test(char)) {
+      if (started) {
+        args.push(current);
+        current = '';
+        started = false;
+      }
+    } else {
+      current += char;
+      started = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Citattecknet ${quote} avslutas inte`);
+  }
+  if (started) {
+    args.push(current);
+  }
+  return args;
+}
+
+/**
+ * Föreslå kompletteringar för ordet närmast före markören
+ * @param {string} line - Raden fram till markören
+ * @param {Object} sources - Det som kan kompletteras
+ * @param {Array<Object>} sources.commands - Kommandon med name och options (flaggor)
+ * @param {Array<string>} [sources.globalOptions] - Flaggor som gäller alla kommandon
+ * @param {Array<string>} [sources.ids] - Nyligen sedda ID:n för påståenden
+ * @param {Array<string>} [sources.variables] - Variabelnamn utan $
+ * @returns {Array} Förslag och ordet som kompletteras, som readline förväntar sig
+ */
+function complete(line, sources) {
+  const word = line.match(/(\S*)$/)[1];
+  const first = line.trimStart().split(/\s+/)[0];
+  const onFirstWord = line.trimStart() === word;
+
+  let candidates;
+  if (word.startsWith('$')) {
+    candidates = (sources.variables || []).map(name => `$${name}`);
+  } else if (onFirstWord) {
+    candidates = sources.commands.map(command => command.name);
+  } else if (word.startsWith('-')) {
+    const command = sources.commands.find(candidate => candidate.name === first);
+    candidates = (command ? command.options : []).concat(sources.globalOptions || []);
+  } else {
+    candidates = sources.ids || [];
+  }
+
+  const hits = Array.from(new Set(candidates.filter(candidate => candidate.startsWith(word)))).sort();
+  return [hits, word];
+}
+
+/**
+ * Läs sparad historik
+ * @param {string} file - Historikfilen
+ * @param {number} [size=1000] - Största antal rader
+ * @returns {Array<string>} Raderna med den senaste först, som readline förväntar sig
+ */
+function loadHistory(file, size = DEFAULT_HISTORY_SIZE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8').split('\n')
+    .filter(line => line.trim().length > 0)
+    .slice(-size)
+    .reverse();
+}
+
+/**
+ * Spara historik, med den äldsta raden först
+ * @param {string} file - Historikfilen
+ * @param {Array<string>} history - Raderna med den senaste först
+ * @param {number} [size=1000] - Största antal rader
+ */
+function saveHistory(file, history, size = DEFAULT_HISTORY_SIZE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = history.slice(0, size).reverse();
+  fs.writeFileSync(file, lines.length > 0 ? `${lines.join('\n')}\n` : '', { mode: 0o600 });
+}
+
+module.exports = {
+  DEFAULT_HISTORY_SIZE,
+  parseLine,
+  complete,
+  loadHistory,
+  saveHistory
+};
@@ -0,0 +1,287 @@
+/**
+ * OTRUST signaturer - Gemensamma hjälpfunktioner för nyckelpar och för att
+ * bygga och verifiera de payloads som påståenden och bevis signeras över
+ */
+
+const crypto = require('crypto');
+
+// Stödda nyckelalgoritmer. RSA är standard för bakåtkompatibilitet.
+const KEY_ALGORITHMS = ['rsa', 'ed25519', 'ecdsa-p256'];
+const DEFAULT_KEY_ALGORITHM = 'rsa';
+
+/**
+ * Generera ett nytt nyckelpar
+ * @param {string} [algorithm='rsa'] - Nyckelalgoritm (rsa, ed25519, ecdsa-p256)
+ * @returns {Object} Nyckelparet med publicKey, privateKey och algorithm
+ */
+function generateKeyPair(algorithm = DEFAULT_KEY_ALGORITHM) {
+  const encoding = {
+    publicKeyEncoding: {
+      type: 'spki',
+      format: 'pem'
+    },
+    privateKeyEncoding: {
+      type: 'pkcs8',
+      format: 'pem'
+    }
+  };
+
+  let keys;
+  if (algorithm === 'rsa') {
+    keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...encoding });
+  } else if (algorithm === 'ed25519') {
+    keys = crypto.generateKeyPairSync('ed25519', encoding);
+  } else if (algorithm === 'ecdsa-p256') {
+    keys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1', ...encoding });
+  } else {
+    throw new Error(`Okänd nyckelalgoritm: ${algorithm}`);
+  }
+
+  return { publicKey: keys.publicKey, privateKey: keys.privateKey, algorithm };
+}
+
+/**
+ * Ta reda på algoritmen för en nyckel
+ * @param {string|crypto.KeyObject} key - Publik eller privat nyckel
+ * @returns {string} Nyckelalgoritm (rsa, ed25519, ecdsa-p256)
+ */
+function keyAlgorithm(key) {
+  const keyObject = typeof key === 'string'
+    ? (key.includes('PRIVATE KEY') ? crypto.createPrivateKey(key) : crypto.createPublicKey(key))
+    : key;
+
+  switch (keyObject.asymmetricKeyType) {
+    case 'rsa':
+      return 'rsa';
+    case 'ed25519':
+      return 'ed25519';
+    case 'ec':
+      return 'ecdsa-p256';
+    default:
+      throw new Error(`Nyckeltypen ${keyObject.asymmetricKeyType} stöds inte`);
+  }
+}
+
+/**
+ * Beräkna fingeravtrycket för en publik nyckel (SHA-256 av DER-kodad SPKI)
+ * @param {string} publicKey - Publik nyckel i PEM-format
+ * @returns {string} Fingeravtryck på formen SHA256:<base64>
+ */
+function fingerprint(publicKey) {
+  const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  const digest = crypto.createHash('sha256').update(der).digest('base64').replace(/=+$/, '');
+  return `SHA256:${digest}`;
+}
+
+/**
+ * Skriv en publik nyckel på en rad, som base64-kodad SPKI utan PEM-rubriker
+ * @param {string} publicKey - Publik nyckel i PEM-format
+ * @returns {string} Nyckeln på en rad
+ */
+function compactPublicKey(publicKey) {
+  return crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * Återskapa PEM-formatet för en nyckel på en rad från compactPublicKey. Andra
+ * värden, t.ex. PEM-nycklar och fingeravtryck, returneras oförändrade.
+ * @param {string} value - Nyckeln på en rad, eller en nyckel i annan form
+ * @returns {string} Nyckeln i PEM-format, eller värdet
+ */
+function expandPublicKey(value) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    return value;
+  }
+  try {
+    return crypto.createPublicKey({ key: Buffer.from(value, 'base64'), format: 'der', type: 'spki' })
+      .export({ type: 'spki', format: 'pem' });
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Välj hashalgoritm för signering; Ed25519 hashar själv och tar ingen
+ * @private
+ * @param {string|crypto.KeyObject} key - Nyckeln som används
+ * @returns {string|null} Hashalgoritm
+ */
+function digestFor(key) {
+  return keyAlgorithm(key) === 'ed25519' ? null : 'sha256';
+}
+
+/**
+ * Signera data med en privat nyckel
+ * @param {string} data - Data att signera
+ * @param {string|crypto.KeyObject} privateKey - Privat nyckel
+ * @returns {string} Signaturen som hex-sträng
+ */
+function sign(data, privateKey) {
+  return crypto.sign(digestFor(privateKey), Buffer.from(data), privateKey).toString('hex');
+}
+
+/**
+ * Bygg payload för ett påstående i samma fältordning som vid signering
+ * @param {Object} claim - Påståendet
+ * @returns {string} JSON-sträng av påståendepayload
+ */
+function claimPayload(claim) {
+  return JSON.stringify({
+    claim: claim.claim,
+    evidence: claim.evidence,
+    publicKey: claim.publicKey,
+    type: claim.type,
+    parent_id: claim.parent_id || null,
+    timestamp: claim.timestamp,
+    semantic: claim.semantic
+  });
+}
+
+/**
+ * Bygg payload för ett bevis i samma fältordning som vid signering
+ * @param {Object} proof - Beviset
+ * @returns {string} JSON-sträng av bevispayload
+ */
+function proofPayload(proof) {
+  return JSON.stringify({
+    claimId: proof.claimId,
+    action: proof.action,
+    publicKey: proof.publicKey,
+    timestamp: proof.timestamp,
+    reason: proof.reason,
+    confidence: proof.confidence
+  });
+}
+
+/**
+ * Bygg payload för registrering och inloggning
+ * @param {string} action - register eller login
+ * @param {string} publicKey - Publik nyckel i PEM-format
+ * @param {number} timestamp - Tidsstämpel i millisekunder
+ * @returns {string} JSON-sträng av payload
+ */
+function authPayload(action, publicKey, timestamp) {
+  return JSON.stringify({ action, publicKey, timestamp });
+}
+
+/**
+ * Bygg payload för ett återkallande i samma fältordning som vid signering.
+ * retract drar tillbaka ett påstående, revoke återkallar ett bevis och
+ * supersede ersätter ett påstående med ett rättat påstående.
+ * @param {Object} statement - Återkallandet
+ * @returns {string} JSON-sträng av payload för återkallandet
+ */
+function retractionPayload(statement) {
+  return JSON.stringify({
+    action: statement.action,
+    claimId: statement.claimId,
+    publicKey: statement.publicKey,
+    timestamp: statement.timestamp,
+    reason: statement.reason,
+    replacementId: statement.replacementId || null
+  });
+}
+
+/**
+ * Bygg payload för ett nyckelbyte, som signeras av både den gamla och den nya nyckeln
+ * @param {Object} rotation - Nyckelbytet
+ * @returns {string} JSON-sträng av payload för nyckelbytet
+ */
+function rotationPayload(rotation) {
+  return JSON.stringify({
+    action: 'rotate',
+    oldPublicKey: rotation.oldPublicKey,
+    newPublicKey: rotation.newPublicKey,
+    timestamp: rotation.timestamp,
+    reason: rotation.reason
+  });
+}
+
+/**
+ * Verifiera en signatur mot en publik nyckel
+ * @param {string} data - Signerad data
+ * @param {string} signature - Signaturen som hex-sträng
+ * @param {string} publicKey - Publik nyckel i PEM-format
+ * @returns {string} 'valid', 'invalid' eller 'unverifiable'
+ */
+function verifySignature(data, signature, publicKey) {
+  if (!signature || !publicKey) {
+    return 'unverifiable';
+  }
+
+  try {
+    const valid = crypto.verify(digestFor(publicKey), Buffer.from(data), publicKey, Buffer.from(signature, 'hex'));
+    return valid ? 'valid' : 'invalid';
+  } catch (error) {
+    // Nyckeln eller signaturen kunde inte tolkas
+    return 'unverifiable';
+  }
+}
+
+/**
+ * Verifiera ett återkallande. Det måste gälla rätt påstående och vara
+ * signerat med samma nyckel som påståendet eller beviset det återkallar.
+ * @private
+ * @param {Object} statement - Återkallandet med signatur
+ * @param {string} claimId - ID för påståendet
+ * @param {string} signerKey - Publik nyckel som signerade påståendet eller beviset
+ * @param {Array<string>} actions - Tillåtna typer av återkallande
+ * @returns {string} 'valid', 'invalid' eller 'unverifiable'
+ */
+function verifyRetraction(statement, claimId, signerKey, actions) {
+  if (statement.claimId !== claimId || !actions.includes(statement.action) ||
+    (statement.publicKey && signerKey && statement.publicKey !== signerKey)) {
+    return 'invalid';
+  }
+  return verifySignature(retractionPayload(statement), statement.signature, statement.publicKey);
+}
+
+/**
+ * Verifiera signaturerna för ett påstående och hela dess beviskedja
+ * @param {Object} claim - Påståendet som det returneras av servern
+ * @returns {Object} Resultat med status för påståendet och varje bevis
+ */
+function verifyClaimSignatures(claim) {
+  const proofs = (claim.proofChain || []).map((proof, index) => {
+    const data = proofPayload({ ...proof, claimId: proof.claimId || claim.id });
+    const result = {
+      index,
+      action: proof.action,
+      publicKey: proof.publicKey,
+      timestamp: proof.timestamp,
+      status: verifySignature(data, proof.signature, proof.publicKey)
+    };
+    if (proof.revocation) {
+      result.revocation = verifyRetraction(proof.revocation, claim.id, proof.publicKey, ['revoke']);
+    }
+    return result;
+  });
+
+  const result = {
+    claimId: claim.id,
+    claim: verifySignature(claimPayload(claim), claim.signature, claim.publicKey),
+    proofs
+  };
+  if (claim.retraction) {
+    result.retraction = verifyRetraction(claim.retraction, claim.id, claim.publicKey, ['retract', 'supersede']);
+  }
+  return result;
+}
+
+module.exports = {
+  KEY_ALGORITHMS,
+  DEFAULT_KEY_ALGORITHM,
+  generateKeyPair,
+  keyAlgorithm,
+  fingerprint,
+  compactPublicKey,
+  expandPublicKey,
+  sign,
+  claimPayload,
+  proofPayload,
+  authPayload,
+  retractionPayload,
+  rotationPayload,
+  verifySignature,
+  verifyClaimSignatures
+};
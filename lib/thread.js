@@ -0,0 +1,132 @@
+/**
+ * OTRUST trådar - Följ parent_id uppåt till trådens rot och hämta svaren
+ * nedåt till ett träd
+ */
+
+// Största antal nivåer som följs uppåt respektive nedåt
+const DEFAULT_MAX_DEPTH = 20;
+
+/**
+ * Skapa en nod i trådträdet
+ * @private
+ * @param {Object} claim - Påståendet
+ * @param {number|null} score - Trovärdighetspoäng
+ * @returns {Object} Noden utan svar, med status active, retracted eller superseded
+ */
+function createNode(claim, score) {
+  return {
+    id: claim.id,
+    claim: claim.claim,
+    type: claim.type,
+    publicKey: claim.publicKey,
+    timestamp: claim.timestamp,
+    parentId: claim.parent_id || null,
+    status: claim.retraction ? (claim.retraction.action === 'supersede' ? 'superseded' : 'retracted') : 'active',
+    score: typeof score === 'number' ? score : null,
+    replies: []
+  };
+}
+
+/**
+ * Bygg tråden som ett påstående ingår i
+ * @param {string} id - Påståendet som tråden ska visas för
+ * @param {Object} options - Alternativ
+ * @param {Function} options.fetchClaim - Hämtar ett påstående: (id) => svaret från /api/claim/:id, eller null om det saknas
+ * @param {Function} options.fetchReplies - Hämtar direkta svar: (id) => lista med påståenden med credibilityScore
+ * @param {number} [options.maxDepth=20] - Största antal nivåer uppåt och nedåt
+ * @returns {Promise<Object>} Roten, ID för det valda påståendet, ett eventuellt saknat överordnat påstående och om trädet kortades av
+ */
+async function buildThread(id, { fetchClaim, fetchReplies, maxDepth = DEFAULT_MAX_DEPTH }) {
+  const data = await fetchClaim(id);
+  if (!data) {
+    throw new Error(`Påståendet ${id} hittades inte`);
+  }
+
+  let root = createNode(data.claim, data.credibility ? data.credibility.score : null);
+  const seen = new Set([root.id]);
+  let missingParent = null;
+  let truncated = false;
+
+  // Uppåt: varje överordnat påstående blir ny rot
+  for (let depth = 0; root.parentId; depth++) {
+    if (depth >= maxDepth || seen.has(root.parentId)) {
+      truncated = true;
+      break;
+    }
+
+    const parent = await fetchClaim(root.parentId);
+    if (!parent) {
+      missingParent = root.parentId;
+      break;
+    }
+    root = createNode(parent.claim, parent.credibility ? parent.credibility.score : null);
+    seen.add(root.id);
+  }
+
+  // Nedåt: hämta svaren nivå för nivå
+  seen.clear();
+  seen.add(root.id);
+  let level = [root];
+  for (let depth = 0; level.length > 0; depth++) {
+    if (depth >= maxDepth) {
+      truncated = true;
+      break;
+    }
+
+    const next = [];
+    for (const node of level) {
+      // Servern kan ignorera filtret, så bara påståenden som pekar på noden räknas som svar
+      const replies = await fetchReplies(node.id);
+      replies.filter(reply => reply.parent_id === node.id && !seen.has(reply.id)).forEach(reply => {
+        seen.add(reply.id);
+        const child = createNode(reply, reply.credibilityScore);
+        node.replies.push(child);
+        next.push(child);
+      });
+    }
+    level = next;
+  }
+
+  return { focus: id, root, missingParent, truncated };
+}
+
+/**
+ * Skapa fetchClaim för buildThread som hämtar påståenden från servern. Ett
+ * saknat överordnat påstående avslutar vägen uppåt, medan ett saknat valt
+ * påstående ger felet från servern.
+ * @param {Object} api - Axios-instans för servern
+ * @param {string} id - Påståendet som tråden ska visas för
+ * @param {Object} [config] - Extra konfiguration för varje anrop, t.ex. signal och timeout
+ * @returns {Function} Hämtar ett påstående: (id) => svaret från /api/claim/:id, eller null om det saknas
+ */
+function claimFetcher(api, id, config = {}) {
+  return async claimId => {
+    const response = await api.get(`/api/claim/${claimId}`, {
+      ...config,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 404 && claimId !== id)
+    });
+    return response.status === 404 ? null : response.data;
+  };
+}
+
+/**
+ * Gå igenom trådträdet i ordning, djupet först
+ * @param {Object} root - Trådens rot
+ * @param {Function} visit - Anropas för varje nod med (node, depth, isLast, ancestorsLast)
+ */
+function walkThread(root, visit) {
+  const walk = (node, depth, isLast, ancestorsLast) => {
+    visit(node, depth, isLast, ancestorsLast);
+    node.replies.forEach((reply, index) => {
+      walk(reply, depth + 1, index === node.replies.length - 1, depth === 0 ? [] : ancestorsLast.concat(isLast));
+    });
+  };
+  walk(root, 0, true, []);
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  buildThread,
+  claimFetcher,
+  walkThread
+};
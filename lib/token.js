@@ -0,0 +1,112 @@
+/**
+ * OTRUST token - Avkodning av inloggningstoken. Signaturen verifieras inte,
+ * det gör servern; avkodningen används bara för att visa token-status.
+ */
+
+const signatures = require('./signatures');
+
+/**
+ * Avkoda en del av en JWT (base64url-kodad JSON)
+ * @private
+ * @param {string} part - Den kodade delen
+ * @returns {Object} Avkodad JSON
+ */
+function decodePart(part) {
+  const base64 = part.replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+}
+
+/**
+ * Avkoda en token i JWT-format
+ * @param {string} token - Token
+ * @returns {Object|null} Header och payload, eller null om token inte är en JWT
+ */
+function decodeToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    return { header: decodePart(parts[0]), payload: decodePart(parts[1]) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sammanfatta en token
+ * @param {string} token - Token
+ * @param {number} [now] - Aktuell tid i millisekunder (standard: Date.now())
+ * @returns {Object} Format (jwt eller opaque), subjekt, publik nyckel, utfärdande- och utgångstid
+ */
+function tokenInfo(token, now = Date.now()) {
+  const decoded = decodeToken(token);
+  if (!decoded) {
+    return { format: 'opaque', algorithm: null, subject: null, publicKey: null, issuedAt: null, expiresAt: null, expired: null };
+  }
+
+  const { payload } = decoded;
+  const expiresAt = typeof payload.exp === 'number' ? new Date(payload.exp * 1000).toISOString() : null;
+
+  return {
+    format: 'jwt',
+    algorithm: decoded.header.alg || null,
+    subject: payload.sub || payload.userId || payload.id || null,
+    publicKey: payload.publicKey || null,
+    issuedAt: typeof payload.iat === 'number' ? new Date(payload.iat * 1000).toISOString() : null,
+    expiresAt,
+    expired: expiresAt ? payload.exp * 1000 <= now : null
+  };
+}
+
+/**
+ * Fingeravtrycket för nyckeln som token gäller. Saknar token en publik nyckel
+ * används det konfigurerade nyckelparet.
+ * @param {Object|null} info - Resultatet från tokenInfo()
+ * @param {Object|null} keyPair - Konfigurerat nyckelpar
+ * @returns {string|null} Fingeravtryck, eller null om ingen nyckel kan läsas
+ */
+function loggedInFingerprint(info, keyPair) {
+  const publicKey = (info && info.publicKey) || (keyPair ? keyPair.publicKey : null);
+  if (!publicKey) {
+    return null;
+  }
+  try {
+    return signatures.fingerprint(publicKey);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Inloggningsstatus för en konfiguration. Token avkodas men verifieras inte mot servern.
+ * @param {Object} config - Konfigurationen med server, token och keyPair
+ * @param {string} context - Namnet på den aktiva kontexten
+ * @returns {Object} Kontext, server, om användaren är inloggad, nyckelns fingeravtryck,
+ * om token gäller det konfigurerade nyckelparet och resultatet från tokenInfo()
+ */
+function authStatus(config, context) {
+  const info = config.token ? tokenInfo(config.token) : null;
+  return {
+    context,
+    server: config.server,
+    isLoggedIn: !!config.token,
+    fingerprint: loggedInFingerprint(info, config.keyPair),
+    keyMatches: info && info.publicKey && config.keyPair
+      ? info.publicKey.trim() === config.keyPair.publicKey.trim()
+      : null,
+    token: info
+  };
+}
+
+module.exports = {
+  decodeToken,
+  tokenInfo,
+  loggedInFingerprint,
+  authStatus
+};
@@ -0,0 +1,164 @@
+/**
+ * OTRUST bevakning - Ögonblicksbilder av påståenden och semantiska frågor
+ * och skillnaderna mellan två hämtningar
+ */
+
+/**
+ * Identifiera ett bevis i beviskedjan
+ * @private
+ * @param {Object} proof - Beviset
+ * @returns {string} Nyckel som är unik inom kedjan
+ */
+function proofKey(proof) {
+  return proof.signature || `${proof.publicKey}:${proof.timestamp}:${proof.action}`;
+}
+
+/**
+ * Skapa en ögonblicksbild av ett påstående
+ * @param {Object} data - Svaret från /api/claim/:id
+ * @returns {Object} Beviskedja, trovärdighet och blockkedjeverifiering
+ */
+function claimSnapshot(data) {
+  const verification = data.blockchainVerification;
+  return {
+    claimId: data.claim.id,
+    proofs: (data.claim.proofChain || []).map(proof => ({
+      key: proofKey(proof),
+      action: proof.action,
+      publicKey: proof.publicKey,
+      timestamp: proof.timestamp,
+      reason: proof.reason || null
+    })),
+    score: data.credibility ? data.credibility.score : null,
+    verification: verification
+      ? { blockHash: verification.blockHash, blockIndex: verification.blockIndex }
+      : null
+  };
+}
+
+/**
+ * Jämför två ögonblicksbilder av ett påstående
+ * @param {Object} previous - Föregående ögonblicksbild
+ * @param {Object} current - Aktuell ögonblicksbild
+ * @returns {Array<Object>} Händelser för nya bevis, ändrad trovärdighet och ändrad verifiering
+ */
+function diffClaim(previous, current) {
+  const events = [];
+  const known = new Set(previous.proofs.map(proof => proof.key));
+
+  current.proofs.filter(proof => !known.has(proof.key)).forEach(proof => {
+    const { key, ...details } = proof;
+    events.push({ type: 'proof', claimId: current.claimId, ...details });
+  });
+
+  if (previous.score !== current.score) {
+    events.push({ type: 'credibility', claimId: current.claimId, from: previous.score, to: current.score });
+  }
+
+  if (JSON.stringify(previous.verification) !== JSON.stringify(current.verification)) {
+    events.push({ type: 'verification', claimId: current.claimId, from: previous.verification, to: current.verification });
+  }
+
+  return events;
+}
+
+/**
+ * Identifiera ett objekt i en semantisk fråga. Påståendets ID skiljer
+ * objekt som bara skiljer sig i skiftläge eller kommer från olika påståenden.
+ * @private
+ * @param {Object} obj - Objektet från /api/semantic/:subject/:predicate
+ * @returns {string} Nyckel som är unik inom svaret
+ */
+function objectKey(obj) {
+  return `${String(obj.object).trim().toLowerCase()}\n${obj.claimId || ''}`;
+}
+
+/**
+ * Skapa en ögonblicksbild av en semantisk fråga
+ * @param {string} subject - Subjekt
+ * @param {string} predicate - Predikat
+ * @param {Object} data - Svaret från /api/semantic/:subject/:predicate
+ * @returns {Object} Konsensusvärde och objekt med object, claimId och credibility
+ */
+function semanticSnapshot(subject, predicate, data) {
+  const objects = {};
+  (data.objects || []).forEach(obj => {
+    objects[objectKey(obj)] = { object: obj.object, claimId: obj.claimId || null, credibility: obj.credibility };
+  });
+
+  return {
+    subject,
+    predicate,
+    consensusValue: data.hasConsensus ? data.consensusValue : null,
+    objects
+  };
+}
+
+/**
+ * Jämför två ögonblicksbilder av en semantisk fråga
+ * @param {Object} previous - Föregående ögonblicksbild
+ * @param {Object} current - Aktuell ögonblicksbild
+ * @returns {Array<Object>} Händelser för ändrat konsensusvärde och ändrade objekt
+ */
+function diffSemantic(previous, current) {
+  const events = [];
+  const target = { subject: current.subject, predicate: current.predicate };
+
+  if (previous.consensusValue !== current.consensusValue) {
+    events.push({ type: 'consensus', ...target, from: previous.consensusValue, to: current.consensusValue });
+  }
+
+  const keys = new Set(Object.keys(previous.objects).concat(Object.keys(current.objects)));
+  keys.forEach(key => {
+    const before = previous.objects[key];
+    const after = current.objects[key];
+    const from = before ? before.credibility : null;
+    const to = after ? after.credibility : null;
+    if (from !== to) {
+      const { object, claimId } = after || before;
+      events.push({ type: 'object', ...target, object, claimId, from, to });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Beskriv en bevakningshändelse på en rad
+ * @param {Object} event - Händelse från diffClaim eller diffSemantic
+ * @returns {string} Beskrivningen
+ */
+function describeEvent(event) {
+  const score = value => (value === null || value === undefined ? '-' : value.toFixed(2));
+  // Händelser för semantiska frågor har subjekt och predikat, objekten även claimId
+  const target = event.subject !== undefined ? `${event.subject} ${event.predicate}` : event.claimId;
+
+  switch (event.type) {
+    case 'proof':
+      return `${target}: new proof, ${event.action} by ${event.publicKey.substring(0, 12)}...${event.reason ? ` (${event.reason})` : ''}`;
+    case 'credibility':
+      return `${target}: credibility ${score(event.from)} -> ${score(event.to)}`;
+    case 'verification':
+      return event.to
+        ? `${target}: verified on blockchain in block ${event.to.blockIndex} (${event.to.blockHash})`
+        : `${target}: blockchain verification removed`;
+    case 'consensus':
+      return `${target}: consensus ${event.from === null ? 'none' : `"${event.from}"`} -> ${event.to === null ? 'none' : `"${event.to}"`}`;
+    case 'object': {
+      const object = `"${event.object}"${event.claimId ? ` (${event.claimId})` : ''}`;
+      if (event.from === null) return `${target}: new object ${object} (credibility ${score(event.to)})`;
+      if (event.to === null) return `${target}: object ${object} removed`;
+      return `${target}: ${object} credibility ${score(event.from)} -> ${score(event.to)}`;
+    }
+    default:
+      return `${target}: ${event.type}`;
+  }
+}
+
+module.exports = {
+  claimSnapshot,
+  diffClaim,
+  semanticSnapshot,
+  diffSemantic,
+  describeEvent
+};
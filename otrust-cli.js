@@ -11,17 +11,35 @@
  * - Blockchain verification
  */
 
-const { Command } = require('commander');
+const { Command, CommanderError } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
-const axios = require('axios');
 const ora = require('ora');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { spawn } = require('child_process');
+const readline = require('readline');
 const Table = require('cli-table3');
-const { Parser } = require('json2csv');
+const signatures = require('./lib/signatures');
+const envelopes = require('./lib/envelope');
+const keystore = require('./lib/keystore');
+const contexts = require('./lib/contexts');
+const formats = require('./lib/format');
+const records = require('./lib/records');
+const cache = require('./lib/cache');
+const watch = require('./lib/watch');
+const checkpoints = require('./lib/checkpoints');
+const http = require('./lib/http');
+const tokens = require('./lib/token');
+const threads = require('./lib/thread');
+const mockServer = require('./lib/mock-server');
+const rdf = require('./lib/rdf');
+const evidenceFiles = require('./lib/evidence');
+const conflicts = require('./lib/conflicts');
+const shell = require('./lib/shell');
+const completion = require('./lib/completion');
 
 // Initialize CLI program
 const program = new Command();
@@ -29,12 +47,72 @@ const program = new Command();
 // Configuration
 const CONFIG_DIR = path.join(os.homedir(), '.otrust');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
-let config = {
+const CACHE_DIR = path.join(CONFIG_DIR, 'cache');
+const CHECKPOINT_FILE = path.join(CONFIG_DIR, 'checkpoints.json');
+const HISTORY_FILE = path.join(CONFIG_DIR, 'history');
+const DEFAULT_CONFIG = {
   server: 'http://localhost:3000',
   keyPair: null,
   token: null
 };
 
+// All contexts stored in the config file, and the one commands operate on
+let settings = contexts.normalizeSettings();
+let activeContext = contexts.DEFAULT_CONTEXT;
+let config = { ...DEFAULT_CONFIG };
+
+// State of a running `otrust-cli shell`: the abort controller for the
+// current command and the axios instances reused between commands
+let shellSession = null;
+
+// Claim IDs seen by commands, newest first, for the shell's tab completion,
+// and the claim last created or fetched, for $last. Seen claim IDs and user
+// keys are also saved for the scripts from `otrust-cli completion`.
+const SEEN_ID_LIMIT = 200;
+const SEEN_CLAIMS_FILE = path.join(os.homedir(), completion.SEEN_DIR, 'claims');
+const SEEN_USERS_FILE = path.join(os.homedir(), completion.SEEN_DIR, 'users');
+let seenClaimIds = [];
+let lastClaimId = null;
+
+// Save seen values for completion. Completion is a convenience, so a
+// failure here never fails the command.
+function saveSeen(file, values) {
+  try {
+    completion.rememberSeen(file, values, SEEN_ID_LIMIT);
+  } catch (error) {
+    // Ignored: the values are only used for completion
+  }
+}
+
+// Remember claim IDs shown by a command. With last set, the first ID becomes $last.
+function rememberClaimIds(ids, { last = false } = {}) {
+  const fresh = ids.filter(Boolean);
+  if (last && fresh.length > 0) {
+    lastClaimId = fresh[0];
+  }
+  seenClaimIds = fresh.concat(seenClaimIds.filter(id => !fresh.includes(id))).slice(0, SEEN_ID_LIMIT);
+  saveSeen(SEEN_CLAIMS_FILE, fresh);
+}
+
+// Remember public keys of users shown by a command. PEM keys span several
+// lines, so they are saved on one line and expanded by userKey() when used.
+function rememberUserKeys(keys) {
+  const compact = [];
+  keys.filter(Boolean).forEach(key => {
+    try {
+      compact.push(signatures.compactPublicKey(key));
+    } catch (error) {
+      // Ignored: not a key that can be completed
+    }
+  });
+  saveSeen(SEEN_USERS_FILE, compact);
+}
+
+// A public key given on the command line, which may be a completed one-line key
+function userKey(value) {
+  return signatures.expandPublicKey(value);
+}
+
 // Initialize configuration
 function initConfig() {
   if (!fs.existsSync(CONFIG_DIR)) {
@@ -43,7 +121,8 @@ function initConfig() {
 
   if (fs.existsSync(CONFIG_FILE)) {
     try {
-      config = { ...config, ...JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) };
+      settings = contexts.normalizeSettings(JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')));
+      selectContext(settings.currentContext);
     } catch (error) {
       console.error(chalk.red('Error loading config file:'), error.message);
     }
@@ -52,81 +131,562 @@ function initConfig() {
   }
 }
 
+// Make the named context the one commands operate on
+function selectContext(name) {
+  const context = contexts.resolveContext(settings, name);
+  activeContext = context.name;
+  config = { ...DEFAULT_CONFIG, ...context.values };
+}
+
 // Save configuration
 function saveConfig() {
   try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    settings.contexts[activeContext] = { ...config };
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(settings, null, 2));
   } catch (error) {
     console.error(chalk.red('Error saving config file:'), error.message);
   }
 }
 
-// Generate a new key pair
-function generateKeyPair() {
-  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-    modulusLength: 2048,
-    publicKeyEncoding: {
-      type: 'spki',
-      format: 'pem'
+// Generate a new key pair (RSA unless another algorithm is requested)
+function generateKeyPair(algorithm) {
+  return signatures.generateKeyPair(algorithm);
+}
+
+// Sign data with private key, using the primitive that matches the key type
+function signData(data, privateKey) {
+  return signatures.sign(data, privateKey);
+}
+
+// Whether --json was given: no spinners or colors, one JSON document per command
+function jsonMode() {
+  return !!program.opts().json;
+}
+
+// Start a spinner, which stays silent in JSON mode
+function startSpinner(text) {
+  return ora({ text, isSilent: jsonMode() }).start();
+}
+
+// Print a JSON document to stdout
+function emitJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+// Build the structured error object emitted in JSON mode
+function errorObject(error) {
+  const details = {
+    message: error.message,
+    status: null,
+    code: error.code || null,
+    details: null
+  };
+
+  if (error.response) {
+    const data = error.response.data;
+    details.status = error.response.status;
+    details.message = (data && data.error) || error.response.statusText || error.message;
+    details.details = data && data.message ? data.message : null;
+  } else if (isTimeout(error)) {
+    details.message = `Request timed out after ${error.config.timeout / 1000}s`;
+  } else if (error.request) {
+    details.message = 'Could not connect to server';
+  }
+
+  return { error: details };
+}
+
+// Whether a request failed because it took longer than --timeout
+function isTimeout(error) {
+  return !error.response && ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) && !!error.config && error.config.timeout > 0;
+}
+
+// Report an error that was detected before or without a request
+function reportError(message) {
+  if (jsonMode()) {
+    emitJson({ error: { message, status: null, code: null, details: null } });
+    process.exitCode = 1;
+  } else {
+    console.error(chalk.red('Error:'), message);
+  }
+}
+
+// Report a failed request. In normal mode the axios interceptor has
+// already printed the details.
+function reportRequestError(error) {
+  if (jsonMode()) {
+    emitJson(errorObject(error));
+    process.exitCode = 1;
+  } else if (!error.isAxiosError) {
+    // Errors without a request, such as a cache miss in offline mode
+    console.error(chalk.red('Error:'), error.message);
+  }
+}
+
+// Cache mode for read commands, from --offline or --refresh
+function cacheMode() {
+  const { offline, refresh } = program.opts();
+  if (offline) return 'offline';
+  if (refresh) return 'refresh';
+  return 'default';
+}
+
+// GET through the local cache in ~/.otrust/cache
+function cachedGet(api, url, params) {
+  return cache.cachedGet(api, url, { dir: CACHE_DIR, params, mode: cacheMode() });
+}
+
+// Describe how far a timestamp is from now, e.g. "5 minutes ago" or "in 2 hours"
+function formatRelative(timestamp) {
+  const difference = Math.round((new Date(timestamp).getTime() - Date.now()) / 1000);
+  const seconds = Math.abs(difference);
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+  for (const [unit, size] of units) {
+    if (seconds >= size) {
+      const value = Math.floor(seconds / size);
+      const text = `${value} ${unit}${value === 1 ? '' : 's'}`;
+      return difference < 0 ? `${text} ago` : `in ${text}`;
+    }
+  }
+  return 'just now';
+}
+
+// Note when a response was served from the cache rather than fetched
+function printCacheNote(response) {
+  const fetched = `fetched ${formatRelative(response.cache.fetchedAt)}`;
+  if (response.cache.status === 'offline') {
+    console.log(chalk.gray(`Offline: served from cache, ${fetched}`));
+  } else if (response.cache.status === 'revalidated') {
+    console.log(chalk.gray(`Served from cache, ${fetched} and not modified on the server since`));
+  }
+}
+
+// Shared --format and --fields options for list and query commands
+const FORMAT_OPTION = ['--format <format>', `Output format (${formats.FORMATS.join(', ')})`, 'table'];
+const FIELDS_OPTION = ['--fields <fields>', 'Comma-separated fields to include, e.g. id,claim,semantic.subject'];
+
+// Check the --format option before fetching anything
+function checkFormat(options) {
+  if (!formats.FORMATS.includes(options.format)) {
+    reportError(`Unsupported format "${options.format}". Use one of: ${formats.FORMATS.join(', ')}`);
+    return false;
+  }
+  return true;
+}
+
+// Whether records should go through printRecords instead of the command's own table
+function customFormat(options) {
+  return options.format !== 'table' || !!options.fields;
+}
+
+// Print records in the format chosen with --format and --fields, and return
+// the fields used so later pages of a stream line up with the first one.
+// Nested values are flattened to dotted keys such as semantic.subject.
+function printRecords(records, options, defaultFields, { header = true } = {}) {
+  const fields = formats.parseFields(options.fields) || defaultFields;
+  const rows = records.map(record => (typeof record.timestamp === 'number'
+    ? { ...record, timestamp: new Date(record.timestamp).toISOString() }
+    : record));
+
+  const prepared = formats.prepareRecords(rows, fields);
+  if (options.format !== 'table') {
+    console.log(formats.formatRecords(rows, options.format, prepared.fields, { header }));
+    return prepared.fields;
+  }
+
+  const table = new Table({ head: prepared.fields });
+  prepared.rows.forEach(row => {
+    table.push(prepared.fields.map(field => (row[field] === null ? '-' : String(row[field]))));
+  });
+  console.log(table.toString());
+  return prepared.fields;
+}
+
+// Decrypted private key, cached for the rest of this invocation
+let unlockedKey = null;
+
+// Prompt for a new passphrase, asking twice to rule out typos
+async function promptNewPassphrase(message) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message,
+      mask: '*',
+      validate: input => input.length >= 8 ? true : 'Passphrase must be at least 8 characters'
     },
-    privateKeyEncoding: {
-      type: 'pkcs8',
-      format: 'pem'
+    {
+      type: 'password',
+      name: 'confirm',
+      message: 'Repeat passphrase:',
+      mask: '*'
     }
+  ]);
+
+  if (answers.passphrase !== answers.confirm) {
+    throw new Error('Passphrases do not match');
+  }
+  return answers.passphrase;
+}
+
+// Read the passphrase for the stored key from OTRUST_PASSPHRASE or a prompt
+async function readPassphrase() {
+  if (process.env.OTRUST_PASSPHRASE) {
+    return process.env.OTRUST_PASSPHRASE;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'Enter passphrase for your private key:',
+      mask: '*'
+    }
+  ]);
+  return answers.passphrase;
+}
+
+// Get the private key for signing, unlocking it if it is encrypted.
+// Prints the error and returns null if the key cannot be unlocked.
+async function getPrivateKey() {
+  if (unlockedKey) {
+    return unlockedKey;
+  }
+
+  try {
+    const privateKey = config.keyPair.privateKey;
+    const passphrase = keystore.isEncrypted(privateKey) ? await readPassphrase() : null;
+    unlockedKey = keystore.unlockPrivateKey(privateKey, passphrase);
+    return unlockedKey;
+  } catch (error) {
+    reportError(error.message);
+    return null;
+  }
+}
+
+// Run the signed login flow and store the new token
+async function authenticate(api, privateKey) {
+  const timestamp = Date.now();
+  const payload = signatures.authPayload('login', config.keyPair.publicKey, timestamp);
+  const response = await api.post('/api/auth/login', {
+    publicKey: config.keyPair.publicKey,
+    signature: signData(payload, privateKey),
+    timestamp
   });
 
-  return { publicKey, privateKey };
+  config.token = response.data.token;
+  saveConfig();
+  return response.data;
 }
 
-// Sign data with private key
-function signData(data, privateKey) {
-  const sign = crypto.createSign('SHA256');
-  sign.update(data);
-  sign.end();
-  return sign.sign(privateKey, 'hex');
+// Log in again after a 401. Requests that fail at the same time share one
+// login. Resolves to whether a new token was stored.
+let reauthentication = null;
+function reauthenticate() {
+  if (!reauthentication) {
+    reauthentication = (async () => {
+      const privateKey = await getPrivateKey();
+      if (!privateKey) return false;
+
+      try {
+        await authenticate(getAxiosInstance({ quiet: true, reauthenticate: false }), privateKey);
+        if (!jsonMode()) {
+          console.error(chalk.gray('Session expired, logged in again'));
+        }
+        return true;
+      } catch (error) {
+        return false;
+      }
+    })().then(success => {
+      reauthentication = null;
+      return success;
+    });
+  }
+  return reauthentication;
+}
+
+// Whether a failed request may be repeated after logging in again: a 401
+// while logged in, outside /api/auth/, that has not already been repeated
+function canReauthenticate(error) {
+  return !!config.keyPair && !!config.token &&
+    !!error.response && error.response.status === 401 &&
+    !!error.config && !error.config.reauthenticated &&
+    !(error.config.url || '').startsWith('/api/auth/');
+}
+
+// Whether a request was sent with an older token than the one now stored
+function staleToken(error) {
+  return !!config.token && error.config.headers['Authorization'] !== `Bearer ${config.token}`;
 }
 
-// Set up axios with auth token
-function getAxiosInstance() {
-  const instance = axios.create({
+// Set up axios with auth token. With quiet set, errors are left to the caller
+// instead of being printed by the interceptor. A 401 logs in again with the
+// local key pair and repeats the request once, unless reauthenticate is false.
+function getAxiosInstance({ quiet = false, reauthenticate: relogin = true } = {}) {
+  const { timeout, retries } = program.opts();
+
+  // The shell reuses instances between commands, and Ctrl+C cancels the current command's requests
+  const key = JSON.stringify([config.server, config.token, quiet, relogin, timeout, retries, jsonMode()]);
+  if (shellSession) {
+    const reused = shellSession.instances.get(key);
+    if (reused) {
+      reused.defaults.signal = shellSession.controller.signal;
+      return reused;
+    }
+  }
+
+  const instance = http.createClient({
     baseURL: config.server,
     headers: config.token ? {
       'Authorization': `Bearer ${config.token}`
-    } : {}
+    } : {},
+    timeout: Math.round(parseFloat(timeout) * 1000),
+    retries: parseInt(retries),
+    onRetry: ({ attempt, delay, error, config: request }) => {
+      if (quiet || jsonMode()) return;
+      const reason = error.response ? `status ${error.response.status}` : (error.code || error.message);
+      console.error(chalk.yellow('Retrying:'), `${request.method.toUpperCase()} ${request.url} failed (${reason}), attempt ${attempt} in ${(delay / 1000).toFixed(1)}s`);
+    }
   });
 
   // Add interceptor for error handling
   instance.interceptors.response.use(
     response => response,
-    error => {
-      if (error.response) {
-        if (error.response.status === 401) {
-          console.error(chalk.red('Authentication error:'), 'Please login first');
-        } else if (error.response.data && error.response.data.error) {
-          console.error(chalk.red(`Error (${error.response.status}):`), error.response.data.error);
-          if (error.response.data.message) {
-            console.error(chalk.yellow('Details:'), error.response.data.message);
+    async error => {
+      // A request sent with a token that has since been replaced only needs repeating
+      if (relogin && canReauthenticate(error) && (staleToken(error) || await reauthenticate())) {
+        instance.defaults.headers['Authorization'] = `Bearer ${config.token}`;
+        error.config.headers['Authorization'] = `Bearer ${config.token}`;
+        error.config.reauthenticated = true;
+        return instance.request(error.config);
+      }
+
+      // In quiet and JSON mode the command reports the error
+      if (!quiet && !jsonMode()) {
+        if (error.response) {
+          if (error.response.status === 401) {
+            console.error(chalk.red('Authentication error:'), 'Please login first');
+          } else if (error.response.data && error.response.data.error) {
+            console.error(chalk.red(`Error (${error.response.status}):`), error.response.data.error);
+            if (error.response.data.message) {
+              console.error(chalk.yellow('Details:'), error.response.data.message);
+            }
+          } else {
+            console.error(chalk.red(`Error ${error.response.status}:`), error.response.statusText);
           }
+        } else if (error.code === 'ERR_CANCELED') {
+          console.error(chalk.yellow('Cancelled'));
+        } else if (isTimeout(error)) {
+          console.error(chalk.red('Network error:'), `Request timed out after ${error.config.timeout / 1000}s`);
+        } else if (error.request) {
+          console.error(chalk.red('Network error:'), 'Could not connect to server');
         } else {
-          console.error(chalk.red(`Error ${error.response.status}:`), error.response.statusText);
+          console.error(chalk.red('Error:'), error.message);
         }
-      } else if (error.request) {
-        console.error(chalk.red('Network error:'), 'Could not connect to server');
-      } else {
-        console.error(chalk.red('Error:'), error.message);
       }
       return Promise.reject(error);
     }
   );
 
+  if (shellSession) {
+    instance.defaults.signal = shellSession.controller.signal;
+    shellSession.instances.set(key, instance);
+  }
   return instance;
 }
 
+// Format a signature status for display
+function formatSignatureStatus(status) {
+  if (status === 'valid') return chalk.green('valid');
+  if (status === 'invalid') return chalk.red('INVALID');
+  return chalk.yellow('unverifiable');
+}
+
+// Whether a local signature check found a signature that does not match its data
+function signatureCheckFailed(result) {
+  return result.claim === 'invalid' || result.retraction === 'invalid' ||
+    result.proofs.some(proof => proof.status === 'invalid' || proof.revocation === 'invalid');
+}
+
+// Print the result of a local signature check
+function printSignatureCheck(result) {
+  console.log(chalk.green('\nSignature Check:'));
+  console.log('Claim:', formatSignatureStatus(result.claim));
+  if (result.retraction) {
+    console.log('Retraction:', formatSignatureStatus(result.retraction));
+  }
+
+  if (result.proofs.length > 0) {
+    const revoked = result.proofs.some(proof => proof.revocation);
+    const table = new Table({
+      head: ['#', 'Action', 'User', 'Signature'].concat(revoked ? ['Revocation'] : []),
+      colWidths: [5, 15, 15, 15].concat(revoked ? [15] : [])
+    });
+
+    result.proofs.forEach(proof => {
+      table.push([
+        proof.index + 1,
+        proof.action,
+        proof.publicKey ? proof.publicKey.substring(0, 12) + '...' : '-',
+        formatSignatureStatus(proof.status)
+      ].concat(revoked ? [proof.revocation ? formatSignatureStatus(proof.revocation) : '-'] : []));
+    });
+
+    console.log(table.toString());
+  }
+
+  if (signatureCheckFailed(result)) {
+    console.log(chalk.red('\nWarning:'), 'One or more signatures do not match the signed data. The server may be returning altered content.');
+    process.exitCode = 1;
+  }
+}
+
+// Shared options for watch mode
+const INTERVAL_OPTION = ['--interval <seconds>', 'Seconds between polls', '30'];
+const EXEC_OPTION = ['--exec <command>', 'Command to run on each change, with the event as JSON in OTRUST_EVENT'];
+
+// Run the --exec command for an event and wait for it to finish. In JSON
+// mode its output goes to stderr so the event stream stays valid NDJSON.
+function runEventCommand(command, event) {
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['ignore', jsonMode() ? 2 : 'inherit', 'inherit'],
+      env: { ...process.env, OTRUST_EVENT: JSON.stringify(event), OTRUST_EVENT_TYPE: event.type }
+    });
+    child.on('error', error => {
+      console.error(chalk.red('Error:'), `Could not run "${command}": ${error.message}`);
+      resolve();
+    });
+    child.on('exit', code => {
+      if (code) {
+        console.error(chalk.yellow('Warning:'), `"${command}" exited with code ${code}`);
+      }
+      resolve();
+    });
+  });
+}
+
+// Poll each target until interrupted and report only what changed. A target
+// has a label, fetch(api) returning a snapshot, diff(previous, current)
+// returning events, and describe(snapshot) for the initial state.
+async function watchTargets(targets, options) {
+  const seconds = parseFloat(options.interval);
+  if (isNaN(seconds) || seconds <= 0) {
+    reportError('--interval must be a positive number of seconds');
+    return;
+  }
+
+  const api = getAxiosInstance({ quiet: true });
+  const snapshots = new Map();
+  const failures = new Map();
+  let stopped = false;
+  let wake = null;
+
+  process.once('SIGINT', () => {
+    stopped = true;
+    if (wake) wake();
+  });
+
+  const report = async (event, changed, description) => {
+    const timed = { time: new Date().toISOString(), ...event };
+    if (jsonMode()) {
+      console.log(JSON.stringify(timed));
+    } else if (event.type === 'error') {
+      console.error(chalk.gray(timed.time), chalk.red(`${event.target}: ${event.message}`));
+    } else {
+      console.log(chalk.gray(timed.time), description || watch.describeEvent(event));
+    }
+    if (changed && options.exec) {
+      await runEventCommand(options.exec, timed);
+    }
+  };
+
+  if (!jsonMode()) {
+    console.log(chalk.cyan(`Watching ${targets.map(target => target.label).join(', ')} every ${seconds}s (Ctrl+C to stop)`));
+  }
+
+  while (!stopped) {
+    for (const target of targets) {
+      let snapshot;
+      try {
+        snapshot = await target.fetch(api);
+      } catch (error) {
+        // Report a failing target once until it recovers
+        const message = errorObject(error).error.message;
+        if (failures.get(target.label) !== message) {
+          failures.set(target.label, message);
+          await report({ type: 'error', target: target.label, message }, false);
+        }
+        continue;
+      }
+      failures.delete(target.label);
+
+      const previous = snapshots.get(target.label);
+      snapshots.set(target.label, snapshot);
+      if (!previous) {
+        await report({ type: 'initial', ...snapshot }, false, target.describe(snapshot));
+        continue;
+      }
+      for (const event of target.diff(previous, snapshot)) {
+        await report(event, true);
+      }
+    }
+
+    if (stopped) break;
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, seconds * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
+
 // CLI version and description
 program
   .name('otrust-cli')
   .description('Command line interface for the OTRUST distributed truth protocol')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--context <name>', 'Use a named context for this command')
+  .option('--json', 'Output machine-readable JSON instead of text, without spinners or colors')
+  .option('--offline', 'Serve claim:get, search and user:info from the local cache only')
+  .option('--refresh', 'Bypass the local cache and fetch from the server')
+  .option('--timeout <seconds>', 'Seconds before a request times out, 0 for no limit', String(http.DEFAULT_TIMEOUT / 1000))
+  .option('--retries <number>', 'Retries for GET requests and network errors, with exponential backoff', String(http.DEFAULT_RETRIES));
+
+// Print an error and stop before the command runs. Inside the shell this
+// only stops the command, not the shell.
+function abortCommand(message) {
+  console.error(chalk.red('Error:'), message);
+  if (shellSession) {
+    throw new CommanderError(1, 'otrust.aborted', message);
+  }
+  process.exit(1);
+}
+
+// Switch to the context given with --context before any command runs
+program.hook('preAction', () => {
+  const { context, json, offline, refresh, timeout, retries } = program.opts();
+  if (json) {
+    chalk.level = 0;
+  }
+  if (offline && refresh) {
+    abortCommand('--offline and --refresh cannot be used together');
+  }
+  if (isNaN(parseFloat(timeout)) || parseFloat(timeout) < 0 || isNaN(parseInt(retries)) || parseInt(retries) < 0) {
+    abortCommand('--timeout and --retries must be non-negative numbers');
+  }
+  if (!context) return;
+
+  try {
+    selectContext(context);
+  } catch (error) {
+    abortCommand(`Context "${context}" does not exist. Run "otrust-cli context:list" to see available contexts`);
+  }
+});
 
 // Config command
 program
@@ -143,28 +703,169 @@ program
 
     if (options.print || (!options.server)) {
       console.log(chalk.cyan('Current configuration:'));
+      console.log('Context:', activeContext);
       console.log('Server URL:', config.server);
-      console.log('Public key:', config.keyPair ? 'Configured' : 'Not configured');
+      console.log('Public key:', config.keyPair
+        ? `Configured (${config.keyPair.algorithm || signatures.DEFAULT_KEY_ALGORITHM})`
+        : 'Not configured');
+      if (config.keyPair) {
+        console.log('Private key:', keystore.isEncrypted(config.keyPair.privateKey)
+          ? 'Encrypted'
+          : chalk.yellow('Not encrypted (run "otrust-cli key:lock" to protect it)'));
+      }
       console.log('Authentication:', config.token ? 'Logged in' : 'Not logged in');
     }
   });
 
+// Create a named context
+program
+  .command('context:create')
+  .description('Create a named context with its own server, key pair and login')
+  .argument('<name>', 'Context name')
+  .option('-s, --server <url>', 'OTRUST server URL for the context')
+  .option('--copy-key', 'Copy the key pair from the current context')
+  .option('--use', 'Switch to the new context')
+  .action((name, options) => {
+    try {
+      contexts.validateContextName(name);
+    } catch (error) {
+      console.error(chalk.red('Error:'), 'Context names may only contain letters, digits, ".", "_" and "-"');
+      return;
+    }
+    if (settings.contexts[name]) {
+      console.error(chalk.red('Error:'), `Context "${name}" already exists`);
+      return;
+    }
+
+    settings.contexts[name] = {
+      server: options.server || DEFAULT_CONFIG.server,
+      keyPair: options.copyKey ? config.keyPair : null,
+      token: null
+    };
+    if (options.use) {
+      settings.currentContext = name;
+    }
+    saveConfig();
+
+    console.log(chalk.green('Context created:'), name);
+    console.log('Server URL:', settings.contexts[name].server);
+    if (!options.use) {
+      console.log(`Switch to it with: otrust-cli context:use ${name}`);
+    }
+  });
+
+// Switch the active context
+program
+  .command('context:use')
+  .description('Switch the active context')
+  .argument('<name>', 'Context name')
+  .action((name) => {
+    if (!settings.contexts[name]) {
+      console.error(chalk.red('Error:'), `Context "${name}" does not exist`);
+      return;
+    }
+
+    settings.currentContext = name;
+    saveConfig();
+    // Later commands in the same process, such as in the shell, use it too
+    selectContext(name);
+    console.log(chalk.green('Switched to context:'), name);
+  });
+
+// List contexts
+program
+  .command('context:list')
+  .description('List all contexts')
+  .action(() => {
+    const table = new Table({
+      head: ['', 'Name', 'Server', 'Key Pair', 'Logged In'],
+      colWidths: [3, 20, 40, 10, 11]
+    });
+
+    contexts.listContexts(settings).forEach(context => {
+      table.push([
+        context.active ? '*' : '',
+        context.name,
+        context.server || '-',
+        context.hasKeyPair ? 'Yes' : 'No',
+        context.isLoggedIn ? 'Yes' : 'No'
+      ]);
+    });
+
+    console.log(table.toString());
+  });
+
+// Delete a context
+program
+  .command('context:delete')
+  .description('Delete a context, including its key pair')
+  .argument('<name>', 'Context name')
+  .option('-f, --force', 'Do not ask for confirmation')
+  .action(async (name, options) => {
+    if (!settings.contexts[name]) {
+      console.error(chalk.red('Error:'), `Context "${name}" does not exist`);
+      return;
+    }
+    if (name === settings.currentContext || name === activeContext) {
+      console.error(chalk.red('Error:'), 'Cannot delete the active context. Switch to another context first');
+      return;
+    }
+
+    if (settings.contexts[name].keyPair && !options.force) {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Context "${name}" holds a key pair that will be lost. Delete it?`,
+          default: false
+        }
+      ]);
+      if (!confirmed) return;
+    }
+
+    delete settings.contexts[name];
+    saveConfig();
+    console.log(chalk.green('Context deleted:'), name);
+  });
+
 // Initialize key pair
 program
   .command('init')
   .description('Initialize a new key pair')
   .option('-f, --force', 'Force regeneration of keys')
-  .action((options) => {
+  .option('--encrypt', 'Encrypt the private key with a passphrase')
+  .option('-a, --algorithm <algorithm>', `Key algorithm (${signatures.KEY_ALGORITHMS.join(', ')})`, signatures.DEFAULT_KEY_ALGORITHM)
+  .action(async (options) => {
     if (config.keyPair && !options.force) {
-      console.log(chalk.yellow('Key pair already exists.'), 'Use --force to regenerate');
+      console.log(chalk.yellow('Key pair already exists.'), 'Use "otrust-cli key:rotate" to replace it and keep your history, or --force to regenerate');
       return;
     }
 
-    const spinner = ora('Generating key pair...').start();
+    if (!signatures.KEY_ALGORITHMS.includes(options.algorithm)) {
+      console.error(chalk.red('Error:'), `Unsupported algorithm "${options.algorithm}". Use one of: ${signatures.KEY_ALGORITHMS.join(', ')}`);
+      return;
+    }
+
+    let passphrase = null;
+    if (options.encrypt) {
+      try {
+        passphrase = await promptNewPassphrase('Enter a passphrase for the new private key:');
+      } catch (error) {
+        console.error(chalk.red('Error:'), error.message);
+        return;
+      }
+    }
+
+    const spinner = startSpinner('Generating key pair...');
     try {
-      config.keyPair = generateKeyPair();
+      const keyPair = generateKeyPair(options.algorithm);
+      if (passphrase) {
+        keyPair.privateKey = keystore.encryptPrivateKey(keyPair.privateKey, passphrase);
+      }
+      config.keyPair = keyPair;
+      unlockedKey = null;
       saveConfig();
-      spinner.succeed('Key pair generated and saved');
+      spinner.succeed(`${options.algorithm} key pair generated and saved`);
       console.log(chalk.green('Public key:'));
       console.log(config.keyPair.publicKey.split('\n').slice(1, -2).join(''));
     } catch (error) {
@@ -173,355 +874,1679 @@ program
     }
   });
 
-// Register account
+// Encrypt the stored private key
 program
-  .command('register')
-  .description('Register a new account with the OTRUST server')
+  .command('key:lock')
+  .description('Encrypt the stored private key with a passphrase')
   .action(async () => {
     if (!config.keyPair) {
       console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
       return;
     }
+    if (keystore.isEncrypted(config.keyPair.privateKey)) {
+      console.log(chalk.yellow('Private key is already encrypted.'), 'Use key:passwd to change the passphrase');
+      return;
+    }
 
-    const spinner = ora('Registering account...').start();
     try {
-      const timestamp = Date.now();
-      const payload = JSON.stringify({ action: 'register', publicKey: config.keyPair.publicKey, timestamp });
-      const signature = signData(payload, config.keyPair.privateKey);
-
-      const api = getAxiosInstance();
-      const response = await api.post('/api/auth/register', {
-        publicKey: config.keyPair.publicKey,
-        signature,
-        timestamp
-      });
-
-      config.token = response.data.token;
+      const passphrase = await promptNewPassphrase('Enter a new passphrase:');
+      config.keyPair.privateKey = keystore.encryptPrivateKey(config.keyPair.privateKey, passphrase);
       saveConfig();
-
-      spinner.succeed('Account registered successfully');
-      console.log(chalk.green('You are now logged in as:'), response.data.user.publicKey);
+      console.log(chalk.green('Private key encrypted'));
     } catch (error) {
-      spinner.fail('Registration failed');
-      // Error handled by axios interceptor
+      console.error(chalk.red('Error:'), error.message);
     }
   });
 
-// Login
+// Decrypt the stored private key
 program
-  .command('login')
-  .description('Login to the OTRUST server')
+  .command('key:unlock')
+  .description('Remove passphrase protection and store the private key in plaintext')
   .action(async () => {
     if (!config.keyPair) {
       console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
       return;
     }
+    if (!keystore.isEncrypted(config.keyPair.privateKey)) {
+      console.log(chalk.yellow('Private key is not encrypted'));
+      return;
+    }
 
-    const spinner = ora('Logging in...').start();
     try {
-      const timestamp = Date.now();
-      const payload = JSON.stringify({ action: 'login', publicKey: config.keyPair.publicKey, timestamp });
-      const signature = signData(payload, config.keyPair.privateKey);
-
-      const api = getAxiosInstance();
-      const response = await api.post('/api/auth/login', {
-        publicKey: config.keyPair.publicKey,
-        signature,
-        timestamp
-      });
-
-      config.token = response.data.token;
+      const passphrase = await readPassphrase();
+      config.keyPair.privateKey = keystore.decryptPrivateKey(config.keyPair.privateKey, passphrase);
       saveConfig();
-
-      spinner.succeed('Login successful');
-      console.log(chalk.green('You are logged in as:'), response.data.user.publicKey);
-      if (response.data.user.displayName) {
-        console.log('Display name:', response.data.user.displayName);
-      }
-      console.log('Score:', response.data.user.score);
+      console.log(chalk.green('Private key decrypted.'), 'It is now stored in plaintext in', CONFIG_FILE);
     } catch (error) {
-      spinner.fail('Login failed');
-      // Error handled by axios interceptor
+      console.error(chalk.red('Error:'), error.message);
     }
   });
 
-// Logout
+// Change the passphrase of the stored private key
 program
-  .command('logout')
-  .description('Logout from the OTRUST server')
-  .action(() => {
-    if (!config.token) {
+  .command('key:passwd')
+  .description('Change the passphrase of the encrypted private key')
+  .action(async () => {
+    if (!config.keyPair) {
+      console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+    if (!keystore.isEncrypted(config.keyPair.privateKey)) {
+      console.log(chalk.yellow('Private key is not encrypted.'), 'Use key:lock to encrypt it');
+      return;
+    }
+
+    try {
+      const privateKey = keystore.decryptPrivateKey(config.keyPair.privateKey, await readPassphrase());
+      const passphrase = await promptNewPassphrase('Enter a new passphrase:');
+      config.keyPair.privateKey = keystore.encryptPrivateKey(privateKey, passphrase);
+      saveConfig();
+      console.log(chalk.green('Passphrase changed'));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  });
+
+// Rotate to a new key pair
+program
+  .command('key:rotate')
+  .description('Replace the key pair with a new one, linked to the old key by a statement signed by both')
+  .option('-a, --algorithm <algorithm>', `Key algorithm for the new key (${signatures.KEY_ALGORITHMS.join(', ')})`)
+  .option('-r, --reason <text>', 'Reason for the rotation')
+  .action(async (options) => {
+    if (!config.token || !config.keyPair) {
+      console.error(chalk.red('Error:'), 'You must be logged in to rotate your key');
+      return;
+    }
+
+    const algorithm = options.algorithm || config.keyPair.algorithm || signatures.DEFAULT_KEY_ALGORITHM;
+    if (!signatures.KEY_ALGORITHMS.includes(algorithm)) {
+      console.error(chalk.red('Error:'), `Unsupported algorithm "${algorithm}". Use one of: ${signatures.KEY_ALGORITHMS.join(', ')}`);
+      return;
+    }
+
+    // Unlock the old key, keeping the passphrase to protect the new one the same way
+    const oldKeyPair = config.keyPair;
+    let passphrase = null;
+    let oldPrivateKey;
+    try {
+      passphrase = keystore.isEncrypted(oldKeyPair.privateKey) ? await readPassphrase() : null;
+      oldPrivateKey = keystore.unlockPrivateKey(oldKeyPair.privateKey, passphrase);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      return;
+    }
+
+    const spinner = startSpinner('Rotating key pair...');
+    try {
+      const newKeyPair = generateKeyPair(algorithm);
+      const payload = signatures.rotationPayload({
+        oldPublicKey: oldKeyPair.publicKey,
+        newPublicKey: newKeyPair.publicKey,
+        timestamp: Date.now(),
+        reason: options.reason
+      });
+      const statement = JSON.parse(payload);
+      statement.oldSignature = signData(payload, oldPrivateKey);
+      statement.newSignature = signData(payload, newKeyPair.privateKey);
+
+      const api = getAxiosInstance();
+      const response = await api.post('/api/auth/rotate', statement);
+
+      if (passphrase) {
+        newKeyPair.privateKey = keystore.encryptPrivateKey(newKeyPair.privateKey, passphrase);
+      }
+
+      config.retiredKeys = (config.retiredKeys || []).concat({
+        ...oldKeyPair,
+        fingerprint: signatures.fingerprint(oldKeyPair.publicKey),
+        retiredAt: statement.timestamp,
+        successor: signatures.fingerprint(newKeyPair.publicKey),
+        reason: options.reason || null
+      });
+      config.keyPair = newKeyPair;
+      if (response.data.token) {
+        config.token = response.data.token;
+      }
+      unlockedKey = null;
+      saveConfig();
+
+      spinner.succeed('Key pair rotated');
+      console.log('Old key:', signatures.fingerprint(oldKeyPair.publicKey), chalk.gray('(archived)'));
+      console.log(chalk.green('New key:'), signatures.fingerprint(newKeyPair.publicKey));
+    } catch (error) {
+      spinner.fail('Key rotation failed');
+      if (!error.response && !error.request) {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      // Otherwise handled by axios interceptor
+    }
+  });
+
+// List retired keys
+program
+  .command('key:history')
+  .description('List the current key and keys retired by rotation')
+  .action(() => {
+    if (!config.keyPair) {
+      console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+
+    console.log(chalk.green('Current key:'), signatures.fingerprint(config.keyPair.publicKey),
+      `(${config.keyPair.algorithm || signatures.DEFAULT_KEY_ALGORITHM})`);
+
+    const retiredKeys = config.retiredKeys || [];
+    if (retiredKeys.length === 0) {
+      console.log('No retired keys');
+      return;
+    }
+
+    console.log(chalk.green('\nRetired keys:'));
+    const table = new Table({
+      head: ['Fingerprint', 'Algorithm', 'Retired', 'Reason'],
+      colWidths: [54, 12, 24, 30]
+    });
+
+    retiredKeys.slice().reverse().forEach(key => {
+      table.push([
+        key.fingerprint,
+        key.algorithm || signatures.DEFAULT_KEY_ALGORITHM,
+        new Date(key.retiredAt).toLocaleString(),
+        key.reason || '-'
+      ]);
+    });
+
+    console.log(table.toString());
+  });
+
+const KEY_FORMATS = ['pem', 'jwk'];
+
+// Export the key pair
+program
+  .command('key:export')
+  .description('Export the public key, or the private key with --private')
+  .option('-f, --format <format>', 'Key format (pem, jwk)', 'pem')
+  .option('--private', 'Export the private key instead of the public key')
+  .option('-y, --yes', 'Do not ask for confirmation when exporting the private key')
+  .option('--out <file>', 'Write the key to a file instead of stdout')
+  .action(async (options) => {
+    if (!config.keyPair) {
+      console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+    if (!KEY_FORMATS.includes(options.format)) {
+      console.error(chalk.red('Error:'), `Unsupported format "${options.format}". Use pem or jwk`);
+      return;
+    }
+
+    let key = config.keyPair.publicKey;
+    if (options.private) {
+      if (!options.yes) {
+        const { confirmed } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirmed',
+            message: 'The private key will be exported unencrypted. Anyone holding it can sign as you. Continue?',
+            default: false
+          }
+        ]);
+        if (!confirmed) return;
+      }
+
+      key = await getPrivateKey();
+      if (!key) return;
+    }
+
+    try {
+      const exported = keystore.exportKey(key, options.format);
+      if (options.out) {
+        fs.writeFileSync(options.out, exported, { mode: options.private ? 0o600 : 0o644 });
+        console.error(chalk.green(`${options.private ? 'Private' : 'Public'} key written to:`), options.out);
+      } else {
+        process.stdout.write(exported);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  });
+
+// Import a key pair
+program
+  .command('key:import')
+  .description('Import a key pair from a PEM or JWK file')
+  .argument('<file>', 'File with the private key (and optionally the public key)')
+  .option('--public <file>', 'Separate file with the public key')
+  .option('-f, --force', 'Overwrite an existing key pair')
+  .action(async (file, options) => {
+    if (config.keyPair && !options.force) {
+      console.error(chalk.red('Error:'), 'A key pair already exists. Use --force to overwrite it, or "otrust-cli key:rotate" to keep your history');
+      return;
+    }
+
+    try {
+      const contents = fs.readFileSync(file, 'utf8');
+      const publicContents = options.public ? fs.readFileSync(options.public, 'utf8') : undefined;
+
+      const passphrase = keystore.isEncrypted(contents) ? await readPassphrase() : null;
+      const keyPair = keystore.parseKeyFile(contents, passphrase, publicContents);
+
+      config.keyPair = keyPair;
+      config.token = null;
+      unlockedKey = null;
+      saveConfig();
+
+      console.log(chalk.green('Key pair imported'), `(${keyPair.algorithm})`);
+      console.log('Fingerprint:', signatures.fingerprint(keyPair.publicKey));
+      console.log('Run "otrust-cli login" to log in with the imported key');
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  });
+
+// Register account
+program
+  .command('register')
+  .description('Register a new account with the OTRUST server')
+  .action(async () => {
+    if (!config.keyPair) {
+      console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return;
+
+    const spinner = startSpinner('Registering account...');
+    try {
+      const timestamp = Date.now();
+      const payload = signatures.authPayload('register', config.keyPair.publicKey, timestamp);
+      const signature = signData(payload, privateKey);
+
+      const api = getAxiosInstance();
+      const response = await api.post('/api/auth/register', {
+        publicKey: config.keyPair.publicKey,
+        signature,
+        timestamp
+      });
+
+      config.token = response.data.token;
+      saveConfig();
+
+      spinner.succeed('Account registered successfully');
+      console.log(chalk.green('You are now logged in as:'), response.data.user.publicKey);
+    } catch (error) {
+      spinner.fail('Registration failed');
+      // Error handled by axios interceptor
+    }
+  });
+
+// Login
+program
+  .command('login')
+  .description('Login to the OTRUST server')
+  .action(async () => {
+    if (!config.keyPair) {
+      console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return;
+
+    const spinner = startSpinner('Logging in...');
+    try {
+      const data = await authenticate(getAxiosInstance(), privateKey);
+
+      spinner.succeed('Login successful');
+      console.log(chalk.green('You are logged in as:'), data.user.publicKey);
+      if (data.user.displayName) {
+        console.log('Display name:', data.user.displayName);
+      }
+      console.log('Score:', data.user.score);
+    } catch (error) {
+      spinner.fail('Login failed');
+      // Error handled by axios interceptor
+    }
+  });
+
+// Logout
+program
+  .command('logout')
+  .description('Logout from the OTRUST server')
+  .action(() => {
+    if (!config.token) {
       console.log(chalk.yellow('You are not logged in'));
       return;
     }
 
-    config.token = null;
-    saveConfig();
-    console.log(chalk.green('Logged out successfully'));
-  });
+    config.token = null;
+    saveConfig();
+    console.log(chalk.green('Logged out successfully'));
+  });
+
+// Show the login status by decoding the stored token
+program
+  .command('auth:status')
+  .description('Show who you are logged in as and when the token expires')
+  .action(() => {
+    const status = tokens.authStatus(config, activeContext);
+    const info = status.token;
+
+    if (jsonMode()) {
+      emitJson(status);
+      return;
+    }
+
+    console.log('Context:', status.context);
+    console.log('Server:', status.server);
+    if (!status.isLoggedIn) {
+      console.log(chalk.yellow('Not logged in'));
+      if (config.keyPair) {
+        console.log('Key Fingerprint:', status.fingerprint);
+      }
+      return;
+    }
+
+    console.log(chalk.green('Logged in'));
+    console.log('Key Fingerprint:', status.fingerprint || '-');
+    if (status.keyMatches === false) {
+      console.log(chalk.yellow('Warning:'), 'The token was issued for a different key than the configured key pair');
+    }
+    if (info.format !== 'jwt') {
+      console.log('Token:', 'not a JWT, expiry unknown');
+      return;
+    }
+    if (info.subject) {
+      console.log('Subject:', info.subject);
+    }
+    if (info.issuedAt) {
+      console.log('Issued:', `${new Date(info.issuedAt).toLocaleString()} (${formatRelative(info.issuedAt)})`);
+    }
+    if (info.expiresAt) {
+      const when = `${new Date(info.expiresAt).toLocaleString()} (${formatRelative(info.expiresAt)})`;
+      console.log('Expires:', info.expired ? chalk.red(`${when}, expired`) : when);
+      if (info.expired && config.keyPair) {
+        console.log(chalk.gray('The next request that needs authentication logs in again automatically'));
+      }
+    } else {
+      console.log('Expires:', 'never');
+    }
+  });
+
+// Update profile
+program
+  .command('profile')
+  .description('Update user profile')
+  .option('-n, --name <name>', 'Set display name')
+  .option('-e, --email <email>', 'Set email address')
+  .action(async (options) => {
+    if (!config.token) {
+      console.error(chalk.red('Error:'), 'You must be logged in to update your profile');
+      return;
+    }
+
+    if (!options.name && !options.email) {
+      console.log(chalk.yellow('No updates provided.'), 'Use --name or --email to update profile');
+      return;
+    }
+
+    const spinner = startSpinner('Updating profile...');
+    try {
+      const api = getAxiosInstance();
+      const response = await api.put('/api/user/profile', {
+        displayName: options.name,
+        email: options.email
+      });
+
+      spinner.succeed('Profile updated successfully');
+      console.log(chalk.green('Profile:'));
+      console.log('Public key:', response.data.user.publicKey);
+      console.log('Display name:', response.data.user.displayName || 'Not set');
+      console.log('Score:', response.data.user.score);
+    } catch (error) {
+      spinner.fail('Profile update failed');
+      // Error handled by axios interceptor
+    }
+  });
+
+// Validation rules shared by the interactive prompts and the bulk import
+const CLAIM_TYPES = ['factual', 'opinion', 'analysis', 'reference'];
+
+function validateClaimText(input) {
+  return input.length >= 3 && input.length <= 5000 ? true : 'Claim must be between 3 and 5000 characters';
+}
+
+function validateEvidence(input) {
+  return input.length > 0 ? true : 'At least one evidence URL or file is required';
+}
+
+// Repeatable --evidence-file, collected into a list
+const EVIDENCE_FILE_OPTION = ['--evidence-file <path>', 'Local evidence file, hashed with SHA-256 into the signed claim (repeatable)',
+  (file, files) => files.concat(file), []];
+
+function validateRequired(name) {
+  return input => input.length > 0 ? true : `${name} is required`;
+}
+
+const PROOF_ACTIONS = ['confirmed', 'disputed', 'invalidated'];
+
+function validateConfidence(input) {
+  const value = parseFloat(input);
+  return (!isNaN(value) && value >= 0 && value <= 1) ? true : 'Confidence must be between 0.0 and 1.0';
+}
+
+// Validate complete claim data, returning a list of problems
+function validateClaimData(claimData) {
+  const errors = [
+    validateClaimText(claimData.claim),
+    validateEvidence(claimData.evidence),
+    CLAIM_TYPES.includes(claimData.type) ? true : `Type must be one of: ${CLAIM_TYPES.join(', ')}`,
+    validateRequired('Subject')(claimData.semantic.subject),
+    validateRequired('Predicate')(claimData.semantic.predicate),
+    validateRequired('Object')(claimData.semantic.object)
+  ];
+  return errors.filter(error => error !== true);
+}
+
+// Validate complete proof data, returning a list of problems
+function validateProofData(proofData) {
+  const errors = [
+    validateRequired('Claim ID')(proofData.claimId),
+    PROOF_ACTIONS.includes(proofData.action) ? true : `Action must be one of: ${PROOF_ACTIONS.join(', ')}`,
+    validateConfidence(proofData.confidence)
+  ];
+  return errors.filter(error => error !== true);
+}
+
+// Collect claim data from options, prompting for anything missing
+async function collectClaimData(options) {
+  // Local files are hashed into structured evidence entries
+  let files;
+  try {
+    files = await Promise.all((options.evidenceFile || []).map(file => evidenceFiles.describeFile(file)));
+  } catch (error) {
+    reportError(`Could not read evidence file: ${error.message}`);
+    return null;
+  }
+
+  const given = Array.isArray(options.evidence)
+    ? options.evidence
+    : (options.evidence ? options.evidence.split(',').map(e => e.trim()) : []);
+  const evidence = given.concat(files);
+
+  let claimData = {
+    claim: options.claim,
+    evidence: evidence.length > 0 ? evidence : null,
+    type: options.type,
+    semantic: {
+      subject: options.subject,
+      predicate: options.predicate,
+      object: options.object
+    }
+  };
+
+  // Interactive mode
+  if (options.interactive || !claimData.claim || !claimData.evidence || !claimData.type ||
+    !claimData.semantic.subject || !claimData.semantic.predicate || !claimData.semantic.object) {
+
+    if (jsonMode()) {
+      reportError('Interactive prompts are not available with --json. Provide --claim, --evidence or --evidence-file, --type, --subject, --predicate and --object');
+      return null;
+    }
+
+    // Only URLs are edited in the prompt; file entries are kept as they are
+    const attached = evidence.filter(entry => typeof entry !== 'string');
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'claim',
+        message: 'Enter your claim text:',
+        default: claimData.claim,
+        validate: validateClaimText
+      },
+      {
+        type: 'input',
+        name: 'evidence',
+        message: attached.length > 0
+          ? `Enter evidence URLs (comma-separated, ${attached.length} files attached):`
+          : 'Enter evidence URLs (comma-separated):',
+        default: evidence.filter(entry => typeof entry === 'string').join(', '),
+        validate: input => attached.length > 0 ? true : validateEvidence(input),
+        filter: input => input.split(',').map(url => url.trim()).filter(url => url.length > 0)
+      },
+      {
+        type: 'list',
+        name: 'type',
+        message: 'Select claim type:',
+        default: claimData.type,
+        choices: CLAIM_TYPES
+      },
+      {
+        type: 'input',
+        name: 'subject',
+        message: 'Enter semantic subject:',
+        default: claimData.semantic.subject,
+        validate: validateRequired('Subject')
+      },
+      {
+        type: 'input',
+        name: 'predicate',
+        message: 'Enter semantic predicate:',
+        default: claimData.semantic.predicate,
+        validate: validateRequired('Predicate')
+      },
+      {
+        type: 'input',
+        name: 'object',
+        message: 'Enter semantic object:',
+        default: claimData.semantic.object,
+        validate: validateRequired('Object')
+      }
+    ]);
+
+    claimData = {
+      claim: answers.claim,
+      evidence: answers.evidence.concat(attached),
+      type: answers.type,
+      semantic: {
+        subject: answers.subject,
+        predicate: answers.predicate,
+        object: answers.object
+      }
+    };
+  }
+
+  claimData.parent_id = options.parent || null;
+  return claimData;
+}
+
+// Build claim data from an imported CSV or NDJSON record
+function claimDataFromRecord(record) {
+  const text = value => (value === undefined || value === null ? '' : String(value).trim());
+  const semantic = record.semantic || {};
+  // NDJSON rows may carry file evidence entries, which are kept as objects
+  const evidence = Array.isArray(record.evidence)
+    ? record.evidence.map(entry => (entry && typeof entry === 'object' ? entry : text(entry)))
+    : text(record.evidence).split(',').map(url => url.trim());
+
+  const data = {
+    claim: text(record.claim),
+    evidence: evidence.filter(entry => typeof entry !== 'string' || entry.length > 0),
+    type: text(record.type),
+    semantic: {
+      subject: text(record.subject || record['semantic.subject'] || semantic.subject),
+      predicate: text(record.predicate || record['semantic.predicate'] || semantic.predicate),
+      object: text(record.object || record['semantic.object'] || semantic.object)
+    }
+  };
+
+  // Only replies carry a parent, so rows logged before replies existed keep their hash
+  const parent = text(record.parent_id || record.parentId);
+  if (parent) {
+    data.parent_id = parent;
+  }
+  return data;
+}
+
+// Run worker over items with at most `limit` in flight
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Build proof data from an imported CSV or NDJSON record. A missing
+// confidence defaults to 1.0 as in proof:add.
+function proofDataFromRecord(record) {
+  const text = value => (value === undefined || value === null ? '' : String(value).trim());
+  const confidence = text(record.confidence);
+
+  return {
+    claimId: text(record.claimId || record.claim_id),
+    action: text(record.action).toLowerCase(),
+    reason: text(record.reason),
+    confidence: confidence.length > 0 ? Number(confidence) : 1.0
+  };
+}
+
+// Read the entries of an import results log
+function readResultsLog(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return records.parseNdjson(fs.readFileSync(file, 'utf8'))
+    .filter(entry => !entry.error)
+    .map(entry => entry.record);
+}
+
+// Options shared by the import commands
+const IMPORT_FORMAT_OPTION = ['--input-format <format>', `Input format (${records.RECORD_FORMATS.join(', ')}), detected from the file if omitted`];
+const IMPORT_LOG_OPTION = ['--log <file>', 'Results log; rows already submitted according to it are skipped (default: <file>.results.ndjson)'];
+const IMPORT_CONCURRENCY_OPTION = ['--concurrency <number>', 'Maximum number of rows submitted at once', '4'];
+
+// Validate, sign and submit the rows of an import file. `submit` posts one
+// row and returns the fields to record for it. Every submitted row is
+// appended to the results log, and rows already created according to the
+// log are skipped. Returns the summary, or null if the import could not start.
+async function importRecords(file, options, { label, fromRecord, validate, submit }) {
+  let rows;
+  try {
+    rows = records.readRecords(file, options.inputFormat);
+  } catch (error) {
+    reportError(error.message);
+    return null;
+  }
+
+  const logFile = options.log || `${file}.results.ndjson`;
+  const submitted = new Set(readResultsLog(logFile)
+    .filter(entry => entry.status === 'created')
+    .map(entry => entry.hash));
+
+  // Validate every row before anything is submitted
+  const results = [];
+  const pending = [];
+  rows.forEach(({ row, record, error }) => {
+    if (error) {
+      results.push({ row, status: 'invalid', errors: [error] });
+      return;
+    }
+
+    const data = fromRecord(record);
+    const errors = validate(data);
+    const hash = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+
+    if (errors.length > 0) {
+      results.push({ row, status: 'invalid', errors });
+    } else if (submitted.has(hash)) {
+      results.push({ row, hash, status: 'skipped' });
+    } else {
+      pending.push({ row, hash, data });
+    }
+  });
+
+  if (options.dryRun) {
+    pending.forEach(({ row, hash }) => results.push({ row, hash, status: 'valid' }));
+  } else if (pending.length > 0) {
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return null;
+
+    const api = getAxiosInstance({ quiet: true });
+    const spinner = startSpinner(`Importing ${label}... 0/${pending.length}`);
+    let done = 0;
+
+    await runWithConcurrency(pending, Math.max(1, parseInt(options.concurrency) || 1), async ({ row, hash, data }) => {
+      let result;
+      try {
+        result = { row, hash, status: 'created', ...await submit(api, data, privateKey) };
+      } catch (error) {
+        result = { row, hash, status: 'failed', error: errorObject(error).error.message };
+      }
+
+      fs.appendFileSync(logFile, JSON.stringify({ ...result, at: new Date().toISOString() }) + '\n');
+      results.push(result);
+      spinner.text = `Importing ${label}... ${++done}/${pending.length}`;
+    });
+
+    spinner.stop();
+  }
+
+  results.sort((a, b) => a.row - b.row);
+  const count = status => results.filter(result => result.status === status).length;
+  const summary = {
+    file,
+    log: options.dryRun ? null : logFile,
+    dryRun: !!options.dryRun,
+    rows: rows.length,
+    valid: count('valid'),
+    created: count('created'),
+    skipped: count('skipped'),
+    invalid: count('invalid'),
+    failed: count('failed'),
+    results
+  };
+
+  if (summary.invalid > 0 || summary.failed > 0) {
+    process.exitCode = 1;
+  }
+  if (jsonMode()) {
+    emitJson(summary);
+  }
+  return summary;
+}
+
+// Print the counts of an import and a table of the rows that were not accepted
+function printImportSummary(summary) {
+  console.log(chalk.green(summary.dryRun ? 'Validation summary:' : 'Import summary:'));
+  console.log('Rows:', summary.rows);
+  if (summary.dryRun) {
+    console.log('Valid:', summary.valid);
+  } else {
+    console.log('Created:', summary.created);
+    console.log('Skipped (already submitted):', summary.skipped);
+    console.log('Failed:', summary.failed);
+  }
+  console.log('Invalid:', summary.invalid);
+
+  const problems = summary.results.filter(result => result.status === 'invalid' || result.status === 'failed');
+  if (problems.length > 0) {
+    const table = new Table({
+      head: ['Row', 'Status', 'Problem'],
+      colWidths: [7, 10, 70]
+    });
+    problems.forEach(result => {
+      table.push([result.row, result.status, result.errors ? result.errors.join('; ') : result.error]);
+    });
+    console.log(table.toString());
+  }
+}
+
+// Point to the results log after rows were submitted
+function printImportLog(summary) {
+  if (!summary.dryRun && summary.created + summary.failed > 0) {
+    console.log('\nResults log:', summary.log);
+  }
+}
+
+// Add timestamp and public key to claim data and sign it
+function signClaimData(claimData, privateKey) {
+  claimData.timestamp = Date.now();
+  claimData.publicKey = config.keyPair.publicKey;
+  claimData.parent_id = claimData.parent_id || null;
+
+  const payload = signatures.claimPayload(claimData);
+  claimData.signature = signData(payload, privateKey);
+
+  return payload;
+}
+
+// Collect proof data from options, prompting for anything missing
+async function collectProofData(options) {
+  let proofData = {
+    claimId: options.claimId,
+    action: options.action,
+    reason: options.reason,
+    confidence: options.confidence ? parseFloat(options.confidence) : 1.0
+  };
+
+  // Interactive mode
+  if (options.interactive || !proofData.claimId || !proofData.action) {
+    if (jsonMode()) {
+      reportError('Interactive prompts are not available with --json. Provide --claim-id and --action');
+      return null;
+    }
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'claimId',
+        message: 'Enter claim ID:',
+        default: proofData.claimId,
+        validate: validateRequired('Claim ID')
+      },
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Select action:',
+        default: proofData.action,
+        choices: PROOF_ACTIONS
+      },
+      {
+        type: 'input',
+        name: 'reason',
+        message: 'Enter reason for your action (optional):',
+        default: proofData.reason
+      },
+      {
+        type: 'input',
+        name: 'confidence',
+        message: 'Enter confidence level (0.0 to 1.0):',
+        default: proofData.confidence,
+        validate: validateConfidence,
+        filter: input => parseFloat(input)
+      }
+    ]);
+
+    proofData = {
+      claimId: answers.claimId,
+      action: answers.action,
+      reason: answers.reason,
+      confidence: answers.confidence
+    };
+  }
+
+  return proofData;
+}
+
+// Add timestamp and public key to proof data and sign it
+function signProofData(proofData, privateKey) {
+  proofData.timestamp = Date.now();
+  proofData.publicKey = config.keyPair.publicKey;
+
+  const payload = signatures.proofPayload(proofData);
+  proofData.signature = signData(payload, privateKey);
+
+  return payload;
+}
+
+// Print the result of a created claim
+function printClaimCreated(data) {
+  console.log(chalk.green('Claim ID:'), data.id);
+  console.log('Blockchain Status:', data.blockchainStatus);
+
+  if (data.conflicts && data.conflicts.length > 0) {
+    console.log(chalk.yellow('\nWarning:'), 'Potential conflicting claims found:');
+    data.conflicts.forEach(conflict => {
+      console.log(`- ${conflict.id}: ${conflict.claim.substring(0, 50)}...`);
+    });
+  }
+}
+
+// Print the result of an added proof
+function printProofAdded(data) {
+  console.log(chalk.green('Claim ID:'), data.claimId);
+  console.log('Blockchain Status:', data.blockchainStatus);
+  console.log(chalk.cyan('Credibility:'));
+  console.log('Score:', data.credibility.score.toFixed(2));
+  console.log('Confirmations:', data.credibility.confirmations);
+  console.log('Disputes:', data.credibility.disputes);
+}
+
+// Parse --ttl hours into milliseconds, or report an error and return null
+function parseTtl(value) {
+  if (value === undefined) {
+    return envelopes.DEFAULT_TTL;
+  }
+  const hours = Number(value);
+  if (!(hours > 0) || !isFinite(hours)) {
+    reportError(`--ttl must be a positive number of hours, got "${value}"`);
+    return null;
+  }
+  return hours * 60 * 60 * 1000;
+}
+
+// Write a signed envelope to disk
+function writeEnvelope(kind, payload, signature, privateKey, ttl, options) {
+  const envelope = envelopes.createEnvelope(kind, payload, signature, config.keyPair.publicKey,
+    data => signatures.sign(data, privateKey), { ttl });
+  const file = options.out || `${kind}-${envelope.createdAt}.otrust.json`;
+
+  fs.writeFileSync(file, JSON.stringify(envelope, null, 2));
+  console.log(chalk.green('Signed envelope written to:'), file);
+  console.log('Expires:', new Date(envelope.expiresAt).toLocaleString());
+}
+
+// Read and validate a signed envelope from disk
+function readEnvelope(file, kind) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`File not found: ${file}`);
+  }
+  return envelopes.parseEnvelope(fs.readFileSync(file, 'utf8'), { kind });
+}
+
+const CONFLICT_MODES = ['prompt', 'abort', 'proceed'];
+const CONFLICT_OPTION = ['--on-conflict <mode>', `What to do when existing claims give another object (${CONFLICT_MODES.join(', ')})`, 'prompt'];
+
+// Print competing claims found before signing
+function printConflicts(found) {
+  const table = new Table({
+    head: ['Object', 'Credibility', 'Confirmations', 'Disputes', 'Claim ID', 'Claim'],
+    colWidths: [20, 13, 15, 10, 27, 30]
+  });
+  found.forEach(conflict => {
+    const claimText = conflict.claim || '';
+    table.push([
+      conflict.object.length > 17 ? conflict.object.substring(0, 14) + '...' : conflict.object,
+      conflict.credibility === null ? '-' : conflict.credibility.toFixed(2),
+      conflict.confirmations === null ? '-' : conflict.confirmations,
+      conflict.disputes === null ? '-' : conflict.disputes,
+      conflict.claimId,
+      claimText.length > 27 ? claimText.substring(0, 24) + '...' : claimText
+    ]);
+  });
+  console.log(table.toString());
+}
+
+// Sign and add a proof to a conflicting claim from the pre-flight check
+async function addConflictProof(api, claimId, action, privateKey) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'reason',
+      message: `Reason for marking ${claimId} as ${action}:`
+    },
+    {
+      type: 'input',
+      name: 'confidence',
+      message: 'Confidence level (0.0 to 1.0):',
+      default: '1.0',
+      validate: validateConfidence,
+      filter: input => parseFloat(input)
+    }
+  ]);
+
+  const proofData = { claimId, action, reason: answers.reason, confidence: answers.confidence };
+  signProofData(proofData, privateKey);
+
+  const spinner = startSpinner('Adding proof...');
+  try {
+    const response = await api.post('/api/proof', proofData);
+    spinner.succeed('Proof added successfully');
+    printProofAdded(response.data);
+    return true;
+  } catch (error) {
+    spinner.fail('Failed to add proof');
+    reportRequestError(error);
+    return false;
+  }
+}
+
+// Look for claims that give another object for the same subject and
+// predicate before signing. Returns false if the claim should not be created.
+async function checkConflictsBeforeSigning(claimData, options, privateKey) {
+  const mode = options.onConflict || 'prompt';
+  const { subject, predicate } = claimData.semantic;
+
+  const spinner = startSpinner('Checking for conflicting claims...');
+  let found;
+  try {
+    const api = getAxiosInstance({ quiet: true });
+    const [semanticResponse, searchResponse] = await Promise.all([
+      api.get(`/api/semantic/${encodeURIComponent(subject)}/${encodeURIComponent(predicate)}`),
+      api.get('/api/search', { params: { q: subject, limit: 50 } })
+    ]);
+    found = conflicts.findConflicts(claimData.semantic, { semantic: semanticResponse.data, search: searchResponse.data });
+  } catch (error) {
+    // The server reports conflicts again when the claim is created
+    spinner.warn(`Could not check for conflicting claims: ${error.message}`);
+    return true;
+  }
+
+  if (found.length === 0) {
+    spinner.stop();
+    return true;
+  }
+  spinner.warn(`Found ${found.length} claims with another object for "${subject} ${predicate}"`);
+
+  // Without a terminal there is no one to ask, so keep the old behaviour
+  const interactive = mode === 'prompt' && !jsonMode() && process.stdin.isTTY;
+  if (!jsonMode()) {
+    printConflicts(found);
+  }
+  if (mode === 'abort') {
+    const message = 'Not creating the claim because of conflicting claims (--on-conflict abort)';
+    if (jsonMode()) {
+      emitJson({ error: { message, status: null, code: null, details: { conflicts: found } } });
+    } else {
+      console.error(chalk.red('Error:'), message);
+    }
+    process.exitCode = 1;
+    return false;
+  }
+  if (!interactive) {
+    return true;
+  }
+
+  const api = getAxiosInstance();
+  const proved = new Set();
+  while (true) {
+    const choices = [
+      { name: `Create the claim anyway ("${claimData.semantic.object}")`, value: { action: 'proceed' } },
+      { name: 'Abort without creating the claim', value: { action: 'abort' } }
+    ];
+    found.filter(conflict => !proved.has(conflict.claimId)).forEach(conflict => {
+      choices.push({ name: `Dispute "${conflict.object}" (${conflict.claimId})`, value: { action: 'disputed', claimId: conflict.claimId } });
+      choices.push({ name: `Confirm "${conflict.object}" (${conflict.claimId})`, value: { action: 'confirmed', claimId: conflict.claimId } });
+    });
+
+    const { choice } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'choice',
+        message: 'How do you want to continue?',
+        choices
+      }
+    ]);
+
+    if (choice.action === 'proceed') {
+      return true;
+    }
+    if (choice.action === 'abort') {
+      console.log(chalk.yellow('Claim not created'));
+      return false;
+    }
+    if (await addConflictProof(api, choice.claimId, choice.action, privateKey)) {
+      proved.add(choice.claimId);
+    }
+  }
+}
+
+// Collect, sign and submit a claim, optionally as a reply to another claim
+async function submitClaim(options) {
+  if (!config.token || !config.keyPair) {
+    reportError('You must be logged in to create a claim');
+    return;
+  }
+  if (options.onConflict && !CONFLICT_MODES.includes(options.onConflict)) {
+    reportError(`Unsupported --on-conflict mode "${options.onConflict}". Use one of: ${CONFLICT_MODES.join(', ')}`);
+    return;
+  }
+
+  const claimData = await collectClaimData(options);
+  if (!claimData) return;
+  const privateKey = await getPrivateKey();
+  if (!privateKey) return;
+  if (!await checkConflictsBeforeSigning(claimData, options, privateKey)) return;
+  signClaimData(claimData, privateKey);
+
+  const spinner = startSpinner(claimData.parent_id ? 'Posting reply...' : 'Creating claim...');
+  try {
+    const api = getAxiosInstance();
+    const response = await api.post('/api/claim', claimData);
+    rememberClaimIds([response.data.id], { last: true });
+
+    spinner.succeed(claimData.parent_id ? 'Reply posted successfully' : 'Claim created successfully');
+    if (jsonMode()) {
+      emitJson(response.data);
+      return;
+    }
+    printClaimCreated(response.data);
+    if (claimData.parent_id) {
+      console.log('In reply to:', claimData.parent_id);
+    }
+  } catch (error) {
+    spinner.fail(claimData.parent_id ? 'Failed to post reply' : 'Failed to create claim');
+    reportRequestError(error);
+  }
+}
+
+// Create a claim
+program
+  .command('claim:create')
+  .description('Create a new claim')
+  .option('-i, --interactive', 'Use interactive mode')
+  .option('-c, --claim <text>', 'Claim text')
+  .option('-e, --evidence <urls>', 'Evidence URLs (comma-separated)')
+  .option(...EVIDENCE_FILE_OPTION)
+  .option('-t, --type <type>', 'Claim type (factual, opinion, analysis, reference)')
+  .option('-s, --subject <subject>', 'Semantic subject')
+  .option('-p, --predicate <predicate>', 'Semantic predicate')
+  .option('-o, --object <object>', 'Semantic object')
+  .option('--parent <id>', 'Create the claim as a reply to this claim')
+  .option(...CONFLICT_OPTION)
+  .action(submitClaim);
+
+// Reply to a claim
+program
+  .command('claim:reply')
+  .description('Create a claim in reply to another claim')
+  .argument('<parentId>', 'ID of the claim to reply to')
+  .option('-i, --interactive', 'Use interactive mode')
+  .option('-c, --claim <text>', 'Claim text')
+  .option('-e, --evidence <urls>', 'Evidence URLs (comma-separated)')
+  .option(...EVIDENCE_FILE_OPTION)
+  .option('-t, --type <type>', 'Claim type (factual, opinion, analysis, reference)')
+  .option('-s, --subject <subject>', 'Semantic subject')
+  .option('-p, --predicate <predicate>', 'Semantic predicate')
+  .option('-o, --object <object>', 'Semantic object')
+  .option(...CONFLICT_OPTION)
+  .action(async (parentId, options) => {
+    if (!config.token || !config.keyPair) {
+      reportError('You must be logged in to reply to a claim');
+      return;
+    }
+
+    // Make sure the parent exists before asking for the reply
+    const spinner = startSpinner('Fetching claim to reply to...');
+    try {
+      const response = await getAxiosInstance().get(`/api/claim/${parentId}`);
+      spinner.stop();
+      if (!jsonMode()) {
+        const parent = response.data.claim;
+        console.log(chalk.green('Replying to:'), `${parent.id}: ${parent.claim}`);
+      }
+    } catch (error) {
+      spinner.fail('Failed to fetch claim to reply to');
+      reportRequestError(error);
+      return;
+    }
+
+    await submitClaim({ ...options, parent: parentId });
+  });
+
+// Sign a claim into an envelope file without submitting it
+program
+  .command('claim:sign')
+  .description('Sign a claim into an envelope file for later submission')
+  .option('-i, --interactive', 'Use interactive mode')
+  .option('-c, --claim <text>', 'Claim text')
+  .option('-e, --evidence <urls>', 'Evidence URLs (comma-separated)')
+  .option(...EVIDENCE_FILE_OPTION)
+  .option('-t, --type <type>', 'Claim type (factual, opinion, analysis, reference)')
+  .option('-s, --subject <subject>', 'Semantic subject')
+  .option('-p, --predicate <predicate>', 'Semantic predicate')
+  .option('-o, --object <object>', 'Semantic object')
+  .option('--parent <id>', 'Sign the claim as a reply to this claim')
+  .option('--out <file>', 'Envelope file to write')
+  .option('--ttl <hours>', 'Hours until the envelope expires', '24')
+  .action(async (options) => {
+    if (!config.keyPair) {
+      console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+
+    const ttl = parseTtl(options.ttl);
+    if (ttl === null) return;
+    const claimData = await collectClaimData(options);
+    if (!claimData) return;
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return;
+
+    try {
+      const payload = signClaimData(claimData, privateKey);
+      writeEnvelope('claim', payload, claimData.signature, privateKey, ttl, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  });
+
+// Submit a signed claim envelope
+program
+  .command('claim:submit')
+  .description('Submit a signed claim envelope file')
+  .argument('<file>', 'Envelope file')
+  .action(async (file) => {
+    let envelope;
+    try {
+      envelope = readEnvelope(file, 'claim');
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      return;
+    }
+
+    const spinner = startSpinner('Submitting claim...');
+    try {
+      const api = getAxiosInstance();
+      const response = await api.post('/api/claim', { ...envelope.data, signature: envelope.signature });
+
+      spinner.succeed('Claim created successfully');
+      printClaimCreated(response.data);
+    } catch (error) {
+      spinner.fail('Failed to submit claim');
+      // Error handled by axios interceptor
+    }
+  });
+
+// Import claims from a CSV or NDJSON file
+program
+  .command('claim:import')
+  .description('Create claims in bulk from a CSV or NDJSON file')
+  .argument('<file>', 'CSV or NDJSON file with claim, evidence, type, subject, predicate and object')
+  .option(...IMPORT_FORMAT_OPTION)
+  .option(...IMPORT_LOG_OPTION)
+  .option(...IMPORT_CONCURRENCY_OPTION)
+  .option('--dry-run', 'Only validate the rows')
+  .action(async (file, options) => {
+    if (!options.dryRun && (!config.token || !config.keyPair)) {
+      reportError('You must be logged in to create claims');
+      return;
+    }
+
+    const summary = await importRecords(file, options, {
+      label: 'claims',
+      fromRecord: claimDataFromRecord,
+      validate: validateClaimData,
+      submit: async (api, claimData, privateKey) => {
+        signClaimData(claimData, privateKey);
+        const response = await api.post('/api/claim', claimData);
+        return {
+          claimId: response.data.id,
+          conflicts: (response.data.conflicts || []).map(conflict => conflict.id)
+        };
+      }
+    });
+    if (!summary || jsonMode()) return;
+
+    printImportSummary(summary);
+
+    const conflicting = summary.results.filter(result => result.conflicts && result.conflicts.length > 0);
+    if (conflicting.length > 0) {
+      console.log(chalk.yellow('\nWarning:'), 'Potential conflicting claims found:');
+      conflicting.forEach(result => {
+        console.log(`- Row ${result.row} (${result.claimId}): ${result.conflicts.join(', ')}`);
+      });
+    }
+
+    printImportLog(summary);
+  });
+
+// Add proof to a claim
+program
+  .command('proof:add')
+  .description('Add a proof to a claim')
+  .option('-i, --interactive', 'Use interactive mode')
+  .option('-c, --claim-id <id>', 'Claim ID')
+  .option('-a, --action <action>', 'Action (confirmed, disputed, invalidated)')
+  .option('-r, --reason <text>', 'Reason for your action')
+  .option('-cf, --confidence <float>', 'Confidence level (0.0 to 1.0)')
+  .action(async (options) => {
+    if (!config.token || !config.keyPair) {
+      reportError('You must be logged in to add a proof');
+      return;
+    }
+
+    const proofData = await collectProofData(options);
+    if (!proofData) return;
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return;
+    signProofData(proofData, privateKey);
+
+    const spinner = startSpinner('Adding proof...');
+    try {
+      const api = getAxiosInstance();
+      const response = await api.post('/api/proof', proofData);
+
+      spinner.succeed('Proof added successfully');
+      if (jsonMode()) {
+        emitJson(response.data);
+        return;
+      }
+      printProofAdded(response.data);
+    } catch (error) {
+      spinner.fail('Failed to add proof');
+      reportRequestError(error);
+    }
+  });
+
+// Import proofs from a review file
+program
+  .command('proof:import')
+  .description('Add proofs in bulk from a CSV or NDJSON review file')
+  .argument('<file>', 'CSV or NDJSON file with claimId, action, reason and confidence')
+  .option(...IMPORT_FORMAT_OPTION)
+  .option(...IMPORT_LOG_OPTION)
+  .option(...IMPORT_CONCURRENCY_OPTION)
+  .option('--dry-run', 'Only validate the rows')
+  .action(async (file, options) => {
+    if (!options.dryRun && (!config.token || !config.keyPair)) {
+      reportError('You must be logged in to add proofs');
+      return;
+    }
+
+    // Credibility per claim as returned by the most recently completed proof
+    const credibility = new Map();
+    const summary = await importRecords(file, options, {
+      label: 'proofs',
+      fromRecord: proofDataFromRecord,
+      validate: validateProofData,
+      submit: async (api, proofData, privateKey) => {
+        signProofData(proofData, privateKey);
+        const response = await api.post('/api/proof', proofData);
+        credibility.set(proofData.claimId, response.data.credibility);
+        return { claimId: proofData.claimId, credibility: response.data.credibility };
+      }
+    });
+    if (!summary || jsonMode()) return;
+
+    printImportSummary(summary);
+
+    if (credibility.size > 0) {
+      console.log(chalk.cyan('\nCredibility after import:'));
+      const table = new Table({
+        head: ['Claim ID', 'Score', 'Confirmations', 'Disputes'],
+        colWidths: [40, 10, 15, 10]
+      });
+      credibility.forEach((value, claimId) => {
+        table.push([
+          claimId,
+          value ? value.score.toFixed(2) : '-',
+          value ? value.confirmations : '-',
+          value ? value.disputes : '-'
+        ]);
+      });
+      console.log(table.toString());
+    }
+
+    printImportLog(summary);
+  });
+
+// Sign a proof into an envelope file without submitting it
+program
+  .command('proof:sign')
+  .description('Sign a proof into an envelope file for later submission')
+  .option('-i, --interactive', 'Use interactive mode')
+  .option('-c, --claim-id <id>', 'Claim ID')
+  .option('-a, --action <action>', 'Action (confirmed, disputed, invalidated)')
+  .option('-r, --reason <text>', 'Reason for your action')
+  .option('-cf, --confidence <float>', 'Confidence level (0.0 to 1.0)')
+  .option('--out <file>', 'Envelope file to write')
+  .option('--ttl <hours>', 'Hours until the envelope expires', '24')
+  .action(async (options) => {
+    if (!config.keyPair) {
+      console.error(chalk.red('Error:'), 'No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+
+    const ttl = parseTtl(options.ttl);
+    if (ttl === null) return;
+    const proofData = await collectProofData(options);
+    if (!proofData) return;
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return;
 
-// Update profile
-program
-  .command('profile')
-  .description('Update user profile')
-  .option('-n, --name <name>', 'Set display name')
-  .option('-e, --email <email>', 'Set email address')
-  .action(async (options) => {
-    if (!config.token) {
-      console.error(chalk.red('Error:'), 'You must be logged in to update your profile');
-      return;
+    try {
+      const payload = signProofData(proofData, privateKey);
+      writeEnvelope('proof', payload, proofData.signature, privateKey, ttl, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
     }
+  });
 
-    if (!options.name && !options.email) {
-      console.log(chalk.yellow('No updates provided.'), 'Use --name or --email to update profile');
+// Submit a signed proof envelope
+program
+  .command('proof:submit')
+  .description('Submit a signed proof envelope file')
+  .argument('<file>', 'Envelope file')
+  .action(async (file) => {
+    let envelope;
+    try {
+      envelope = readEnvelope(file, 'proof');
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
       return;
     }
 
-    const spinner = ora('Updating profile...').start();
+    const spinner = startSpinner('Submitting proof...');
     try {
       const api = getAxiosInstance();
-      const response = await api.put('/api/user/profile', {
-        displayName: options.name,
-        email: options.email
-      });
+      const response = await api.post('/api/proof', { ...envelope.data, signature: envelope.signature });
 
-      spinner.succeed('Profile updated successfully');
-      console.log(chalk.green('Profile:'));
-      console.log('Public key:', response.data.user.publicKey);
-      console.log('Display name:', response.data.user.displayName || 'Not set');
-      console.log('Score:', response.data.user.score);
+      spinner.succeed('Proof added successfully');
+      printProofAdded(response.data);
     } catch (error) {
-      spinner.fail('Profile update failed');
+      spinner.fail('Failed to submit proof');
       // Error handled by axios interceptor
     }
   });
 
-// Create a claim
-program
-  .command('claim:create')
-  .description('Create a new claim')
-  .option('-i, --interactive', 'Use interactive mode')
-  .option('-c, --claim <text>', 'Claim text')
-  .option('-e, --evidence <urls>', 'Evidence URLs (comma-separated)')
-  .option('-t, --type <type>', 'Claim type (factual, opinion, analysis, reference)')
-  .option('-s, --subject <subject>', 'Semantic subject')
-  .option('-p, --predicate <predicate>', 'Semantic predicate')
-  .option('-o, --object <object>', 'Semantic object')
-  .action(async (options) => {
-    if (!config.token || !config.keyPair) {
-      console.error(chalk.red('Error:'), 'You must be logged in to create a claim');
-      return;
+// Warn that a claim was retracted or superseded by its author
+function printClaimStatus(claim) {
+  const retraction = claim.retraction;
+  if (retraction) {
+    const when = new Date(retraction.timestamp).toLocaleString();
+    if (retraction.action === 'supersede') {
+      console.log(chalk.yellow.bold('\nSUPERSEDED:'), `Replaced by its author on ${when} with ${retraction.replacementId}`);
+      console.log('Reason:', retraction.reason);
+      console.log(`See: otrust-cli claim:get ${retraction.replacementId}`);
+    } else {
+      console.log(chalk.red.bold('\nRETRACTED:'), `Withdrawn by its author on ${when}`);
+      console.log('Reason:', retraction.reason);
     }
+  }
 
-    let claimData = {
-      claim: options.claim,
-      evidence: options.evidence ? options.evidence.split(',').map(e => e.trim()) : null,
-      type: options.type,
-      semantic: {
-        subject: options.subject,
-        predicate: options.predicate,
-        object: options.object
-      }
-    };
+  if (claim.supersedes) {
+    console.log(chalk.cyan('\nCorrects:'), claim.supersedes);
+  }
+}
 
-    // Interactive mode
-    if (options.interactive || !claimData.claim || !claimData.evidence || !claimData.type ||
-      !claimData.semantic.subject || !claimData.semantic.predicate || !claimData.semantic.object) {
-      
-      const answers = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'claim',
-          message: 'Enter your claim text:',
-          default: claimData.claim,
-          validate: input => input.length >= 3 && input.length <= 5000 ? true : 'Claim must be between 3 and 5000 characters'
-        },
-        {
-          type: 'input',
-          name: 'evidence',
-          message: 'Enter evidence URLs (comma-separated):',
-          default: claimData.evidence ? claimData.evidence.join(', ') : '',
-          validate: input => input.length > 0 ? true : 'At least one evidence URL is required',
-          filter: input => input.split(',').map(url => url.trim())
-        },
-        {
-          type: 'list',
-          name: 'type',
-          message: 'Select claim type:',
-          default: claimData.type,
-          choices: ['factual', 'opinion', 'analysis', 'reference']
-        },
-        {
-          type: 'input',
-          name: 'subject',
-          message: 'Enter semantic subject:',
-          default: claimData.semantic.subject,
-          validate: input => input.length > 0 ? true : 'Subject is required'
-        },
-        {
-          type: 'input',
-          name: 'predicate',
-          message: 'Enter semantic predicate:',
-          default: claimData.semantic.predicate,
-          validate: input => input.length > 0 ? true : 'Predicate is required'
-        },
-        {
-          type: 'input',
-          name: 'object',
-          message: 'Enter semantic object:',
-          default: claimData.semantic.object,
-          validate: input => input.length > 0 ? true : 'Object is required'
-        }
-      ]);
+// Sign a retraction statement (retract, revoke or supersede) and submit it
+async function submitRetraction(api, statementData, privateKey) {
+  const payload = signatures.retractionPayload({
+    ...statementData,
+    publicKey: config.keyPair.publicKey,
+    timestamp: Date.now()
+  });
+  const statement = JSON.parse(payload);
+  statement.signature = signData(payload, privateKey);
 
-      claimData = {
-        claim: answers.claim,
-        evidence: answers.evidence,
-        type: answers.type,
-        semantic: {
-          subject: answers.subject,
-          predicate: answers.predicate,
-          object: answers.object
-        }
-      };
+  return (await api.post('/api/retraction', statement)).data;
+}
+
+// Ask for a reason if none was given, and for confirmation unless --yes
+async function confirmRetraction(options, message) {
+  if (jsonMode() && (!options.reason || !options.yes)) {
+    reportError('Prompts are not available with --json. Provide --reason and --yes');
+    return null;
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'reason',
+      message: 'Enter the reason:',
+      validate: validateRequired('Reason'),
+      when: !options.reason
+    },
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `${message} This is signed and cannot be undone.`,
+      default: false,
+      when: !options.yes
     }
+  ]);
 
-    // Add timestamp and sign
-    const timestamp = Date.now();
-    claimData.timestamp = timestamp;
-    claimData.publicKey = config.keyPair.publicKey;
-    claimData.parent_id = null;
-
-    const payload = JSON.stringify({
-      claim: claimData.claim,
-      evidence: claimData.evidence,
-      publicKey: claimData.publicKey,
-      type: claimData.type,
-      parent_id: claimData.parent_id,
-      timestamp: claimData.timestamp,
-      semantic: claimData.semantic
-    });
+  if (answers.confirmed === false) {
+    return null;
+  }
+  return options.reason || answers.reason;
+}
+
+// Fetch a claim that the current key created and that is still active.
+// The server only accepts a retraction signed by the logged-in key that
+// created the claim, so claims signed before a key:rotate are refused.
+async function fetchOwnActiveClaim(api, id, verb) {
+  const claim = (await api.get(`/api/claim/${id}`)).data.claim;
+
+  if (claim.publicKey !== config.keyPair.publicKey) {
+    const retired = (config.retiredKeys || []).find(key => key.publicKey === claim.publicKey);
+    if (retired) {
+      reportError(`Claim ${id} was signed with your retired key ${retired.fingerprint}, rotated ${new Date(retired.retiredAt).toLocaleString()}. ` +
+        `The server only lets the key that created a claim ${verb} it, and you are now logged in with the new key, so claims from before "key:rotate" cannot be changed`);
+    } else {
+      reportError(`Only the author can ${verb} a claim. To disagree with it, use "otrust-cli proof:add --action disputed"`);
+    }
+    return null;
+  }
+  if (claim.retraction) {
+    reportError(`Claim ${id} has already been ${claim.retraction.action === 'supersede' ? 'superseded' : 'retracted'}`);
+    return null;
+  }
+  return claim;
+}
 
-    claimData.signature = signData(payload, config.keyPair.privateKey);
+// Retract a claim
+program
+  .command('claim:retract')
+  .description('Withdraw a claim you created with a signed retraction (only claims signed with your current key, not before a key:rotate)')
+  .argument('<id>', 'Claim ID')
+  .option('-r, --reason <text>', 'Reason for the retraction')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (id, options) => {
+    if (!config.token || !config.keyPair) {
+      reportError('You must be logged in to retract a claim');
+      return;
+    }
 
-    const spinner = ora('Creating claim...').start();
     try {
       const api = getAxiosInstance();
-      const response = await api.post('/api/claim', claimData);
-
-      spinner.succeed('Claim created successfully');
-      console.log(chalk.green('Claim ID:'), response.data.id);
-      console.log('Blockchain Status:', response.data.blockchainStatus);
-      
-      if (response.data.conflicts && response.data.conflicts.length > 0) {
-        console.log(chalk.yellow('\nWarning:'), 'Potential conflicting claims found:');
-        response.data.conflicts.forEach(conflict => {
-          console.log(`- ${conflict.id}: ${conflict.claim.substring(0, 50)}...`);
-        });
+      const claim = await fetchOwnActiveClaim(api, id, 'retract');
+      if (!claim) return;
+
+      const reason = await confirmRetraction(options, `Retract claim "${claim.claim}"?`);
+      if (!reason) return;
+      const privateKey = await getPrivateKey();
+      if (!privateKey) return;
+
+      const spinner = startSpinner('Retracting claim...');
+      try {
+        const result = await submitRetraction(api, { action: 'retract', claimId: id, reason }, privateKey);
+        spinner.succeed('Claim retracted');
+        if (jsonMode()) {
+          emitJson(result);
+          return;
+        }
+        console.log(chalk.green('Claim ID:'), result.claimId);
+        console.log('Blockchain Status:', result.blockchainStatus);
+      } catch (error) {
+        spinner.fail('Failed to retract claim');
+        reportRequestError(error);
       }
     } catch (error) {
-      spinner.fail('Failed to create claim');
-      // Error handled by axios interceptor
+      reportRequestError(error);
     }
   });
 
-// Add proof to a claim
+// Revoke your proof on a claim
 program
-  .command('proof:add')
-  .description('Add a proof to a claim')
-  .option('-i, --interactive', 'Use interactive mode')
-  .option('-c, --claim-id <id>', 'Claim ID')
-  .option('-a, --action <action>', 'Action (confirmed, disputed, invalidated)')
-  .option('-r, --reason <text>', 'Reason for your action')
-  .option('-cf, --confidence <float>', 'Confidence level (0.0 to 1.0)')
-  .action(async (options) => {
+  .command('proof:revoke')
+  .description('Withdraw your proof on a claim with a signed revocation')
+  .argument('<claimId>', 'Claim ID')
+  .option('-r, --reason <text>', 'Reason for the revocation')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (claimId, options) => {
     if (!config.token || !config.keyPair) {
-      console.error(chalk.red('Error:'), 'You must be logged in to add a proof');
+      reportError('You must be logged in to revoke a proof');
       return;
     }
 
-    let proofData = {
-      claimId: options.claimId,
-      action: options.action,
-      reason: options.reason,
-      confidence: options.confidence ? parseFloat(options.confidence) : 1.0
-    };
+    try {
+      const api = getAxiosInstance();
+      const claim = (await api.get(`/api/claim/${claimId}`)).data.claim;
+      const proof = (claim.proofChain || []).find(candidate =>
+        candidate.publicKey === config.keyPair.publicKey && !candidate.revocation);
+      if (!proof) {
+        reportError(`You have no active proof on claim ${claimId}`);
+        return;
+      }
 
-    // Interactive mode
-    if (options.interactive || !proofData.claimId || !proofData.action) {
-      const answers = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'claimId',
-          message: 'Enter claim ID:',
-          default: proofData.claimId,
-          validate: input => input.length > 0 ? true : 'Claim ID is required'
-        },
-        {
-          type: 'list',
-          name: 'action',
-          message: 'Select action:',
-          default: proofData.action,
-          choices: ['confirmed', 'disputed', 'invalidated']
-        },
-        {
-          type: 'input',
-          name: 'reason',
-          message: 'Enter reason for your action (optional):',
-          default: proofData.reason
-        },
-        {
-          type: 'input',
-          name: 'confidence',
-          message: 'Enter confidence level (0.0 to 1.0):',
-          default: proofData.confidence,
-          validate: input => {
-            const value = parseFloat(input);
-            return (!isNaN(value) && value >= 0 && value <= 1) ? true : 'Confidence must be between 0.0 and 1.0';
-          },
-          filter: input => parseFloat(input)
+      const reason = await confirmRetraction(options, `Revoke your "${proof.action}" proof on claim ${claimId}?`);
+      if (!reason) return;
+      const privateKey = await getPrivateKey();
+      if (!privateKey) return;
+
+      const spinner = startSpinner('Revoking proof...');
+      try {
+        const result = await submitRetraction(api, { action: 'revoke', claimId, reason }, privateKey);
+        spinner.succeed('Proof revoked');
+        if (jsonMode()) {
+          emitJson(result);
+          return;
         }
-      ]);
+        printProofAdded(result);
+      } catch (error) {
+        spinner.fail('Failed to revoke proof');
+        reportRequestError(error);
+      }
+    } catch (error) {
+      reportRequestError(error);
+    }
+  });
 
-      proofData = {
-        claimId: answers.claimId,
-        action: answers.action,
-        reason: answers.reason,
-        confidence: answers.confidence
-      };
+// Replace a claim with a corrected one
+program
+  .command('claim:supersede')
+  .description('Replace a claim you created with a corrected claim linked to the original (only claims signed with your current key, not before a key:rotate)')
+  .argument('<id>', 'ID of the claim to replace')
+  .option('-i, --interactive', 'Edit the original claim interactively')
+  .option('-c, --claim <text>', 'Corrected claim text')
+  .option('-e, --evidence <urls>', 'Corrected evidence URLs (comma-separated)')
+  .option(...EVIDENCE_FILE_OPTION)
+  .option('-t, --type <type>', 'Corrected claim type (factual, opinion, analysis, reference)')
+  .option('-s, --subject <subject>', 'Corrected semantic subject')
+  .option('-p, --predicate <predicate>', 'Corrected semantic predicate')
+  .option('-o, --object <object>', 'Corrected semantic object')
+  .option('--replacement <id>', 'Link an existing claim as the replacement instead of creating one')
+  .option('-r, --reason <text>', 'Reason for the correction')
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (id, options) => {
+    if (!config.token || !config.keyPair) {
+      reportError('You must be logged in to supersede a claim');
+      return;
     }
 
-    // Add timestamp and sign
-    const timestamp = Date.now();
-    proofData.timestamp = timestamp;
-    proofData.publicKey = config.keyPair.publicKey;
+    let api;
+    let original;
+    try {
+      api = getAxiosInstance();
+      original = await fetchOwnActiveClaim(api, id, 'supersede');
+    } catch (error) {
+      reportRequestError(error);
+      return;
+    }
+    if (!original) return;
+
+    // Fields that are not given keep the original's values
+    let claimData = null;
+    if (!options.replacement) {
+      claimData = await collectClaimData({
+        claim: original.claim,
+        type: original.type,
+        subject: original.semantic.subject,
+        predicate: original.semantic.predicate,
+        object: original.semantic.object,
+        ...options,
+        // New evidence URLs or files replace all of the original's evidence
+        evidence: options.evidence || (options.evidenceFile.length > 0 ? null : original.evidence),
+        parent: original.parent_id
+      });
+      if (!claimData) return;
 
-    const payload = JSON.stringify({
-      claimId: proofData.claimId,
-      action: proofData.action,
-      publicKey: proofData.publicKey,
-      timestamp: proofData.timestamp,
-      reason: proofData.reason,
-      confidence: proofData.confidence
-    });
+      const unchanged = ['claim', 'evidence', 'type', 'semantic'].every(field =>
+        JSON.stringify(claimData[field]) === JSON.stringify(original[field]));
+      if (unchanged) {
+        reportError('The corrected claim is identical to the original. Change at least one field');
+        return;
+      }
+    }
 
-    proofData.signature = signData(payload, config.keyPair.privateKey);
+    const reason = await confirmRetraction(options, `Mark claim "${original.claim}" as superseded?`);
+    if (!reason) return;
+    const privateKey = await getPrivateKey();
+    if (!privateKey) return;
 
-    const spinner = ora('Adding proof...').start();
+    const spinner = startSpinner('Superseding claim...');
+    let created = null;
     try {
-      const api = getAxiosInstance();
-      const response = await api.post('/api/proof', proofData);
+      if (claimData) {
+        signClaimData(claimData, privateKey);
+        created = (await api.post('/api/claim', claimData)).data;
+        rememberClaimIds([created.id], { last: true });
+        // The original is about to be superseded, so it is not a conflict
+        created.conflicts = (created.conflicts || []).filter(conflict => conflict.id !== id);
+      }
 
-      spinner.succeed('Proof added successfully');
-      console.log(chalk.green('Claim ID:'), response.data.claimId);
-      console.log('Blockchain Status:', response.data.blockchainStatus);
-      console.log(chalk.cyan('Credibility:'));
-      console.log('Score:', response.data.credibility.score.toFixed(2));
-      console.log('Confirmations:', response.data.credibility.confirmations);
-      console.log('Disputes:', response.data.credibility.disputes);
+      const replacementId = created ? created.id : options.replacement;
+      const result = await submitRetraction(api, { action: 'supersede', claimId: id, reason, replacementId }, privateKey);
+
+      spinner.succeed('Claim superseded');
+      if (jsonMode()) {
+        emitJson({ claim: created, retraction: result });
+        return;
+      }
+      if (created) {
+        printClaimCreated(created);
+      }
+      console.log(chalk.yellow('Superseded:'), `${id} now points to ${replacementId}`);
     } catch (error) {
-      spinner.fail('Failed to add proof');
-      // Error handled by axios interceptor
+      spinner.fail('Failed to supersede claim');
+      if (created && jsonMode()) {
+        // Keep the new claim's ID so the link can be retried with --replacement
+        emitJson({ ...errorObject(error), claim: created });
+        process.exitCode = 1;
+        return;
+      }
+      reportRequestError(error);
+      if (created) {
+        console.log(chalk.yellow('\nThe corrected claim was created as'), created.id);
+        console.log(`Link it to the original with: otrust-cli claim:supersede ${id} --replacement ${created.id}`);
+      }
     }
   });
 
@@ -530,19 +2555,41 @@ program
   .command('claim:get')
   .description('Get details for a specific claim')
   .argument('<id>', 'Claim ID')
-  .action(async (id) => {
-    const spinner = ora('Fetching claim...').start();
+  .option('--check-signatures', 'Verify claim and proof signatures locally')
+  .action(async (id, options) => {
+    const spinner = startSpinner('Fetching claim...');
     try {
       const api = getAxiosInstance();
-      const response = await api.get(`/api/claim/${id}`);
+      const response = await cachedGet(api, `/api/claim/${id}`);
       const claim = response.data.claim;
+      rememberClaimIds([claim.id], { last: true });
+      rememberClaimIds([claim.parent_id, claim.supersedes, claim.retraction ? claim.retraction.replacementId : null]
+        .concat((response.data.relatedClaims || []).map(related => related.id)));
+      rememberUserKeys([claim.publicKey].concat((claim.proofChain || []).map(proof => proof.publicKey)));
 
       spinner.succeed('Claim details:');
+
+      if (jsonMode()) {
+        const result = { ...response.data, cache: response.cache };
+        if (options.checkSignatures) {
+          result.signatureCheck = signatures.verifyClaimSignatures(claim);
+          if (signatureCheckFailed(result.signatureCheck)) {
+            process.exitCode = 1;
+          }
+        }
+        emitJson(result);
+        return;
+      }
       
+      printCacheNote(response);
+      printClaimStatus(claim);
       console.log(chalk.green('\nClaim Information:'));
       console.log('ID:', claim.id);
       console.log('Type:', claim.type);
       console.log('Created:', new Date(claim.timestamp).toLocaleString());
+      if (claim.parent_id) {
+        console.log('In Reply To:', claim.parent_id);
+      }
       console.log('Credibility Score:', response.data.credibility.score.toFixed(2));
 
       console.log(chalk.green('\nClaim Content:'));
@@ -552,8 +2599,8 @@ program
       console.log(`${claim.semantic.subject} ${claim.semantic.predicate} ${claim.semantic.object}`);
 
       console.log(chalk.green('\nEvidence:'));
-      claim.evidence.forEach((url, i) => {
-        console.log(`${i+1}. ${url}`);
+      claim.evidence.forEach((entry, i) => {
+        console.log(`${i+1}. ${evidenceFiles.describeEntry(entry)}`);
       });
 
       console.log(chalk.green('\nProofs:'));
@@ -565,7 +2612,7 @@ program
 
         claim.proofChain.forEach(proof => {
           table.push([
-            proof.action,
+            proof.revocation ? `${proof.action} (revoked)` : proof.action,
             proof.publicKey.substring(0, 12) + '...',
             new Date(proof.timestamp).toLocaleString(),
             proof.reason || '-'
@@ -593,12 +2640,208 @@ program
           console.log(`- ${related.id}: ${related.claim.substring(0, 50)}...`);
         });
       }
+
+      if (options.checkSignatures) {
+        printSignatureCheck(signatures.verifyClaimSignatures(claim));
+      }
     } catch (error) {
       spinner.fail('Failed to fetch claim');
-      // Error handled by axios interceptor
+      reportRequestError(error);
+    }
+  });
+
+// Default fields for claim:list in export formats
+const CLAIM_LIST_FIELDS = ['id', 'claim', 'type', 'publicKey', 'timestamp', 'credibilityScore'];
+
+// Print claims as the claim:list table
+function printClaimTable(claims) {
+  const table = new Table({
+    head: ['ID', 'Claim', 'Type', 'User', 'Date', 'Score'],
+    colWidths: [15, 40, 10, 15, 16, 7]
+  });
+
+  claims.forEach(claim => {
+    const claimText = claim.claim.length > 37 ? claim.claim.substring(0, 34) + '...' : claim.claim;
+    table.push([
+      claim.id.substring(0, 12) + '...',
+      claimText,
+      claim.type,
+      claim.publicKey.substring(0, 12) + '...',
+      new Date(claim.timestamp).toLocaleDateString(),
+      claim.credibilityScore ? claim.credibilityScore.toFixed(1) : '-'
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+// Parse --max: a positive integer, or Infinity when it is not given.
+// Reports the error, fails the command and returns null for anything else.
+function parseMax(value) {
+  if (value === undefined) {
+    return Infinity;
+  }
+  const max = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (!(max >= 1)) {
+    reportError(`--max must be a positive integer, got "${value}"`);
+    process.exitCode = 1;
+    return null;
+  }
+  return max;
+}
+
+// Follow meta.hasNext and print each page of claims as it arrives
+async function streamAllClaims(api, params, options, spinner, max) {
+  const collected = [];
+  let fields = formats.parseFields(options.fields) || CLAIM_LIST_FIELDS;
+  let page = params.page;
+  let count = 0;
+  let meta;
+  let claims;
+
+  do {
+    const response = await api.get('/api/claims', { params: { ...params, page } });
+    meta = response.data.meta;
+    claims = response.data.claims.slice(0, max - count);
+    rememberClaimIds(claims.map(claim => claim.id));
+    rememberUserKeys(claims.map(claim => claim.publicKey));
+
+    if (page === params.page) {
+      spinner.succeed(`Found ${meta.total} claims`);
+    }
+
+    if (jsonMode()) {
+      collected.push(...claims);
+    } else if (claims.length > 0) {
+      if (customFormat(options)) {
+        fields = printRecords(claims, options, fields, { header: count === 0 });
+      } else {
+        printClaimTable(claims);
+      }
+    }
+
+    count += claims.length;
+    page += 1;
+  } while (meta.hasNext && claims.length > 0 && count < max);
+
+  if (jsonMode()) {
+    emitJson({ claims: collected, meta: { total: meta.total, fetched: count } });
+  } else if (!customFormat(options)) {
+    console.log(chalk.cyan(`Fetched ${count} of ${meta.total} claims`));
+  }
+}
+
+// Watch claims for new proofs, credibility and verification changes
+program
+  .command('claim:watch')
+  .description('Poll claims and report new proofs, credibility changes and blockchain verification')
+  .argument('<ids...>', 'Claim IDs')
+  .option(...INTERVAL_OPTION)
+  .option(...EXEC_OPTION)
+  .action(async (ids, options) => {
+    await watchTargets(ids.map(id => ({
+      label: id,
+      fetch: async api => watch.claimSnapshot((await api.get(`/api/claim/${id}`)).data),
+      diff: watch.diffClaim,
+      describe: snapshot => `${id}: credibility ${snapshot.score === null ? '-' : snapshot.score.toFixed(2)}, ` +
+        `${snapshot.proofs.length} proofs, ${snapshot.verification ? `verified in block ${snapshot.verification.blockIndex}` : 'not verified'}`
+    })), options);
+  });
+
+// Fetch every direct reply to a claim, following pagination
+async function fetchReplies(api, id) {
+  const replies = [];
+  let page = 1;
+  let data;
+
+  do {
+    data = (await api.get('/api/claims', { params: { parent_id: id, page, limit: 100, sort: 'oldest' } })).data;
+    replies.push(...data.claims);
+    page += 1;
+  } while (data.meta.hasNext && data.claims.length > 0);
+
+  return replies;
+}
+
+// Shorten a key fingerprint for the thread tree
+function shortFingerprint(publicKey) {
+  try {
+    return signatures.fingerprint(publicKey).substring(0, 19) + '...';
+  } catch (error) {
+    return '-';
+  }
+}
+
+// Render a thread as an indented tree, marking the requested claim
+function printThread(thread) {
+  threads.walkThread(thread.root, (node, depth, isLast, ancestorsLast) => {
+    const indent = ancestorsLast.map(last => (last ? '   ' : '│  ')).join('');
+    const branch = depth === 0 ? '' : (isLast ? '└─ ' : '├─ ');
+    const text = node.claim.length > 60 ? node.claim.substring(0, 57) + '...' : node.claim;
+    const score = node.score === null ? '-' : node.score.toFixed(2);
+    const line = `${node.id} [${node.type}] ${shortFingerprint(node.publicKey)} ${score}` +
+      (node.status === 'active' ? '' : ` (${node.status})`);
+
+    if (node.id === thread.focus) {
+      console.log(chalk.gray(indent + branch) + chalk.cyan.bold(line), chalk.cyan.bold(text));
+    } else {
+      console.log(chalk.gray(indent + branch) + line, text);
+    }
+  });
+
+  if (thread.missingParent) {
+    console.log(chalk.yellow('\nWarning:'), `The thread continues above, but parent ${thread.missingParent} was not found`);
+  }
+  if (thread.truncated) {
+    console.log(chalk.yellow('\nWarning:'), 'The thread is deeper than --depth and was cut off');
+  }
+}
+
+// Show the discussion a claim belongs to
+program
+  .command('claim:thread')
+  .description('Show the thread of replies a claim belongs to as a tree')
+  .argument('<id>', 'Claim ID')
+  .option('--depth <levels>', 'Maximum number of levels to follow up and down', String(threads.DEFAULT_MAX_DEPTH))
+  .action(async (id, options) => {
+    const maxDepth = parseInt(options.depth);
+    if (isNaN(maxDepth) || maxDepth < 1) {
+      reportError('--depth must be a positive number');
+      return;
+    }
+
+    const spinner = startSpinner('Fetching thread...');
+    try {
+      const api = getAxiosInstance();
+      const thread = await threads.buildThread(id, {
+        maxDepth,
+        fetchClaim: threads.claimFetcher(api, id),
+        fetchReplies: claimId => fetchReplies(api, claimId)
+      });
+      const ids = [];
+      const keys = [];
+      threads.walkThread(thread.root, node => {
+        ids.push(node.id);
+        keys.push(node.publicKey);
+      });
+      rememberClaimIds(ids);
+      rememberUserKeys(keys);
+
+      spinner.succeed('Thread:');
+
+      if (jsonMode()) {
+        emitJson(thread);
+        return;
+      }
+      printThread(thread);
+    } catch (error) {
+      spinner.fail('Failed to fetch thread');
+      reportRequestError(error);
     }
   });
 
+const SORT_FIELDS = ['newest', 'oldest', 'credibility'];
+
 // List claims
 program
   .command('claim:list')
@@ -611,10 +2854,20 @@ program
   .option('-o, --object <object>', 'Filter by semantic object')
   .option('-u, --user <publicKey>', 'Filter by user public key')
   .option('-v, --verified <boolean>', 'Filter by verification status')
-  .option('--sort <field>', 'Sort by field (newest, oldest, credibility)', 'newest')
-  .option('--csv', 'Output in CSV format')
+  .option('--parent <id>', 'Only replies to this claim')
+  .option('--sort <field>', `Sort by field (${SORT_FIELDS.join(', ')})`, 'newest')
+  .option('-a, --all', 'Fetch all pages, starting at --page, and print rows as they arrive')
+  .option('--max <number>', 'Maximum number of claims to fetch with --all')
+  .option('--csv', 'Output in CSV format (same as --format csv)')
+  .option(...FORMAT_OPTION)
+  .option(...FIELDS_OPTION)
   .action(async (options) => {
-    const spinner = ora('Fetching claims...').start();
+    if (options.csv) options.format = 'csv';
+    if (!checkFormat(options)) return;
+    const max = parseMax(options.max);
+    if (max === null) return;
+
+    const spinner = startSpinner('Fetching claims...');
     try {
       const api = getAxiosInstance();
       const params = {};
@@ -628,48 +2881,37 @@ program
       if (options.subject) params.subject = options.subject;
       if (options.predicate) params.predicate = options.predicate;
       if (options.object) params.object = options.object;
-      if (options.user) params.publicKey = options.user;
+      if (options.user) params.publicKey = userKey(options.user);
       if (options.verified) params.verified = options.verified === 'true';
+      if (options.parent) params.parent_id = options.parent;
       
       // Add sorting
       if (options.sort === 'oldest') params.sort = 'oldest';
       else if (options.sort === 'credibility') params.sort = 'credibility';
       else params.sort = 'newest';
+
+      if (options.all) {
+        await streamAllClaims(api, params, options, spinner, max);
+        return;
+      }
       
       const response = await api.get('/api/claims', { params });
       const { claims, meta } = response.data;
+      rememberClaimIds(claims.map(claim => claim.id));
+      rememberUserKeys(claims.map(claim => claim.publicKey));
 
       spinner.succeed(`Found ${meta.total} claims`);
+
+      if (jsonMode()) {
+        emitJson(response.data);
+        return;
+      }
       
-      if (options.csv) {
-        // Output as CSV
-        const fields = ['id', 'claim', 'type', 'publicKey', 'timestamp', 'credibilityScore'];
-        const parser = new Parser({ fields });
-        const csv = parser.parse(claims.map(claim => ({
-          ...claim,
-          timestamp: new Date(claim.timestamp).toISOString()
-        })));
-        console.log(csv);
+      if (customFormat(options)) {
+        printRecords(claims, options, CLAIM_LIST_FIELDS);
       } else {
         // Output as table
-        const table = new Table({
-          head: ['ID', 'Claim', 'Type', 'User', 'Date', 'Score'],
-          colWidths: [15, 40, 10, 15, 16, 7]
-        });
-
-        claims.forEach(claim => {
-          const claimText = claim.claim.length > 37 ? claim.claim.substring(0, 34) + '...' : claim.claim;
-          table.push([
-            claim.id.substring(0, 12) + '...',
-            claimText,
-            claim.type,
-            claim.publicKey.substring(0, 12) + '...',
-            new Date(claim.timestamp).toLocaleDateString(),
-            claim.credibilityScore ? claim.credibilityScore.toFixed(1) : '-'
-          ]);
-        });
-
-        console.log(table.toString());
+        printClaimTable(claims);
         
         // Pagination info
         console.log(chalk.cyan(`Page ${meta.page} of ${meta.totalPages} (${meta.total} total claims)`));
@@ -681,12 +2923,83 @@ program
           }
           if (meta.hasNext) {
             console.log(`Next page: otrust-cli claim:list --page ${meta.page + 1} --limit ${meta.limit}`);
+            console.log(`All pages: otrust-cli claim:list --all --limit ${meta.limit}`);
           }
         }
       }
     } catch (error) {
       spinner.fail('Failed to fetch claims');
-      // Error handled by axios interceptor
+      reportRequestError(error);
+    }
+  });
+
+// Export semantic triples as RDF with provenance
+program
+  .command('claim:export')
+  .description('Export the semantic triples of claims as RDF (JSON-LD, Turtle or N-Quads) with provenance')
+  .argument('[ids...]', 'Claim IDs (default: all claims matching the filters)')
+  .option('-f, --format <format>', `RDF format (${rdf.RDF_FORMATS.join(', ')})`, 'jsonld')
+  .option('--base <iri>', 'Base IRI for claims, keys and terms', rdf.DEFAULT_BASE)
+  .option('-t, --type <type>', 'Filter by claim type')
+  .option('-s, --subject <subject>', 'Filter by semantic subject')
+  .option('-pr, --predicate <predicate>', 'Filter by semantic predicate')
+  .option('-o, --object <object>', 'Filter by semantic object')
+  .option('-u, --user <publicKey>', 'Filter by user public key')
+  .option('--parent <id>', 'Only replies to this claim')
+  .option('--max <number>', 'Maximum number of claims to export')
+  .option('--out <file>', 'Write the export to a file instead of stdout')
+  .action(async (ids, options) => {
+    if (!rdf.RDF_FORMATS.includes(options.format)) {
+      reportError(`Unsupported format "${options.format}". Use one of: ${rdf.RDF_FORMATS.join(', ')}`);
+      return;
+    }
+    const max = parseMax(options.max);
+    if (max === null) return;
+
+    const spinner = startSpinner('Fetching claims...');
+    try {
+      const api = getAxiosInstance();
+
+      if (ids.length === 0) {
+        const params = { page: 1, limit: 100, sort: 'oldest' };
+        if (options.type) params.type = options.type;
+        if (options.subject) params.subject = options.subject;
+        if (options.predicate) params.predicate = options.predicate;
+        if (options.object) params.object = options.object;
+        if (options.user) params.publicKey = userKey(options.user);
+        if (options.parent) params.parent_id = options.parent;
+
+        let data;
+        do {
+          data = (await api.get('/api/claims', { params })).data;
+          ids.push(...data.claims.slice(0, max - ids.length).map(claim => claim.id));
+          params.page += 1;
+        } while (data.meta.hasNext && data.claims.length > 0 && ids.length < max);
+      }
+
+      // Claim lists carry no block hash, so fetch each claim in full
+      const entries = [];
+      for (const id of ids.slice(0, max)) {
+        spinner.text = `Fetching claim ${entries.length + 1} of ${Math.min(ids.length, max)}...`;
+        entries.push((await api.get(`/api/claim/${id}`)).data);
+      }
+
+      const exported = rdf.serialize(entries, options.format, { base: options.base });
+      spinner.succeed(`Exported ${entries.length} claims as ${options.format}`);
+
+      if (options.out) {
+        fs.writeFileSync(options.out, exported);
+      }
+      if (jsonMode()) {
+        emitJson({ format: options.format, count: entries.length, out: options.out || null, data: options.out ? null : exported });
+      } else if (options.out) {
+        console.error(chalk.green('Export written to:'), options.out);
+      } else {
+        process.stdout.write(exported);
+      }
+    } catch (error) {
+      spinner.fail('Failed to export claims');
+      reportRequestError(error);
     }
   });
 
@@ -696,18 +3009,34 @@ program
   .description('Search for claims')
   .argument('<query>', 'Search query')
   .option('-l, --limit <number>', 'Maximum results', '10')
+  .option(...FORMAT_OPTION)
+  .option(...FIELDS_OPTION)
   .action(async (query, options) => {
-    const spinner = ora(`Searching for "${query}"...`).start();
+    if (!checkFormat(options)) return;
+
+    const spinner = startSpinner(`Searching for "${query}"...`);
     try {
       const api = getAxiosInstance();
-      const response = await api.get('/api/search', {
-        params: {
-          q: query,
-          limit: parseInt(options.limit)
-        }
+      const response = await cachedGet(api, '/api/search', {
+        q: query,
+        limit: parseInt(options.limit)
       });
 
       spinner.succeed(`Found ${response.data.count} results (${response.data.searchType} search)`);
+      rememberClaimIds(response.data.results.map(result => result.id));
+
+      if (jsonMode()) {
+        emitJson({ ...response.data, cache: response.cache });
+        return;
+      }
+
+      printCacheNote(response);
+
+      if (customFormat(options)) {
+        // Results are claim summaries, so they share the claim:list columns
+        printRecords(response.data.results, options, CLAIM_LIST_FIELDS);
+        return;
+      }
       
       if (response.data.count === 0) {
         console.log(chalk.yellow('No results found'));
@@ -735,7 +3064,7 @@ program
       console.log(table.toString());
     } catch (error) {
       spinner.fail('Search failed');
-      // Error handled by axios interceptor
+      reportRequestError(error);
     }
   });
 
@@ -745,13 +3074,42 @@ program
   .description('Perform a semantic query')
   .argument('<subject>', 'Subject')
   .argument('<predicate>', 'Predicate')
-  .action(async (subject, predicate) => {
-    const spinner = ora(`Querying semantic data...`).start();
+  .option(...FORMAT_OPTION)
+  .option(...FIELDS_OPTION)
+  .option('--watch', 'Poll the query and report consensus changes')
+  .option(...INTERVAL_OPTION)
+  .option(...EXEC_OPTION)
+  .action(async (subject, predicate, options) => {
+    if (options.watch) {
+      await watchTargets([{
+        label: `${subject} ${predicate}`,
+        fetch: async api => watch.semanticSnapshot(subject, predicate, (await api.get(`/api/semantic/${subject}/${predicate}`)).data),
+        diff: watch.diffSemantic,
+        describe: snapshot => `${subject} ${predicate}: ` +
+          `${snapshot.consensusValue === null ? 'no consensus' : `consensus "${snapshot.consensusValue}"`}, ` +
+          `${Object.keys(snapshot.objects).length} objects`
+      }], options);
+      return;
+    }
+    if (!checkFormat(options)) return;
+
+    const spinner = startSpinner(`Querying semantic data...`);
     try {
       const api = getAxiosInstance();
       const response = await api.get(`/api/semantic/${subject}/${predicate}`);
+      rememberClaimIds(response.data.objects.map(obj => obj.claimId));
 
       spinner.succeed(`Semantic query results`);
+
+      if (jsonMode()) {
+        emitJson({ subject, predicate, ...response.data });
+        return;
+      }
+
+      if (customFormat(options)) {
+        printRecords(response.data.objects.map(obj => ({ subject, predicate, ...obj })), options);
+        return;
+      }
       
       console.log(chalk.green(`Subject: ${subject}`));
       console.log(chalk.green(`Predicate: ${predicate}`));
@@ -780,7 +3138,80 @@ program
       console.log(table.toString());
     } catch (error) {
       spinner.fail('Semantic query failed');
-      // Error handled by axios interceptor
+      reportRequestError(error);
+    }
+  });
+
+// List own claims that other claims currently contradict
+program
+  .command('conflicts:list')
+  .description('List your claims that currently have conflicting claims')
+  .option('-u, --user <publicKey>', 'Check the claims of another user instead')
+  .action(async (options) => {
+    const publicKey = options.user ? userKey(options.user) : (config.keyPair ? config.keyPair.publicKey : null);
+    if (!publicKey) {
+      reportError('No key pair found. Run "otrust-cli init" first');
+      return;
+    }
+
+    const spinner = startSpinner('Fetching claims...');
+    try {
+      const api = getAxiosInstance();
+      const own = [];
+      const params = { publicKey, page: 1, limit: 100, sort: 'oldest' };
+      let data;
+      do {
+        data = (await api.get('/api/claims', { params })).data;
+        own.push(...data.claims.filter(conflicts.isActive));
+        params.page += 1;
+      } while (data.meta.hasNext && data.claims.length > 0);
+
+      // One semantic query per subject and predicate covers every claim about it
+      spinner.text = 'Checking for conflicting claims...';
+      const conflicting = [];
+      for (const group of conflicts.groupByStatement(own)) {
+        const response = await api.get(`/api/semantic/${encodeURIComponent(group.subject)}/${encodeURIComponent(group.predicate)}`);
+        group.claims.forEach(claim => {
+          const found = conflicts.findConflicts(claim.semantic, { semantic: response.data, exclude: [claim.id] });
+          if (found.length > 0) {
+            conflicting.push({ ...claim, conflicts: found });
+          }
+        });
+      }
+
+      spinner.succeed(`${conflicting.length} of ${own.length} active claims have conflicts`);
+      conflicting.forEach(claim => rememberClaimIds([claim.id].concat(claim.conflicts.map(conflict => conflict.claimId))));
+      if (jsonMode()) {
+        emitJson({ claims: conflicting, meta: { checked: own.length, conflicting: conflicting.length } });
+        return;
+      }
+      if (conflicting.length === 0) {
+        console.log(chalk.green('No conflicting claims found'));
+        return;
+      }
+
+      const table = new Table({
+        head: ['Claim ID', 'Statement', 'Score', 'Competing Object', 'Score', 'Competing Claim'],
+        colWidths: [27, 30, 7, 20, 7, 27]
+      });
+      conflicting.forEach(claim => {
+        const statement = `${claim.semantic.subject} ${claim.semantic.predicate} ${claim.semantic.object}`;
+        claim.conflicts.forEach((conflict, index) => {
+          table.push([
+            index === 0 ? claim.id : '',
+            index === 0 ? (statement.length > 27 ? statement.substring(0, 24) + '...' : statement) : '',
+            index === 0 && typeof claim.credibilityScore === 'number' ? claim.credibilityScore.toFixed(2) : '',
+            conflict.object.length > 17 ? conflict.object.substring(0, 14) + '...' : conflict.object,
+            conflict.credibility.toFixed(2),
+            conflict.claimId
+          ]);
+        });
+      });
+      console.log(table.toString());
+      console.log(chalk.cyan('Respond with: otrust-cli proof:add --claim-id <id> --action disputed|confirmed'));
+    } catch (error) {
+      spinner.fail('Failed to check for conflicts');
+      reportRequestError(error);
     }
   });
 
@@ -790,11 +3221,16 @@ program
   .description('Verify a claim against the blockchain')
   .argument('<id>', 'Claim ID')
   .action(async (id) => {
-    const spinner = ora('Verifying claim...').start();
+    const spinner = startSpinner('Verifying claim...');
     try {
       const api = getAxiosInstance();
       const response = await api.get(`/api/claim/${id}/verify`);
 
+      if (jsonMode()) {
+        emitJson(response.data);
+        return;
+      }
+
       if (response.data.verified) {
         spinner.succeed('Claim is verified on blockchain');
         console.log(chalk.green('Verification details:'));
@@ -809,7 +3245,71 @@ program
       }
     } catch (error) {
       spinner.fail('Verification failed');
-      // Error handled by axios interceptor
+      reportRequestError(error);
+    }
+  });
+
+// Check local files against the evidence hashes recorded in a claim
+program
+  .command('evidence:check')
+  .description('Check whether local files match the evidence file hashes recorded in a claim')
+  .argument('<claimId>', 'Claim ID')
+  .argument('<files...>', 'Files to check')
+  .action(async (claimId, files) => {
+    const spinner = startSpinner('Fetching claim...');
+    let claim;
+    try {
+      const response = await getAxiosInstance().get(`/api/claim/${claimId}`);
+      claim = response.data.claim;
+    } catch (error) {
+      spinner.fail('Failed to fetch claim');
+      reportRequestError(error);
+      return;
+    }
+
+    spinner.text = 'Hashing files...';
+    const result = await evidenceFiles.checkFiles(claim.evidence, files);
+    if (!result.valid) {
+      process.exitCode = 1;
+    }
+
+    const mismatches = result.files.filter(file => file.status !== 'match').length;
+    if (result.valid) {
+      spinner.succeed(`All ${files.length} files match the claim's evidence`);
+    } else {
+      spinner.fail(`${mismatches} of ${files.length} files do not match the claim's evidence`);
+    }
+
+    if (jsonMode()) {
+      emitJson({ claimId, ...result });
+      return;
+    }
+
+    const table = new Table({
+      head: ['File', 'Status', 'Evidence'],
+      colWidths: [30, 14, 50]
+    });
+    result.files.forEach(file => {
+      const status = {
+        match: chalk.green('match'),
+        modified: chalk.red('modified'),
+        unknown: chalk.yellow('not in claim'),
+        unreadable: chalk.red('unreadable')
+      }[file.status];
+      let detail = file.entry ? evidenceFiles.describeEntry(file.entry) : `sha256:${file.sha256}`;
+      if (file.status === 'unreadable') {
+        detail = file.error;
+      }
+      table.push([file.file, status, detail]);
+    });
+    console.log(table.toString());
+
+    if (result.unmatched.length > 0) {
+      console.log(chalk.cyan('\nEvidence files not matched by any checked file:'));
+      result.unmatched.forEach(entry => console.log(`- ${evidenceFiles.describeEntry(entry)}`));
+    }
+    if (!claim.evidence.some(entry => entry && typeof entry === 'object' && entry.sha256)) {
+      console.log(chalk.yellow('\nThe claim records no evidence files with hashes, only URLs'));
     }
   });
 
@@ -818,21 +3318,38 @@ program
   .command('user:info')
   .description('Get information about a user')
   .argument('[publicKey]', 'Public key of the user (defaults to current user)')
-  .action(async (publicKey) => {
+  .option(...FORMAT_OPTION)
+  .option(...FIELDS_OPTION)
+  .action(async (publicKey, options) => {
+    if (!checkFormat(options)) return;
     if (!publicKey && !config.keyPair) {
-      console.error(chalk.red('Error:'), 'No public key provided and not logged in');
+      reportError('No public key provided and not logged in');
       return;
     }
 
-    const userKey = publicKey || config.keyPair.publicKey;
-    const spinner = ora(`Fetching user information...`).start();
+    const key = publicKey ? userKey(publicKey) : config.keyPair.publicKey;
+    const spinner = startSpinner(`Fetching user information...`);
     
     try {
       const api = getAxiosInstance();
-      const response = await api.get(`/api/user/${userKey}`);
+      const response = await cachedGet(api, `/api/user/${key}`);
       const user = response.data;
+      rememberUserKeys([user.publicKey]);
 
       spinner.succeed('User information:');
+
+      if (jsonMode()) {
+        emitJson({ ...user, cache: response.cache });
+        return;
+      }
+
+      printCacheNote(response);
+
+      // Other formats export the recent claims
+      if (customFormat(options)) {
+        printRecords(user.recentClaims || [], options);
+        return;
+      }
       
       console.log(chalk.green('\nUser Details:'));
       console.log('Public Key:', user.publicKey);
@@ -867,22 +3384,59 @@ program
       }
     } catch (error) {
       spinner.fail('Failed to fetch user information');
-      // Error handled by axios interceptor
+      reportRequestError(error);
     }
   });
 
+// Show what is in the local cache
+program
+  .command('cache:stats')
+  .description('Show the size and age of the local cache')
+  .action(() => {
+    const stats = cache.cacheStats(CACHE_DIR);
+    if (jsonMode()) {
+      emitJson(stats);
+      return;
+    }
+
+    console.log(chalk.green('Local cache:'));
+    console.log('Directory:', stats.dir);
+    console.log('Entries:', stats.entries);
+    console.log('Size:', `${(stats.bytes / 1024).toFixed(1)} KiB`);
+    console.log('Oldest:', stats.oldest ? `${new Date(stats.oldest).toLocaleString()} (${formatRelative(stats.oldest)})` : '-');
+    console.log('Newest:', stats.newest ? `${new Date(stats.newest).toLocaleString()} (${formatRelative(stats.newest)})` : '-');
+  });
+
+// Remove everything from the local cache
+program
+  .command('cache:clear')
+  .description('Remove all entries from the local cache')
+  .action(() => {
+    const removed = cache.clearCache(CACHE_DIR);
+    if (jsonMode()) {
+      emitJson({ removed });
+      return;
+    }
+    console.log(chalk.green(`Removed ${removed} cached ${removed === 1 ? 'entry' : 'entries'}`));
+  });
+
 // Get blockchain stats
 program
   .command('blockchain:stats')
   .description('Get blockchain statistics')
   .action(async () => {
-    const spinner = ora('Fetching blockchain statistics...').start();
+    const spinner = startSpinner('Fetching blockchain statistics...');
     try {
       const api = getAxiosInstance();
       const response = await api.get('/api/blockchain/stats');
       const stats = response.data;
 
       spinner.succeed('Blockchain statistics:');
+
+      if (jsonMode()) {
+        emitJson(stats);
+        return;
+      }
       
       console.log(chalk.green('\nBlockchain Status:'));
       console.log('Blocks:', stats.blocks);
@@ -898,22 +3452,192 @@ program
       console.log('Timestamp:', stats.latestBlock.timestamp);
     } catch (error) {
       spinner.fail('Failed to fetch blockchain stats');
-      // Error handled by axios interceptor
+      reportRequestError(error);
+    }
+  });
+
+// Describe an audit finding in one line
+function describeAuditFinding(finding) {
+  switch (finding.type) {
+    case 'shorter':
+      return `Chain is shorter than before: latest block is ${finding.latestIndex}, but block ${finding.pinnedIndex} was seen earlier`;
+    case 'rewritten':
+      return `${finding.claimId ? `Claim ${finding.claimId}: block` : 'Block'} ${finding.index} hash changed from ${finding.pinned} (seen ${finding.pinnedAt}) to ${finding.actual}`;
+    case 'beyond-head':
+      return `Claim ${finding.claimId}: verified in block ${finding.blockIndex}, beyond the latest block ${finding.latestIndex}`;
+    case 'hash-mismatch':
+      return `Claim ${finding.claimId}: server reports that the claim hash does not match block ${finding.blockIndex}`;
+    case 'invalid-chain':
+      return 'Server reports that its own chain is not valid';
+    default:
+      return finding.type;
+  }
+}
+
+// Audit the blockchain against locally pinned checkpoints
+program
+  .command('chain:audit')
+  .description('Check the blockchain against pinned checkpoints to detect rewritten history')
+  .argument('[ids...]', 'Claim IDs to cross-check (default: your most recent claims)')
+  .option('--checkpoints <file>', 'Checkpoint file', CHECKPOINT_FILE)
+  .option('--claims <number>', 'Number of your most recent claims to cross-check', '20')
+  .option('--accept', 'Accept the current chain and pin its hashes in place of the old ones')
+  .action(async (ids, options) => {
+    let pins;
+    try {
+      pins = checkpoints.readCheckpoints(options.checkpoints);
+    } catch (error) {
+      reportError(error.message);
+      return;
+    }
+    const serverPins = checkpoints.serverCheckpoints(pins, config.server);
+    const firstRun = checkpoints.highestPinnedIndex(serverPins) < 0;
+
+    const spinner = startSpinner('Auditing blockchain...');
+    try {
+      const api = getAxiosInstance();
+      const stats = (await api.get('/api/blockchain/stats')).data;
+      const latestBlock = { index: stats.latestBlock.index, hash: stats.latestBlock.hash };
+      const findings = checkpoints.auditLatestBlock(serverPins, latestBlock, { accept: options.accept });
+      if (!stats.isValid) {
+        findings.push({ type: 'invalid-chain' });
+      }
+
+      // Cross-check where the server says our claims were recorded
+      let claimIds = ids;
+      const limit = parseInt(options.claims);
+      if (claimIds.length === 0 && config.keyPair && limit > 0) {
+        spinner.text = 'Fetching your claims...';
+        const response = await api.get('/api/claims', {
+          params: { publicKey: config.keyPair.publicKey, page: 1, limit, sort: 'newest' }
+        });
+        claimIds = response.data.claims.map(claim => claim.id);
+      }
+
+      const checked = [];
+      for (const claimId of claimIds) {
+        spinner.text = `Verifying claim ${claimId}...`;
+        let verification;
+        try {
+          verification = (await getAxiosInstance({ quiet: true }).get(`/api/claim/${claimId}/verify`)).data;
+        } catch (error) {
+          checked.push({ claimId, status: 'error', message: errorObject(error).error.message });
+          continue;
+        }
+
+        if (!verification.verified) {
+          checked.push({ claimId, status: 'not-verified' });
+          continue;
+        }
+
+        const { blockIndex, blockHash } = verification;
+        let finding = null;
+        if (blockIndex > latestBlock.index) {
+          finding = { type: 'beyond-head', claimId, blockIndex, latestIndex: latestBlock.index };
+        } else {
+          finding = checkpoints.checkBlock(serverPins, { index: blockIndex, hash: blockHash }, 'verify', { accept: options.accept });
+          if (finding) {
+            finding.claimId = claimId;
+          } else if (verification.hashMatch === false) {
+            finding = { type: 'hash-mismatch', claimId, blockIndex };
+          }
+        }
+
+        if (finding) {
+          findings.push(finding);
+        }
+        checked.push({ claimId, status: finding ? 'mismatch' : 'ok', blockIndex, blockHash });
+      }
+
+      checkpoints.writeCheckpoints(options.checkpoints, pins);
+
+      if (findings.length > 0) {
+        spinner.fail('Blockchain audit found problems');
+        process.exitCode = 1;
+      } else {
+        spinner.succeed('Blockchain audit passed');
+      }
+
+      const result = {
+        server: config.server,
+        checkpoints: options.checkpoints,
+        latestBlock,
+        pinnedBlocks: Object.keys(serverPins.blocks).length,
+        firstRun,
+        findings,
+        claims: checked
+      };
+      if (jsonMode()) {
+        emitJson(result);
+        return;
+      }
+
+      console.log('Latest Block:', `${latestBlock.index} (${latestBlock.hash})`);
+      console.log('Pinned Blocks:', result.pinnedBlocks);
+      if (firstRun) {
+        console.log(chalk.yellow('No earlier checkpoints for this server. The current chain has been pinned.'));
+      }
+
+      if (checked.length > 0) {
+        const table = new Table({
+          head: ['Claim ID', 'Status', 'Block', 'Block Hash'],
+          colWidths: [40, 14, 8, 30]
+        });
+        checked.forEach(entry => {
+          table.push([
+            entry.claimId,
+            entry.status === 'ok' ? chalk.green('ok') : chalk.red(entry.status),
+            entry.blockIndex !== undefined ? entry.blockIndex : '-',
+            entry.blockHash ? entry.blockHash.substring(0, 27) + '...' : (entry.message || '-')
+          ]);
+        });
+        console.log(table.toString());
+      }
+
+      if (findings.length > 0) {
+        console.log(chalk.red.bold('\nWARNING: The blockchain does not match what was seen before. History may have been rewritten.'));
+        findings.forEach(finding => console.log(chalk.red(`- ${describeAuditFinding(finding)}`)));
+        console.log(chalk.yellow('\nThe old checkpoints are kept. Run with --accept once you have confirmed the change is legitimate.'));
+      }
+    } catch (error) {
+      spinner.fail('Blockchain audit failed');
+      reportRequestError(error);
     }
   });
 
+const TOP_TABLES = ['claims', 'users'];
+
 // Get system stats
 program
   .command('stats')
   .description('Get system statistics')
-  .action(async () => {
-    const spinner = ora('Fetching system statistics...').start();
+  .option(...FORMAT_OPTION)
+  .option(...FIELDS_OPTION)
+  .option('--top <table>', 'Top table to export with --format (claims, users)', 'claims')
+  .action(async (options) => {
+    if (!checkFormat(options)) return;
+    if (!TOP_TABLES.includes(options.top)) {
+      reportError(`Unknown top table "${options.top}". Use claims or users`);
+      return;
+    }
+
+    const spinner = startSpinner('Fetching system statistics...');
     try {
       const api = getAxiosInstance();
       const response = await api.get('/api/stats');
       const stats = response.data;
 
       spinner.succeed('System statistics:');
+
+      if (jsonMode()) {
+        emitJson(stats);
+        return;
+      }
+
+      if (customFormat(options)) {
+        printRecords(options.top === 'users' ? stats.topUsers : stats.topClaims, options);
+        return;
+      }
       
       console.log(chalk.green('\nSystem Stats:'));
       console.log('Total Claims:', stats.stats.claims);
@@ -962,7 +3686,7 @@ program
       console.log(usersTable.toString());
     } catch (error) {
       spinner.fail('Failed to fetch system stats');
-      // Error handled by axios interceptor
+      reportRequestError(error);
     }
   });
 
@@ -971,12 +3695,17 @@ program
   .command('health')
   .description('Check server health')
   .action(async () => {
-    const spinner = ora('Checking server health...').start();
+    const spinner = startSpinner('Checking server health...');
     try {
       const api = getAxiosInstance();
       const response = await api.get('/health');
       const health = response.data;
 
+      if (jsonMode()) {
+        emitJson(health);
+        return;
+      }
+
       if (health.status === 'ok') {
         spinner.succeed('Server is healthy');
         console.log(chalk.green('\nHealth Information:'));
@@ -992,8 +3721,325 @@ program
       }
     } catch (error) {
       spinner.fail('Failed to check server health');
-      // Error handled by axios interceptor
+      reportRequestError(error);
+    }
+  });
+
+// Run an in-memory OTRUST server for local development and tests
+program
+  .command('mock-server')
+  .description('Run an in-memory OTRUST server for local development and tests')
+  .option('-p, --port <number>', 'Port to listen on', String(mockServer.DEFAULT_MOCK_PORT))
+  .option('--host <host>', 'Address to listen on', '127.0.0.1')
+  .option('--token-ttl <seconds>', 'Lifetime of issued tokens', '3600')
+  .option('--no-auto-mine', 'Leave transactions pending instead of mining a block for each one')
+  .option('--mine-interval <seconds>', 'With --no-auto-mine, mine pending transactions this often')
+  .option('-q, --quiet', 'Do not log requests')
+  .action(async (options) => {
+    const port = parseInt(options.port);
+    const tokenTtl = parseInt(options.tokenTtl);
+    const mineInterval = options.mineInterval ? parseFloat(options.mineInterval) : null;
+    if (isNaN(port) || port < 0 || port > 65535) {
+      reportError(`Invalid port "${options.port}"`);
+      return;
+    }
+    if (isNaN(tokenTtl) || tokenTtl < 1) {
+      reportError('--token-ttl must be a positive number of seconds');
+      return;
+    }
+    if (mineInterval !== null && (isNaN(mineInterval) || mineInterval <= 0 || options.autoMine)) {
+      reportError('--mine-interval must be a positive number of seconds and requires --no-auto-mine');
+      return;
+    }
+
+    const server = new mockServer.MockServer({
+      autoMine: options.autoMine,
+      tokenTtl,
+      onRequest: options.quiet ? null : ({ method, url, status }) => {
+        const line = `${method} ${url.length > 80 ? url.substring(0, 77) + '...' : url} ${status}`;
+        if (jsonMode()) {
+          console.error(JSON.stringify({ time: new Date().toISOString(), method, url, status }));
+        } else {
+          console.error(chalk.gray(new Date().toISOString()), status < 400 ? line : chalk.yellow(line));
+        }
+      }
+    });
+
+    let url;
+    try {
+      url = await server.start(port, options.host);
+    } catch (error) {
+      reportError(`Could not start mock server: ${error.message}`);
+      return;
+    }
+
+    const timer = mineInterval ? setInterval(() => server.mine(), mineInterval * 1000) : null;
+
+    if (jsonMode()) {
+      emitJson({ url, autoMine: options.autoMine, tokenTtl });
+    } else {
+      console.log(chalk.green('Mock OTRUST server listening on'), url);
+      console.log('Data is kept in memory and lost when the server stops.');
+      console.log(`Point the CLI at it with: otrust-cli config --server ${url}`);
+      console.log(chalk.gray('Press Ctrl+C to stop'));
+    }
+
+    process.once('SIGINT', async () => {
+      if (timer) clearInterval(timer);
+      await server.stop();
+      if (!jsonMode()) {
+        console.log(chalk.yellow('\nMock server stopped'));
+      }
+    });
+  });
+
+// Commands that keep running in the background or nest sessions, which
+// the shell does not run
+const SHELL_EXCLUDED_COMMANDS = ['shell', 'mock-server'];
+const SHELL_BUILTINS = ['exit', 'quit', 'set', 'vars', 'help'];
+
+// Option values of every command before the shell runs anything, so that
+// options given on one line do not carry over to the next
+function snapshotOptionValues() {
+  return [program, ...program.commands].map(command => {
+    const values = { ...command.opts() };
+    const sources = {};
+    Object.keys(values).forEach(key => {
+      sources[key] = command.getOptionValueSource(key);
+    });
+    return { command, values, sources };
+  });
+}
+
+function restoreOptionValues(snapshot) {
+  snapshot.forEach(({ command, values, sources }) => {
+    // opts() is the command's own store of option values
+    const current = command.opts();
+    Object.keys(current).forEach(key => delete current[key]);
+    Object.entries(values).forEach(([key, value]) => command.setOptionValueWithSource(key, value, sources[key]));
+  });
+}
+
+// Read one line at the shell prompt, or null on Ctrl+D. The prompt is closed
+// while commands run so that their own prompts get the terminal.
+function readShellLine(history, completer) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      completer,
+      historySize: shell.DEFAULT_HISTORY_SIZE
+    });
+    rl.history = history.slice();
+
+    let answered = false;
+    rl.on('line', line => {
+      answered = true;
+      rl.close();
+      resolve(line);
+    });
+    rl.on('close', () => {
+      if (!answered) {
+        process.stdout.write('\n');
+        resolve(null);
+      }
+    });
+    rl.on('SIGINT', () => {
+      rl.write(null, { ctrl: true, name: 'u' });
+      process.stdout.write('\n(To exit, type "exit" or press Ctrl+D)\n');
+      rl.prompt();
+    });
+
+    rl.setPrompt(chalk.cyan(`otrust (${activeContext})> `));
+    rl.prompt();
+  });
+}
+
+// Run one command line in the shell. Ctrl+C cancels the command's requests.
+async function runShellCommand(args, snapshot) {
+  restoreOptionValues(snapshot);
+  const context = activeContext;
+  const chalkLevel = chalk.level;
+  shellSession.controller = new AbortController();
+  process.exitCode = undefined;
+
+  let interrupt;
+  const interrupted = new Promise(resolve => {
+    interrupt = resolve;
+  });
+  const onInterrupt = () => {
+    shellSession.controller.abort();
+    interrupt();
+  };
+  process.on('SIGINT', onInterrupt);
+
+  try {
+    // A command waiting in a prompt never settles after Ctrl+C, so wait only briefly for it
+    await Promise.race([
+      program.parseAsync(args, { from: 'user' }),
+      interrupted.then(() => new Promise(resolve => setTimeout(resolve, 500)))
+    ]);
+  } catch (error) {
+    // Commander has already printed its own errors and help
+    if (!(error instanceof CommanderError)) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+    chalk.level = chalkLevel;
+    // --context applies to one line, as it does to one command outside the shell
+    if (program.opts().context && activeContext !== context) {
+      selectContext(context);
+    }
+  }
+}
+
+// Interactive shell
+program
+  .command('shell')
+  .description('Start an interactive session with command history, tab completion and variables such as $last')
+  .action(async () => {
+    if (!process.stdin.isTTY) {
+      reportError('The shell needs an interactive terminal');
+      return;
+    }
+
+    const snapshot = snapshotOptionValues();
+    shellSession = { controller: new AbortController(), instances: new Map() };
+    // Errors in a command line must not end the shell
+    [program, ...program.commands].forEach(command => command.exitOverride());
+
+    let history = [];
+    try {
+      history = shell.loadHistory(HISTORY_FILE);
+    } catch (error) {
+      console.error(chalk.yellow('Warning:'), `Could not read history: ${error.message}`);
+    }
+
+    seenClaimIds = completion.loadSeen(SEEN_CLAIMS_FILE).slice(0, SEEN_ID_LIMIT);
+    const variables = {};
+    const currentVariables = () => ({ ...variables, last: lastClaimId });
+    const commands = program.commands
+      .filter(command => !SHELL_EXCLUDED_COMMANDS.includes(command.name()))
+      .map(command => ({ name: command.name(), options: command.options.map(option => option.long).filter(Boolean) }))
+      .concat(SHELL_BUILTINS.map(name => ({ name, options: [] })));
+    const globalOptions = program.options.map(option => option.long).filter(Boolean);
+    const completer = line => shell.complete(line, {
+      commands,
+      globalOptions,
+      ids: seenClaimIds,
+      variables: Object.keys(currentVariables()).filter(name => currentVariables()[name] !== null)
+    });
+
+    console.log(chalk.cyan('OTRUST shell.'), 'Type commands without "otrust-cli", "help" for a list, and "exit" or Ctrl+D to leave.');
+    console.log(chalk.gray('$last is the claim last created or fetched. Set your own variables with: set <name> <value>'));
+
+    while (true) {
+      const line = await readShellLine(history, completer);
+      if (line === null) break;
+      if (line.trim() && line !== history[0]) {
+        history.unshift(line);
+        history = history.slice(0, shell.DEFAULT_HISTORY_SIZE);
+        try {
+          shell.saveHistory(HISTORY_FILE, history);
+        } catch (error) {
+          console.error(chalk.yellow('Warning:'), `Could not save history: ${error.message}`);
+        }
+      }
+
+      let args;
+      try {
+        args = shell.parseLine(line, currentVariables());
+      } catch (error) {
+        console.error(chalk.red('Error:'), error.message);
+        continue;
+      }
+      if (args[0] === 'otrust-cli') args.shift();
+      if (args.length === 0) continue;
+
+      const [name, ...rest] = args;
+      if (name === 'exit' || name === 'quit') break;
+      if (name === 'set') {
+        if (rest.length !== 2 || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(rest[0]) || rest[0] === 'last') {
+          console.error(chalk.red('Error:'), 'Usage: set <name> <value>. $last is set by claim:create and claim:get');
+        } else {
+          variables[rest[0]] = rest[1];
+        }
+        continue;
+      }
+      if (name === 'vars') {
+        Object.entries(currentVariables()).forEach(([key, value]) => {
+          console.log(`$${key} = ${value === null ? chalk.gray('(not set)') : value}`);
+        });
+        continue;
+      }
+      if (SHELL_EXCLUDED_COMMANDS.includes(name)) {
+        console.error(chalk.red('Error:'), `"${name}" cannot be run inside the shell`);
+        continue;
+      }
+
+      await runShellCommand(args, snapshot);
+    }
+
+    shellSession = null;
+    process.exitCode = 0;
+  });
+
+// Values offered when completing option and argument values: a list of
+// choices, or claims, users or files for values looked up while completing.
+// Keys are an option or argument name, or a command and a name when the
+// values only apply to that command.
+const COMPLETION_VALUES = {
+  '--type': CLAIM_TYPES,
+  '--action': PROOF_ACTIONS,
+  '--sort': SORT_FIELDS,
+  '--on-conflict': CONFLICT_MODES,
+  '--input-format': records.RECORD_FORMATS,
+  '--algorithm': signatures.KEY_ALGORITHMS,
+  '--format': formats.FORMATS,
+  'key:export --format': KEY_FORMATS,
+  'claim:export --format': rdf.RDF_FORMATS,
+  '--top': TOP_TABLES,
+  '--verified': ['true', 'false'],
+  '--claim-id': 'claims',
+  '--parent': 'claims',
+  '--replacement': 'claims',
+  '--user': 'users',
+  publicKey: 'users',
+  '--out': 'files',
+  '--public': 'files',
+  '--log': 'files',
+  '--checkpoints': 'files',
+  '--evidence-file': 'files',
+  id: 'claims',
+  ids: 'claims',
+  claimId: 'claims',
+  parentId: 'claims',
+  file: 'files',
+  files: 'files',
+  'completion shell': completion.COMPLETION_SHELLS
+};
+
+// Print a tab completion script
+program
+  .command('completion')
+  .description('Print a tab completion script for bash, zsh or fish')
+  .argument('<shell>', `Shell (${completion.COMPLETION_SHELLS.join(', ')})`)
+  .action((shellName) => {
+    if (!completion.COMPLETION_SHELLS.includes(shellName)) {
+      reportError(`Unsupported shell "${shellName}". Use one of: ${completion.COMPLETION_SHELLS.join(', ')}`);
+      return;
+    }
+
+    const spec = completion.describeProgram(program, (commandName, name) =>
+      COMPLETION_VALUES[`${commandName} ${name}`] || COMPLETION_VALUES[name] || null);
+    const script = completion.script(shellName, spec);
+
+    if (jsonMode()) {
+      emitJson({ shell: shellName, script });
+      return;
     }
+    process.stdout.write(script);
   });
 
 // Initialize configuration before any command runs
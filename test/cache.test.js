@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('../lib/cache');
+
+describe('cache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // En axios-liknande klient som svarar 304 när ETag stämmer
+  function stubApi() {
+    return {
+      defaults: { baseURL: 'http://localhost:3000' },
+      get: async (url, config) => (config.headers['If-None-Match'] === '"v1"'
+        ? { status: 304, headers: {}, data: '' }
+        : { status: 200, headers: { etag: '"v1"' }, data: { url } })
+    };
+  }
+
+  // Flytta tillbaka tiden då den enda cacheposten hämtades
+  function ageEntry(seconds) {
+    const file = path.join(dir, fs.readdirSync(dir)[0]);
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    entry.fetchedAt = new Date(Date.now() - seconds * 1000).toISOString();
+    fs.writeFileSync(file, JSON.stringify(entry));
+    return entry.fetchedAt;
+  }
+
+  it('reports the fetch age of revalidated and offline responses', async () => {
+    const api = stubApi();
+    const fetched = await cache.cachedGet(api, '/api/claim/a1', { dir });
+    assert.strictEqual(fetched.cache.status, 'fetched');
+    assert.strictEqual(fetched.cache.age, 0);
+
+    const fetchedAt = ageEntry(7200);
+    const revalidated = await cache.cachedGet(api, '/api/claim/a1', { dir });
+    assert.deepStrictEqual(revalidated.data, { url: '/api/claim/a1' });
+    assert.strictEqual(revalidated.cache.status, 'revalidated');
+    // Åldern gäller när data hämtades, inte när servern senast bekräftade den
+    assert.strictEqual(revalidated.cache.fetchedAt, fetchedAt);
+    assert.ok(revalidated.cache.age >= 7200 && revalidated.cache.age < 7210);
+    assert.ok(revalidated.cache.revalidatedAt > fetchedAt);
+
+    const offline = await cache.cachedGet(api, '/api/claim/a1', { dir, mode: 'offline' });
+    assert.strictEqual(offline.cache.status, 'offline');
+    assert.strictEqual(offline.cache.fetchedAt, fetchedAt);
+    assert.ok(offline.cache.age >= 7200);
+  });
+
+  it('fails offline when nothing is cached', async () => {
+    await assert.rejects(cache.cachedGet(stubApi(), '/api/claim/none', { dir, mode: 'offline' }), error => error.code === 'ECACHEMISS');
+  });
+});
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Command } = require('commander');
+const completion = require('../lib/completion');
+
+// Ett litet program med samma slags flaggor och argument som otrust-cli
+function buildProgram() {
+  const program = new Command();
+  program.name('otrust-cli').option('--context <name>', 'Use a named context').option('--json', 'Output JSON');
+  program.command('claim:get').description('Get a claim').argument('<id>', 'Claim ID').option('--check-signatures', 'Verify signatures');
+  program.command('claim:create').description('Create a claim')
+    .option('-t, --type <type>', 'Claim type')
+    .option('--evidence-file <path>', 'Evidence file')
+    .option('--user <publicKey>', 'User key');
+  program.command('evidence:check').description('Check evidence files')
+    .argument('<claimId>', 'Claim ID')
+    .argument('<files...>', 'Files');
+  return program;
+}
+
+const VALUES = {
+  '--type': ['factual', 'opinion'],
+  '--evidence-file': 'files',
+  '--user': 'users',
+  id: 'claims',
+  claimId: 'claims',
+  files: 'files'
+};
+
+describe('completion', () => {
+  const spec = completion.describeProgram(buildProgram(), (commandName, name) => VALUES[name] || null);
+
+  it('describes commands, options and arguments from the program', () => {
+    assert.deepStrictEqual(spec.commands.map(command => command.name), ['claim:get', 'claim:create', 'evidence:check']);
+    assert.deepStrictEqual(spec.options.map(option => option.flags), [['--context'], ['--json'], ['-h', '--help'], ['-V', '--version']]);
+
+    const create = spec.commands[1];
+    assert.deepStrictEqual(create.options[0], { flags: ['-t', '--type'], description: 'Claim type', takesValue: true, values: ['factual', 'opinion'] });
+    assert.strictEqual(create.options[1].values, 'files');
+
+    const check = spec.commands[2];
+    assert.deepStrictEqual(check.args, [
+      { name: 'claimId', required: true, variadic: false, values: 'claims' },
+      { name: 'files', required: true, variadic: true, values: 'files' }
+    ]);
+  });
+
+  it('completes commands, option values and seen claim IDs in bash', function () {
+    if (spawnSync('bash', ['-c', 'true']).status !== 0) {
+      this.skip();
+    }
+
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-completion-'));
+    fs.mkdirSync(path.join(home, completion.SEEN_DIR), { recursive: true });
+    fs.writeFileSync(path.join(home, completion.SEEN_DIR, 'claims'), 'a1b2\na1c3\nff00\n');
+    fs.writeFileSync(path.join(home, 'script.bash'), completion.script('bash', spec));
+
+    const run = line => {
+      const result = spawnSync('bash', ['-c', [
+        'source "$HOME/script.bash"',
+        'COMP_LINE="$1"; COMP_POINT=${#COMP_LINE}',
+        '_otrust_cli',
+        'printf "%s\\n" "${COMPREPLY[@]}"'
+      ].join('\n'), 'bash', line], { env: { ...process.env, HOME: home }, encoding: 'utf8' });
+      assert.strictEqual(result.stderr, '');
+      return result.stdout.split('\n').filter(Boolean);
+    };
+
+    try {
+      // Bash ersätter bara det som står efter sista kolon, så förslagen kortas av där
+      assert.deepStrictEqual(run('otrust-cli claim:c'), ['create']);
+      assert.deepStrictEqual(run('otrust-cli claim:create --type '), ['factual', 'opinion']);
+      assert.deepStrictEqual(run('otrust-cli --context prod claim:get a1'), ['a1b2', 'a1c3']);
+      assert.deepStrictEqual(run('otrust-cli evidence:check f'), ['ff00']);
+      assert.deepStrictEqual(run('otrust-cli claim:get --'), ['--check-signatures', '--help', '--context', '--json']);
+    } finally {
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  it('writes zsh and fish scripts with values and lookups', () => {
+    const zsh = completion.script('zsh', spec);
+    assert.ok(zsh.startsWith('#compdef otrust-cli'));
+    assert.ok(zsh.includes("'claim\\:get:Get a claim'"));
+    assert.ok(zsh.includes("'--type[Claim type]:type:(factual opinion)'"));
+    assert.ok(zsh.includes("'1:id:_otrust_cli_seen claims'"));
+    assert.ok(zsh.includes("'*:files:_files'"));
+
+    const fish = completion.script('fish', spec);
+    assert.ok(fish.includes("complete -c otrust-cli -n '__fish_seen_subcommand_from claim:create' -s t -l type -x -a 'factual opinion' -d 'Claim type'"));
+    assert.ok(fish.includes("complete -c otrust-cli -n '__fish_seen_subcommand_from claim:create' -l user -x -a '(__otrust_cli_seen users)' -d 'User key'"));
+    assert.ok(fish.includes("complete -c otrust-cli -n '__fish_seen_subcommand_from evidence:check' -F"));
+
+    assert.throws(() => completion.script('powershell', spec), /stöds inte/);
+  });
+
+  it('remembers seen values newest first without duplicates', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-seen-'));
+    const file = path.join(dir, 'completion', 'claims');
+    try {
+      assert.deepStrictEqual(completion.loadSeen(file), []);
+      completion.rememberSeen(file, ['a', 'b', null]);
+      completion.rememberSeen(file, ['c', 'a']);
+      // Värden med radbrytningar kan inte kompletteras och sparas inte
+      assert.deepStrictEqual(completion.rememberSeen(file, ['-----BEGIN KEY-----\nabc\n-----END KEY-----\n', 'd'], 3),
+        ['d', 'c', 'a']);
+      assert.deepStrictEqual(completion.loadSeen(file), ['d', 'c', 'a']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
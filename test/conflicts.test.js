@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { findConflicts, groupByStatement } = require('../lib/conflicts');
+
+const SEMANTIC = { subject: 'Earth', predicate: 'orbits', object: 'Sun' };
+
+// Svar från /api/semantic/Earth/orbits och /api/search?q=Earth
+const SEMANTIC_RESULT = {
+  objects: [
+    { object: 'sun', credibility: 0.8, confirmations: 3, disputes: 0, claimId: 'sun1' },
+    { object: 'Mars', credibility: 0.4, confirmations: 0, disputes: 1, claimId: 'mars1' }
+  ]
+};
+const SEARCH_RESULT = {
+  results: [
+    { id: 'mars1', claim: 'Earth orbits Mars', semantic: { subject: 'Earth', predicate: 'orbits', object: 'Mars' }, credibilityScore: 0.4 },
+    { id: 'moon1', claim: 'Earth orbits the Moon', semantic: { subject: 'earth', predicate: 'Orbits', object: 'Moon' }, credibilityScore: 0.6 },
+    { id: 'venus1', claim: 'Earth orbits Venus', semantic: { subject: 'Earth', predicate: 'orbits', object: 'Venus' }, credibilityScore: 0.9, status: 'retracted' },
+    { id: 'mass1', claim: 'Earth weighs a lot', semantic: { subject: 'Earth', predicate: 'mass', object: '6e24 kg' }, credibilityScore: 0.7 }
+  ]
+};
+
+describe('conflicts', () => {
+  it('finds other objects for the same subject and predicate, most credible first', () => {
+    const found = findConflicts(SEMANTIC, { semantic: SEMANTIC_RESULT, search: SEARCH_RESULT });
+
+    assert.deepStrictEqual(found.map(conflict => conflict.claimId), ['moon1', 'mars1']);
+    assert.deepStrictEqual(found[1], {
+      claimId: 'mars1',
+      object: 'Mars',
+      claim: 'Earth orbits Mars',
+      credibility: 0.4,
+      confirmations: 0,
+      disputes: 1
+    });
+    assert.strictEqual(found[0].confirmations, null);
+  });
+
+  it('leaves out excluded claims', () => {
+    const found = findConflicts({ ...SEMANTIC, object: 'Mars' }, { semantic: SEMANTIC_RESULT, exclude: ['sun1'] });
+    assert.deepStrictEqual(found, []);
+  });
+
+  it('groups claims by subject and predicate regardless of case', () => {
+    const groups = groupByStatement(SEARCH_RESULT.results);
+    assert.deepStrictEqual(groups.map(group => group.claims.length), [3, 1]);
+  });
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const signatures = require('../lib/signatures');
+const envelopes = require('../lib/envelope');
+
+describe('envelope', () => {
+  const keyPair = signatures.generateKeyPair('ed25519');
+  const sign = data => signatures.sign(data, keyPair.privateKey);
+
+  // Ett bevis signerat på samma sätt som proof:sign gör
+  function signedProof(options) {
+    const payload = signatures.proofPayload({
+      claimId: 'abc123',
+      action: 'confirmed',
+      reason: 'Checked',
+      confidence: 0.9,
+      publicKey: keyPair.publicKey,
+      timestamp: Date.now()
+    });
+    return envelopes.createEnvelope('proof', payload, sign(payload), keyPair.publicKey, sign, options);
+  }
+
+  it('accepts a valid envelope and returns the parsed payload', () => {
+    const parsed = envelopes.parseEnvelope(JSON.stringify(signedProof()), { kind: 'proof' });
+    assert.strictEqual(parsed.data.claimId, 'abc123');
+    assert.throws(() => envelopes.parseEnvelope(signedProof(), { kind: 'claim' }), /förväntade claim/);
+  });
+
+  it('refuses expired envelopes', () => {
+    const envelope = signedProof({ ttl: -1000 });
+    assert.throws(() => envelopes.parseEnvelope(envelope), /gick ut/);
+    assert.strictEqual(envelopes.parseEnvelope(envelope, { allowExpired: true }).kind, 'proof');
+  });
+
+  it('refuses an expired envelope whose expiresAt was moved forward', () => {
+    const envelope = signedProof({ ttl: -1000 });
+    envelope.expiresAt = Date.now() + 24 * 60 * 60 * 1000;
+    assert.throws(() => envelopes.parseEnvelope(envelope), /har ändrats efter signeringen/);
+  });
+
+  it('refuses envelopes without a signed expiry or with a tampered payload', () => {
+    const unsigned = signedProof();
+    delete unsigned.headerSignature;
+    assert.throws(() => envelopes.parseEnvelope(unsigned), /headerSignature saknas/);
+
+    const tampered = signedProof();
+    tampered.payload = tampered.payload.replace('confirmed', 'disputed');
+    assert.throws(() => envelopes.parseEnvelope(tampered), /har ändrats efter signeringen/);
+  });
+});
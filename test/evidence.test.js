@@ -0,0 +1,62 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const evidence = require('../lib/evidence');
+
+describe('evidence', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-evidence-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Skriv en fil i den tillfälliga mappen
+  function writeFile(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  it('describes a file by its content hash, size, media type and name', async () => {
+    const file = writeFile('report.pdf', 'abc');
+    const entry = await evidence.describeFile(file);
+
+    assert.deepStrictEqual(entry, {
+      uri: 'urn:sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      size: 3,
+      mediaType: 'application/pdf',
+      title: 'report.pdf'
+    });
+    assert.strictEqual(evidence.isValidEntry(entry), true);
+    assert.strictEqual(evidence.isValidEntry({ uri: 'urn:x', sha256: 'not-a-hash' }), false);
+    assert.strictEqual(evidence.isValidEntry('https://example.org'), true);
+  });
+
+  it('matches files on disk against the recorded hashes', async () => {
+    const report = writeFile('report.txt', 'v1');
+    const data = writeFile('data.csv', 'a,b');
+    const recorded = ['https://example.org', await evidence.describeFile(report), await evidence.describeFile(data)];
+
+    fs.writeFileSync(report, 'v2');
+    const other = writeFile('other.txt', 'other');
+    const result = await evidence.checkFiles(recorded, [report, data, other, path.join(dir, 'missing')]);
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.files.map(file => file.status), ['modified', 'match', 'unknown', 'unreadable']);
+    assert.deepStrictEqual(result.unmatched.map(entry => entry.title), ['report.txt']);
+  });
+
+  it('is valid only when every file matches', async () => {
+    const report = writeFile('report.txt', 'v1');
+    const recorded = [await evidence.describeFile(report)];
+
+    assert.strictEqual((await evidence.checkFiles(recorded, [report])).valid, true);
+    assert.strictEqual((await evidence.checkFiles(recorded, [])).valid, false);
+  });
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const axios = require('axios');
+const http = require('../lib/http');
+
+// En adapter som svarar med replies i tur och ordning och upprepar det sista svaret
+function stubAdapter(replies) {
+  const adapter = async config => {
+    adapter.calls += 1;
+    const reply = replies[Math.min(adapter.calls, replies.length) - 1];
+    if (reply.code) {
+      throw new axios.AxiosError(`Network error ${reply.code}`, reply.code, config);
+    }
+
+    const response = { status: reply.status, statusText: '', headers: reply.headers || {}, config, data: reply.data || {} };
+    if (reply.status >= 400) {
+      throw new axios.AxiosError(`Request failed with status code ${reply.status}`, 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    return response;
+  };
+  adapter.calls = 0;
+  return adapter;
+}
+
+// En klient med kort fördröjning som samlar omförsöken
+function client(replies, options = {}) {
+  const adapter = stubAdapter(replies);
+  const retries = [];
+  const instance = http.createClient({
+    baseURL: 'http://localhost:3000',
+    retryDelay: 1,
+    adapter,
+    onRetry: ({ attempt, delay, error }) => retries.push({ attempt, delay, status: error.response ? error.response.status : error.code }),
+    ...options
+  });
+  return { instance, adapter, retries };
+}
+
+const OK = { status: 200, data: { ok: true } };
+
+describe('http', () => {
+  describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates and ignores invalid values', () => {
+      assert.strictEqual(http.parseRetryAfter('2'), 2000);
+      assert.strictEqual(http.parseRetryAfter('-5'), 0);
+      const delay = http.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+      assert.ok(delay > 8000 && delay <= 10000);
+      assert.strictEqual(http.parseRetryAfter(new Date(Date.now() - 10000).toUTCString()), 0);
+      assert.strictEqual(http.parseRetryAfter('soon'), null);
+      assert.strictEqual(http.parseRetryAfter(undefined), null);
+      assert.strictEqual(http.parseRetryAfter(''), null);
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('doubles per attempt with jitter and stays below the maximum', () => {
+      for (let attempt = 0; attempt < 4; attempt++) {
+        const delay = http.retryDelay(attempt, 100);
+        assert.ok(delay >= 50 * Math.pow(2, attempt) && delay <= 100 * Math.pow(2, attempt));
+      }
+      assert.ok(http.retryDelay(20, 1000) <= http.MAX_RETRY_DELAY);
+    });
+  });
+
+  describe('createClient', () => {
+    it('retries every method when the server refuses with 429 or 503', async () => {
+      const get = client([{ status: 503 }, { status: 429 }, OK]);
+      assert.deepStrictEqual((await get.instance.get('/api/stats')).data, { ok: true });
+      assert.strictEqual(get.adapter.calls, 3);
+      assert.deepStrictEqual(get.retries.map(retry => [retry.attempt, retry.status]), [[1, 503], [2, 429]]);
+
+      const post = client([{ status: 429 }, OK]);
+      await post.instance.post('/api/claim', {});
+      assert.strictEqual(post.adapter.calls, 2);
+    });
+
+    it('retries 502 and 504 only for idempotent methods', async () => {
+      const get = client([{ status: 502 }, { status: 504 }, OK]);
+      await get.instance.get('/api/stats');
+      assert.strictEqual(get.adapter.calls, 3);
+
+      // Servern kan ha skapat påståendet innan gatewayen gav upp
+      const post = client([{ status: 502 }, OK]);
+      await assert.rejects(post.instance.post('/api/claim', {}), error => error.response.status === 502);
+      assert.strictEqual(post.adapter.calls, 1);
+
+      const put = client([{ status: 504 }, OK]);
+      await assert.rejects(put.instance.put('/api/user/profile', {}), error => error.response.status === 504);
+      assert.strictEqual(put.adapter.calls, 1);
+    });
+
+    it('retries refused connections for all methods and dropped connections only for idempotent ones', async () => {
+      const refused = client([{ code: 'ECONNREFUSED' }, OK]);
+      await refused.instance.post('/api/claim', {});
+      assert.strictEqual(refused.adapter.calls, 2);
+
+      const reset = client([{ code: 'ECONNRESET' }, OK]);
+      await assert.rejects(reset.instance.post('/api/claim', {}), error => error.code === 'ECONNRESET');
+      assert.strictEqual(reset.adapter.calls, 1);
+
+      const resetGet = client([{ code: 'ECONNRESET' }, OK]);
+      await resetGet.instance.get('/api/stats');
+      assert.strictEqual(resetGet.adapter.calls, 2);
+    });
+
+    it('does not retry other client errors', async () => {
+      const notFound = client([{ status: 404 }, OK]);
+      await assert.rejects(notFound.instance.get('/api/claim/none'), error => error.response.status === 404);
+      assert.strictEqual(notFound.adapter.calls, 1);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+      const { instance, retries } = client([{ status: 503, headers: { 'retry-after': '0' } }, OK]);
+      await instance.get('/api/stats');
+      assert.deepStrictEqual(retries, [{ attempt: 1, delay: 0, status: 503 }]);
+    });
+
+    it('gives up at once when Retry-After is longer than the maximum delay', async () => {
+      const seconds = String(http.MAX_RETRY_DELAY / 1000 + 1);
+      const { instance, adapter, retries } = client([{ status: 429, headers: { 'retry-after': seconds } }, OK]);
+      await assert.rejects(instance.get('/api/stats'), error => error.response.status === 429);
+      assert.strictEqual(adapter.calls, 1);
+      assert.deepStrictEqual(retries, []);
+    });
+
+    it('stops after the configured number of retries, also per request', async () => {
+      const { instance, adapter } = client([{ status: 503 }], { retries: 2 });
+      await assert.rejects(instance.get('/api/stats'), error => error.response.status === 503);
+      assert.strictEqual(adapter.calls, 3);
+
+      adapter.calls = 0;
+      await assert.rejects(instance.get('/api/stats', { retries: 0 }), error => error.response.status === 503);
+      assert.strictEqual(adapter.calls, 1);
+    });
+
+    it('cancels the wait between attempts when the signal aborts', async () => {
+      const controller = new AbortController();
+      const { instance, adapter } = client([{ status: 503 }, OK], { retryDelay: 10000 });
+      const request = instance.get('/api/stats', { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      await assert.rejects(request, error => axios.isCancel(error));
+      assert.strictEqual(adapter.calls, 1);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const keystore = require('../lib/keystore');
+const signatures = require('../lib/signatures');
+
+describe('keystore', () => {
+  const keyPair = signatures.generateKeyPair('ed25519');
+  const jwk = key => JSON.stringify(crypto[key.includes('PRIVATE') ? 'createPrivateKey' : 'createPublicKey'](key).export({ format: 'jwk' }));
+
+  it('reads a key pair from PEM blocks or JWK and derives a missing public key', () => {
+    assert.strictEqual(keystore.parseKeyFile(keyPair.privateKey + keyPair.publicKey).publicKey, keyPair.publicKey);
+    const parsed = keystore.parseKeyFile(jwk(keyPair.privateKey));
+    assert.strictEqual(parsed.publicKey, keyPair.publicKey);
+    assert.strictEqual(parsed.algorithm, 'ed25519');
+  });
+
+  it('pairs a private key with a public key from a separate file in either format', () => {
+    // Den privata och den publika nyckeln läses var för sig, så formaten kan blandas
+    [jwk(keyPair.privateKey), keyPair.privateKey].forEach(privateFile => {
+      [keyPair.publicKey, jwk(keyPair.publicKey)].forEach(publicFile => {
+        assert.strictEqual(keystore.parseKeyFile(privateFile, null, publicFile).publicKey, keyPair.publicKey);
+      });
+    });
+
+    const other = signatures.generateKeyPair('ed25519');
+    assert.throws(() => keystore.parseKeyFile(jwk(keyPair.privateKey), null, other.publicKey), /hör inte ihop/);
+    assert.throws(() => keystore.parseKeyFile(keyPair.privateKey, null, 'not a key'), /ingen publik nyckel/);
+  });
+});
@@ -0,0 +1,378 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OtrustCLI = require('../lib/api');
+const http = require('../lib/http');
+const signatures = require('../lib/signatures');
+const tokens = require('../lib/token');
+const { MockServer } = require('../lib/mock-server');
+
+const CLAIM = {
+  claim: 'The Earth orbits the Sun',
+  evidence: ['https://nasa.gov'],
+  type: 'factual',
+  semantic: { subject: 'Earth', predicate: 'orbits', object: 'Sun' }
+};
+
+describe('mock server', function () {
+  this.timeout(10000);
+
+  let server;
+  let url;
+  let configDirs = [];
+
+  // Skapa en klient med eget nyckelpar och egen konfigurationsmapp
+  async function createClient(options = {}) {
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-test-'));
+    configDirs.push(configDir);
+    const client = new OtrustCLI({ server: url, configDir, logLevel: 'error', retries: 0, ...options });
+    await client.init({ algorithm: 'ed25519' });
+    return client;
+  }
+
+  // Klient utan inloggning och omförsök, för anrop som ska misslyckas
+  function rawClient() {
+    return http.createClient({ baseURL: url, retries: 0 });
+  }
+
+  before(async () => {
+    server = new MockServer();
+    url = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    server.autoMine = true;
+  });
+
+  afterEach(() => {
+    configDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    configDirs = [];
+  });
+
+  describe('authentication', () => {
+    it('registers and logs in with a signed request', async () => {
+      const client = await createClient();
+      const registered = await client.register();
+      assert.strictEqual(registered.success, true);
+
+      const result = await client.login();
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.user.publicKey, client.config.keyPair.publicKey);
+
+      const info = tokens.tokenInfo(client.config.token);
+      assert.strictEqual(info.format, 'jwt');
+      assert.strictEqual(info.publicKey, client.config.keyPair.publicKey);
+      assert.strictEqual(info.expired, false);
+
+      const status = await client.getAuthStatus();
+      assert.deepStrictEqual(status, tokens.authStatus(client.config, 'default'));
+      assert.strictEqual(status.fingerprint, signatures.fingerprint(client.config.keyPair.publicKey));
+      assert.strictEqual(status.keyMatches, true);
+    });
+
+    it('rejects a login with a signature from another key', async () => {
+      const client = await createClient();
+      await client.register();
+
+      const other = signatures.generateKeyPair('ed25519');
+      const timestamp = Date.now();
+      const payload = signatures.authPayload('login', client.config.keyPair.publicKey, timestamp);
+      const response = await rawClient().post('/api/auth/login', {
+        publicKey: client.config.keyPair.publicKey,
+        signature: signatures.sign(payload, other.privateKey),
+        timestamp
+      }, { validateStatus: () => true });
+
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.data.error, 'Ogiltig signatur');
+    });
+
+    it('logs in again automatically when the token has been revoked', async () => {
+      const client = await createClient();
+      await client.register();
+      const token = client.config.token;
+
+      server.revokeTokens();
+      const result = await client.createClaim(CLAIM);
+
+      assert.ok(result.id);
+      assert.notStrictEqual(client.config.token, token);
+    });
+  });
+
+  describe('claims', () => {
+    it('stores a signed claim and records it in the hash chain', async () => {
+      const client = await createClient();
+      await client.register();
+
+      const created = await client.createClaim(CLAIM);
+      assert.strictEqual(created.blockchainStatus, 'confirmed');
+
+      const data = await client.getClaim(created.id);
+      assert.strictEqual(data.claim.claim, CLAIM.claim);
+      assert.strictEqual(data.credibility.score, 0.5);
+      assert.strictEqual(data.blockchainVerification.blockIndex, 1);
+
+      const checked = signatures.verifyClaimSignatures(data.claim);
+      assert.strictEqual(checked.claim, 'valid');
+
+      const verification = await client.verify(created.id);
+      assert.strictEqual(verification.verified, true);
+      assert.strictEqual(verification.hashMatch, true);
+      assert.strictEqual(verification.blockchainValid, true);
+    });
+
+    it('rejects a claim whose signature does not match its content', async () => {
+      const client = await createClient();
+      await client.register();
+
+      const payload = client.buildClaimPayload(CLAIM);
+      const claim = JSON.parse(payload);
+      claim.signature = signatures.sign(payload, client.config.keyPair.privateKey);
+      claim.claim = 'The Sun orbits the Earth';
+
+      const response = await rawClient().post('/api/claim', claim, {
+        headers: { Authorization: `Bearer ${client.config.token}` },
+        validateStatus: () => true
+      });
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(server.claims.size, 0);
+    });
+
+    it('signs file evidence and checks files against it', async () => {
+      const client = await createClient();
+      await client.register();
+
+      const file = path.join(configDirs[0], 'report.txt');
+      fs.writeFileSync(file, 'Orbital data');
+      const entry = await client.describeEvidenceFile(file);
+      const created = await client.createClaim({ ...CLAIM, evidence: [...CLAIM.evidence, entry] });
+
+      const data = await client.getClaim(created.id);
+      assert.deepStrictEqual(data.claim.evidence[1], entry);
+      assert.strictEqual(signatures.verifyClaimSignatures(data.claim).claim, 'valid');
+      assert.strictEqual((await client.checkEvidence(created.id, [file])).valid, true);
+
+      fs.writeFileSync(file, 'Changed orbital data');
+      const changed = await client.checkEvidence(data.claim, [file]);
+      assert.strictEqual(changed.files[0].status, 'modified');
+    });
+
+    it('requires a login to create claims', async () => {
+      const response = await rawClient().post('/api/claim', CLAIM, { validateStatus: () => true });
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('reports conflicting claims and leaves transactions pending without auto-mining', async () => {
+      server.autoMine = false;
+      const client = await createClient();
+      await client.register();
+
+      const first = await client.createClaim(CLAIM);
+      const second = await client.createClaim({ ...CLAIM, claim: 'The Earth orbits Mars', semantic: { ...CLAIM.semantic, object: 'Mars' } });
+      assert.strictEqual(second.blockchainStatus, 'pending');
+      assert.deepStrictEqual(second.conflicts.map(conflict => conflict.id), [first.id]);
+
+      assert.strictEqual((await client.verify(first.id)).verified, false);
+      server.mine();
+      assert.strictEqual((await client.verify(first.id)).verified, true);
+    });
+
+    it('finds conflicting claims before signing and lists own conflicts', async () => {
+      const author = await createClient();
+      const other = await createClient();
+      await author.register();
+      await other.register();
+
+      const own = await author.createClaim(CLAIM);
+      const mars = { subject: 'Earth', predicate: 'orbits', object: 'Mars' };
+      const found = await other.checkConflicts(mars);
+      assert.deepStrictEqual(found.map(conflict => [conflict.claimId, conflict.object, conflict.claim]), [[own.id, 'Sun', CLAIM.claim]]);
+
+      assert.deepStrictEqual(await author.listConflicts(), []);
+      const competing = await other.createClaim({ ...CLAIM, claim: 'The Earth orbits Mars', semantic: mars });
+      const listed = await author.listConflicts();
+      assert.deepStrictEqual(listed.map(claim => claim.id), [own.id]);
+      assert.deepStrictEqual(listed[0].conflicts.map(conflict => conflict.claimId), [competing.id]);
+    });
+
+    it('filters, sorts and pages the claim list', async () => {
+      const client = await createClient();
+      await client.register();
+      await client.createClaim(CLAIM);
+      await client.createClaim({ ...CLAIM, claim: 'Water boils at 100C', type: 'reference', semantic: { subject: 'Water', predicate: 'boilsAt', object: '100C' } });
+      await client.createClaim({ ...CLAIM, claim: 'The Moon orbits the Earth', semantic: { subject: 'Moon', predicate: 'orbits', object: 'Earth' } });
+
+      const page = await client.listClaims({ page: 1, limit: 2, sort: 'oldest' });
+      assert.strictEqual(page.meta.total, 3);
+      assert.strictEqual(page.meta.hasNext, true);
+      assert.strictEqual(page.claims[0].claim, CLAIM.claim);
+
+      const filtered = await client.listClaims({ type: 'reference' });
+      assert.deepStrictEqual(filtered.claims.map(claim => claim.claim), ['Water boils at 100C']);
+
+      const found = await client.search('orbits');
+      assert.strictEqual(found.count, 2);
+    });
+
+    it('exports semantic triples with the block hash as provenance', async () => {
+      const client = await createClient();
+      await client.register();
+      const created = await client.createClaim(CLAIM);
+      await client.createClaim({ ...CLAIM, claim: 'Water boils at 100C', semantic: { subject: 'Water', predicate: 'boilsAt', object: '100C' } });
+
+      const exported = await client.exportSemantic({ filters: { subject: 'Earth' }, format: 'nquads' });
+      const block = (await client.getClaim(created.id)).blockchainVerification.blockHash;
+      assert.strictEqual(exported.count, 1);
+      assert.ok(exported.data.includes(`<https://otrust.eu/id/claim/${created.id}> <https://otrust.eu/ns#blockHash> "${block}" .`));
+      await assert.rejects(client.exportSemantic({ max: 0 }), /positivt heltal/);
+    });
+
+    it('answers unchanged reads with 304 so the cache can revalidate', async () => {
+      const client = await createClient({ cache: true });
+      await client.register();
+      const created = await client.createClaim(CLAIM);
+
+      await client.getClaim(created.id);
+      const statuses = [];
+      server.onRequest = ({ status }) => statuses.push(status);
+      await client.getClaim(created.id);
+      server.onRequest = null;
+
+      assert.deepStrictEqual(statuses, [304]);
+    });
+  });
+
+  describe('proofs', () => {
+    it('updates credibility and semantic consensus', async () => {
+      const author = await createClient();
+      const reviewer = await createClient();
+      await author.register();
+      await reviewer.register();
+
+      const created = await author.createClaim(CLAIM);
+      const result = await reviewer.addProof({ claimId: created.id, action: 'confirmed', reason: 'NASA', confidence: 1 });
+      assert.deepStrictEqual(result.credibility, { score: 0.667, confirmations: 1, disputes: 0 });
+
+      await author.addProof({ claimId: created.id, action: 'confirmed', confidence: 1 });
+      const semantic = await reviewer.semanticQuery('Earth', 'orbits');
+      assert.strictEqual(semantic.hasConsensus, true);
+      assert.strictEqual(semantic.consensusValue, 'Sun');
+
+      const user = await reviewer.getUserInfo(author.config.keyPair.publicKey);
+      assert.strictEqual(user.stats.claimsCount, 1);
+      assert.strictEqual(user.stats.confirmedByOthers, 2);
+    });
+
+    it('rejects a second proof from the same key', async () => {
+      const client = await createClient();
+      await client.register();
+      const created = await client.createClaim(CLAIM);
+
+      await client.addProof({ claimId: created.id, action: 'confirmed', confidence: 1 });
+
+      const payload = client.buildProofPayload({ claimId: created.id, action: 'disputed', confidence: 1 });
+      const response = await rawClient().post('/api/proof', {
+        ...JSON.parse(payload),
+        signature: signatures.sign(payload, client.config.keyPair.privateKey)
+      }, {
+        headers: { Authorization: `Bearer ${client.config.token}` },
+        validateStatus: () => true
+      });
+      assert.strictEqual(response.status, 409);
+    });
+  });
+
+  describe('retractions', () => {
+    it('revokes a proof so it no longer counts towards credibility', async () => {
+      const author = await createClient();
+      const reviewer = await createClient();
+      await author.register();
+      await reviewer.register();
+
+      const created = await author.createClaim(CLAIM);
+      await reviewer.addProof({ claimId: created.id, action: 'confirmed', confidence: 1 });
+      const result = await reviewer.revokeProof(created.id, 'Confirmed the wrong claim');
+      assert.deepStrictEqual(result.credibility, { score: 0.5, confirmations: 0, disputes: 0 });
+
+      // Ett nytt bevis kan läggas till efter återkallandet
+      await reviewer.addProof({ claimId: created.id, action: 'disputed', confidence: 1 });
+      const data = await author.getClaim(created.id);
+      const checked = signatures.verifyClaimSignatures(data.claim);
+      assert.strictEqual(checked.proofs[0].revocation, 'valid');
+      assert.strictEqual(data.credibility.disputes, 1);
+    });
+
+    it('supersedes a claim with a linked correction and leaves it out of consensus', async () => {
+      const client = await createClient();
+      await client.register();
+
+      const created = await client.createClaim({ ...CLAIM, semantic: { ...CLAIM.semantic, object: 'Moon' } });
+      const result = await client.supersedeClaim(created.id, CLAIM, 'Wrong object');
+      assert.strictEqual(result.retraction.status, 'superseded');
+
+      const original = await client.getClaim(created.id);
+      assert.strictEqual(original.claim.retraction.replacementId, result.claim.id);
+      assert.strictEqual(signatures.verifyClaimSignatures(original.claim).retraction, 'valid');
+      assert.strictEqual((await client.getClaim(result.claim.id)).claim.supersedes, created.id);
+
+      const semantic = await client.semanticQuery('Earth', 'orbits');
+      assert.deepStrictEqual(semantic.objects.map(obj => obj.object), ['Sun']);
+    });
+
+    it('only lets the author retract a claim', async () => {
+      const author = await createClient();
+      const other = await createClient();
+      await author.register();
+      await other.register();
+
+      const created = await author.createClaim(CLAIM);
+      const payload = signatures.retractionPayload({
+        action: 'retract',
+        claimId: created.id,
+        publicKey: other.config.keyPair.publicKey,
+        timestamp: Date.now(),
+        reason: 'Not mine'
+      });
+      const response = await rawClient().post('/api/retraction', {
+        ...JSON.parse(payload),
+        signature: signatures.sign(payload, other.config.keyPair.privateKey)
+      }, {
+        headers: { Authorization: `Bearer ${other.config.token}` },
+        validateStatus: () => true
+      });
+      assert.strictEqual(response.status, 403);
+
+      await author.retractClaim(created.id, 'Signed in error');
+      const data = await author.getClaim(created.id);
+      assert.strictEqual(data.claim.retraction.action, 'retract');
+
+      // Ett återkallande som flyttas till ett annat påstående godtas inte
+      const moved = { ...data.claim, id: 'another', retraction: data.claim.retraction };
+      assert.strictEqual(signatures.verifyClaimSignatures(moved).retraction, 'invalid');
+    });
+  });
+
+  describe('hash chain', () => {
+    it('detects a block that has been changed after mining', async () => {
+      const client = await createClient();
+      await client.register();
+      await client.createClaim(CLAIM);
+
+      const stats = await client.getBlockchainStats();
+      assert.strictEqual(stats.blocks, 2);
+      assert.strictEqual(stats.isValid, true);
+      assert.ok(stats.latestBlock.hash.startsWith('00'));
+
+      server.chain[1].transactions[0].hash = 'tampered';
+      assert.strictEqual((await client.getBlockchainStats()).isValid, false);
+      assert.strictEqual((await client.getHealth()).status, 'degraded');
+    });
+  });
+});
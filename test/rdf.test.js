@@ -0,0 +1,78 @@
+const assert = require('assert');
+const rdf = require('../lib/rdf');
+const signatures = require('../lib/signatures');
+
+const KEY = signatures.generateKeyPair('ed25519').publicKey;
+const BASE = 'https://example.org/';
+
+// Svar från /api/claim/:id för ett verifierat och ett overifierat påstående
+const ENTRIES = [
+  {
+    claim: {
+      id: 'c1',
+      claim: 'The "Earth" orbits\nthe Sun',
+      type: 'factual',
+      publicKey: KEY,
+      timestamp: Date.UTC(2024, 0, 1),
+      semantic: { subject: 'Earth', predicate: 'orbits', object: 'Sun' }
+    },
+    credibility: { score: 0.667 },
+    blockchainVerification: { blockHash: '00ab', blockIndex: 1 }
+  },
+  {
+    claim: {
+      id: 'c2',
+      claim: 'Stockholm has 975000 inhabitants',
+      type: 'factual',
+      publicKey: KEY,
+      timestamp: Date.UTC(2024, 0, 2),
+      parent_id: 'c1',
+      semantic: { subject: 'http://dbpedia.org/resource/Stockholm', predicate: 'population', object: '975000' }
+    },
+    credibility: { score: 0.5 },
+    blockchainVerification: null
+  }
+];
+
+describe('rdf', () => {
+  it('puts each triple in a named graph described by its provenance', () => {
+    const lines = rdf.serialize(ENTRIES, 'nquads', { base: BASE }).trim().split('\n');
+
+    assert.ok(lines.includes(`<${BASE}term/Earth> <${BASE}term/orbits> <${BASE}term/Sun> <${BASE}claim/c1> .`));
+    assert.ok(lines.includes(`<http://dbpedia.org/resource/Stockholm> <${BASE}term/population> ` +
+      `"975000"^^<http://www.w3.org/2001/XMLSchema#integer> <${BASE}claim/c2> .`));
+    assert.ok(lines.includes(`<${BASE}claim/c1> <https://otrust.eu/ns#blockHash> "00ab" .`));
+    assert.ok(lines.includes(`<${BASE}claim/c1> <https://otrust.eu/ns#credibilityScore> "0.667"^^<http://www.w3.org/2001/XMLSchema#decimal> .`));
+    assert.ok(lines.includes(`<${BASE}claim/c1> <https://otrust.eu/ns#text> "The \\"Earth\\" orbits\\nthe Sun" .`));
+    assert.ok(lines.includes(`<${BASE}claim/c2> <https://otrust.eu/ns#inReplyTo> <${BASE}claim/c1> .`));
+    assert.ok(!lines.some(line => line.startsWith(`<${BASE}claim/c2> <https://otrust.eu/ns#blockHash>`)));
+
+    // Författarnyckeln beskrivs en gång även om båda påståendena delar den
+    const author = `<${BASE}key/${encodeURIComponent(signatures.fingerprint(KEY))}>`;
+    assert.strictEqual(lines.filter(line => line.startsWith(`${author} <https://otrust.eu/ns#publicKey>`)).length, 1);
+  });
+
+  it('reifies each triple as an rdf:Statement in Turtle', () => {
+    const turtle = rdf.serialize(ENTRIES, 'turtle', { base: BASE });
+
+    assert.ok(turtle.startsWith('@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .'));
+    assert.ok(turtle.includes(`<${BASE}claim/c1>\n  a rdf:Statement ;\n  rdf:subject <${BASE}term/Earth> ;`));
+    assert.ok(turtle.includes('  prov:generatedAtTime "2024-01-01T00:00:00.000Z"^^xsd:dateTime ;'));
+    assert.ok(turtle.includes('  otrust:blockIndex "1"^^xsd:integer ;'));
+  });
+
+  it('nests the triple under the claim node in JSON-LD', () => {
+    const doc = JSON.parse(rdf.serialize(ENTRIES, 'jsonld', { base: BASE }));
+    const claim = doc['@graph'].find(node => node['@id'] === `${BASE}claim/c1`);
+
+    assert.deepStrictEqual(claim['@type'], ['otrust:Claim']);
+    assert.deepStrictEqual(claim['otrust:claimId'], ['c1']);
+    assert.deepStrictEqual(claim['@graph'], [
+      { '@id': `${BASE}term/Earth`, [`${BASE}term/orbits`]: [{ '@id': `${BASE}term/Sun` }] }
+    ]);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => rdf.serialize(ENTRIES, 'rdfxml'), /Okänt RDF-format/);
+  });
+});
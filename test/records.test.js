@@ -0,0 +1,46 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const records = require('../lib/records');
+
+describe('records', () => {
+  it('parses NDJSON objects and reports invalid lines by row', () => {
+    const text = '{"claim":"A"}\n\nnot json\nnull\n[1,2]\n42\n"text"\n{"claim":"B"}\n';
+    const rows = records.parseNdjson(text);
+
+    assert.deepStrictEqual(rows.filter(row => row.record), [
+      { row: 1, record: { claim: 'A' } },
+      { row: 8, record: { claim: 'B' } }
+    ]);
+    // Tomma rader hoppas över, allt annat som inte är ett objekt blir ett radfel
+    assert.deepStrictEqual(rows.filter(row => row.error).map(row => row.row), [3, 4, 5, 6, 7]);
+    assert.ok(rows[1].error.startsWith('Ogiltig JSON'));
+    assert.strictEqual(rows[2].error, 'Raden är inte ett JSON-objekt: null');
+  });
+
+  it('reads a proof review file with non-object lines as invalid rows', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-records-'));
+    const file = path.join(dir, 'review.jsonl');
+    fs.writeFileSync(file, '{"claimId":"a1","action":"confirmed","confidence":0.8}\nnull\n{"claimId":"b2","action":"disputed"}\n');
+    try {
+      // Utan filändelse avgörs formatet av innehållet
+      assert.strictEqual(records.detectFormat('review', '{"claimId":"a1"}'), 'ndjson');
+      const rows = records.readRecords(file);
+      assert.deepStrictEqual(rows.map(row => row.record ? row.record.claimId : row.error), [
+        'a1', 'Raden är inte ett JSON-objekt: null', 'b2'
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('parses CSV with quoted fields and a header row', () => {
+    const text = '\uFEFFclaim,evidence\n"Says ""hi""","https://a.org,https://b.org"\n\n"Two\nlines",\n';
+    assert.deepStrictEqual(records.parseCsv(text), [
+      { row: 1, record: { claim: 'Says "hi"', evidence: 'https://a.org,https://b.org' } },
+      { row: 2, record: { claim: 'Two\nlines', evidence: '' } }
+    ]);
+    assert.throws(() => records.parseCsv('claim\n"open'), /citattecken/);
+  });
+});
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shell = require('../lib/shell');
+
+describe('shell', () => {
+  describe('parseLine', () => {
+    it('splits on whitespace and groups quoted text', () => {
+      assert.deepStrictEqual(
+        shell.parseLine(`claim:create -c "Stockholm is the capital"  --object 'Sweden' a\\ b`),
+        ['claim:create', '-c', 'Stockholm is the capital', '--object', 'Sweden', 'a b']
+      );
+      assert.deepStrictEqual(shell.parseLine('search ""'), ['search', '']);
+    });
+
+    it('expands variables except inside single quotes', () => {
+      const variables = { last: 'abc123', root: 'r1' };
+      assert.deepStrictEqual(
+        shell.parseLine(`claim:get $last "$root" '$last' \\$last`, variables),
+        ['claim:get', 'abc123', 'r1', '$last', '$last']
+      );
+      assert.deepStrictEqual(shell.parseLine('echo $ 5$', variables), ['echo', '$', '5$']);
+    });
+
+    it('rejects unset variables and unterminated quotes', () => {
+      assert.throws(() => shell.parseLine('claim:get $last', { last: null }), /\$last/);
+      assert.throws(() => shell.parseLine('search "open'), /avslutas inte/);
+    });
+  });
+
+  describe('complete', () => {
+    const sources = {
+      commands: [
+        { name: 'claim:get', options: ['--check-signatures'] },
+        { name: 'claim:list', options: ['--limit', '--type'] }
+      ],
+      globalOptions: ['--json'],
+      ids: ['a1b2', 'a1c3', 'ff00'],
+      variables: ['last']
+    };
+
+    it('completes command names, options, variables and claim IDs', () => {
+      assert.deepStrictEqual(shell.complete('claim:', sources), [['claim:get', 'claim:list'], 'claim:']);
+      assert.deepStrictEqual(shell.complete('claim:list --', sources), [['--json', '--limit', '--type'], '--']);
+      assert.deepStrictEqual(shell.complete('claim:get $l', sources), [['$last'], '$l']);
+      assert.deepStrictEqual(shell.complete('claim:get a1', sources), [['a1b2', 'a1c3'], 'a1']);
+    });
+  });
+
+  describe('history', () => {
+    it('keeps the newest lines and reads them back newest first', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otrust-shell-'));
+      const file = path.join(dir, 'history');
+      try {
+        shell.saveHistory(file, ['third', 'second', 'first'], 2);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'second\nthird\n');
+        assert.deepStrictEqual(shell.loadHistory(file), ['third', 'second']);
+        assert.deepStrictEqual(shell.loadHistory(path.join(dir, 'missing')), []);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const assert = require('assert');
+const signatures = require('../lib/signatures');
+
+describe('signatures', () => {
+  describe('compactPublicKey', () => {
+    it('writes keys on one line and expands them to the same key', () => {
+      signatures.KEY_ALGORITHMS.forEach(algorithm => {
+        const { publicKey } = signatures.generateKeyPair(algorithm);
+        const compact = signatures.compactPublicKey(publicKey);
+
+        assert.ok(!/\s/.test(compact));
+        assert.strictEqual(signatures.expandPublicKey(compact), publicKey);
+        assert.strictEqual(signatures.fingerprint(signatures.expandPublicKey(compact)), signatures.fingerprint(publicKey));
+      });
+    });
+
+    it('leaves PEM keys, fingerprints and other values unchanged', () => {
+      const { publicKey } = signatures.generateKeyPair('ed25519');
+      const fingerprint = signatures.fingerprint(publicKey);
+      assert.strictEqual(signatures.expandPublicKey(publicKey), publicKey);
+      assert.strictEqual(signatures.expandPublicKey(fingerprint), fingerprint);
+      // Ser ut som base64 men är ingen nyckel
+      assert.strictEqual(signatures.expandPublicKey('abcd'), 'abcd');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { buildThread, claimFetcher, walkThread } = require('../lib/thread');
+
+// Påståenden som servern skulle returnera, med parent_id
+const CLAIMS = {
+  root: { id: 'root', claim: 'Root', type: 'factual', parent_id: null, credibilityScore: 0.8 },
+  a: { id: 'a', claim: 'Reply A', type: 'opinion', parent_id: 'root', credibilityScore: 0.5 },
+  b: { id: 'b', claim: 'Reply B', type: 'analysis', parent_id: 'root', credibilityScore: 0.4 },
+  a1: { id: 'a1', claim: 'Reply to A', type: 'reference', parent_id: 'a', credibilityScore: 0.6 }
+};
+
+function fetchers(claims) {
+  return {
+    fetchClaim: async id => (claims[id]
+      ? { claim: claims[id], credibility: { score: claims[id].credibilityScore } }
+      : null),
+    // Som en server som ignorerar filtret och returnerar alla påståenden
+    fetchReplies: async () => Object.values(claims)
+  };
+}
+
+describe('thread', () => {
+  it('walks up to the root and down through every reply', async () => {
+    const thread = await buildThread('a1', fetchers(CLAIMS));
+
+    assert.strictEqual(thread.focus, 'a1');
+    assert.strictEqual(thread.root.id, 'root');
+    assert.deepStrictEqual(thread.root.replies.map(node => node.id), ['a', 'b']);
+    assert.deepStrictEqual(thread.root.replies[0].replies.map(node => node.id), ['a1']);
+    assert.strictEqual(thread.root.replies[0].replies[0].score, 0.6);
+    assert.strictEqual(thread.truncated, false);
+  });
+
+  it('stops at a parent that cannot be found', async () => {
+    const claims = { ...CLAIMS };
+    delete claims.root;
+
+    const thread = await buildThread('a1', fetchers(claims));
+    assert.strictEqual(thread.root.id, 'a');
+    assert.strictEqual(thread.missingParent, 'root');
+  });
+
+  it('marks the thread as truncated beyond the maximum depth', async () => {
+    const thread = await buildThread('a1', { ...fetchers(CLAIMS), maxDepth: 1 });
+    assert.strictEqual(thread.root.id, 'a');
+    assert.strictEqual(thread.truncated, true);
+  });
+
+  it('fetches claims from the server and treats only a missing parent as absent', async () => {
+    // Som axios: statusar som validateStatus inte godtar blir fel
+    const api = {
+      get: async (url, config) => {
+        const id = url.split('/').pop();
+        const status = CLAIMS[id] ? 200 : 404;
+        if (!config.validateStatus(status)) {
+          throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+        }
+        return { status, data: status === 200 ? { claim: CLAIMS[id] } : { error: 'Not found' } };
+      }
+    };
+
+    const fetchClaim = claimFetcher(api, 'a1');
+    assert.strictEqual((await fetchClaim('a1')).claim.id, 'a1');
+    assert.strictEqual(await fetchClaim('gone'), null);
+    await assert.rejects(claimFetcher(api, 'gone')('gone'), error => error.response.status === 404);
+  });
+
+  it('visits nodes depth first with tree positions', async () => {
+    const thread = await buildThread('root', fetchers(CLAIMS));
+    const visited = [];
+    walkThread(thread.root, (node, depth, isLast, ancestorsLast) => {
+      visited.push([node.id, depth, isLast, ancestorsLast]);
+    });
+
+    assert.deepStrictEqual(visited, [
+      ['root', 0, true, []],
+      ['a', 1, false, []],
+      ['a1', 2, true, [false]],
+      ['b', 1, true, []]
+    ]);
+  });
+});
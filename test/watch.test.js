@@ -0,0 +1,77 @@
+const assert = require('assert');
+const watch = require('../lib/watch');
+
+describe('watch', () => {
+  describe('diffSemantic', () => {
+    const snapshot = (objects, consensus = null) => watch.semanticSnapshot('Stockholm', 'population', {
+      hasConsensus: consensus !== null,
+      consensusValue: consensus,
+      objects
+    });
+
+    it('reports credibility changes for objects that differ only in case', () => {
+      const previous = snapshot([
+        { object: '975000', claimId: 'c1', credibility: 0.5 },
+        { object: 'Large', claimId: 'c2', credibility: 0.4 },
+        { object: 'large', claimId: 'c3', credibility: 0.3 }
+      ]);
+      const current = snapshot([
+        { object: '975000', claimId: 'c1', credibility: 0.5 },
+        { object: 'Large', claimId: 'c2', credibility: 0.4 },
+        { object: 'large', claimId: 'c3', credibility: 0.7 }
+      ], 'large');
+
+      // Båda objekten fanns kvar i ögonblicksbilden, så bara c3 har ändrats
+      assert.strictEqual(Object.keys(previous.objects).length, 3);
+      assert.deepStrictEqual(watch.diffSemantic(previous, current), [
+        { type: 'consensus', subject: 'Stockholm', predicate: 'population', from: null, to: 'large' },
+        { type: 'object', subject: 'Stockholm', predicate: 'population', object: 'large', claimId: 'c3', from: 0.3, to: 0.7 }
+      ]);
+    });
+
+    it('reports added and removed objects', () => {
+      const previous = snapshot([{ object: 'blue', claimId: 'c1', credibility: 0.5 }]);
+      const current = snapshot([{ object: 'red', claimId: 'c2', credibility: 0.6 }]);
+      assert.deepStrictEqual(watch.diffSemantic(previous, current).map(event => [event.claimId, event.from, event.to]), [
+        ['c1', 0.5, null],
+        ['c2', null, 0.6]
+      ]);
+      assert.deepStrictEqual(watch.diffSemantic(current, current), []);
+    });
+  });
+
+  describe('describeEvent', () => {
+    it('names the watched subject and predicate for semantic events', () => {
+      const event = { type: 'object', subject: 'Stockholm', predicate: 'population', object: 'large', claimId: 'c3' };
+      assert.strictEqual(watch.describeEvent({ ...event, from: 0.3, to: 0.7 }),
+        'Stockholm population: "large" (c3) credibility 0.30 -> 0.70');
+      assert.strictEqual(watch.describeEvent({ ...event, from: null, to: 0.6 }),
+        'Stockholm population: new object "large" (c3) (credibility 0.60)');
+      assert.strictEqual(watch.describeEvent({ type: 'consensus', subject: 'Stockholm', predicate: 'population', from: null, to: 'large' }),
+        'Stockholm population: consensus none -> "large"');
+    });
+
+    it('names the claim for claim events', () => {
+      assert.strictEqual(watch.describeEvent({ type: 'credibility', claimId: 'c1', from: 0.5, to: 0.8 }),
+        'c1: credibility 0.50 -> 0.80');
+      assert.strictEqual(watch.describeEvent({ type: 'verification', claimId: 'c1', from: null, to: { blockIndex: 3, blockHash: 'abc' } }),
+        'c1: verified on blockchain in block 3 (abc)');
+    });
+  });
+
+  describe('diffClaim', () => {
+    it('reports new proofs, credibility and verification changes', () => {
+      const data = (proofs, score, verification) => ({
+        claim: { id: 'c1', proofChain: proofs },
+        credibility: { score },
+        blockchainVerification: verification
+      });
+      const proof = { signature: 'sig1', action: 'confirmed', publicKey: 'key', timestamp: 1, reason: 'Checked' };
+      const previous = watch.claimSnapshot(data([], 0.5, null));
+      const current = watch.claimSnapshot(data([proof], 0.8, { blockHash: 'abc', blockIndex: 3 }));
+
+      assert.deepStrictEqual(watch.diffClaim(previous, current).map(event => event.type), ['proof', 'credibility', 'verification']);
+      assert.deepStrictEqual(watch.diffClaim(current, current), []);
+    });
+  });
+});